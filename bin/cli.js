@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+import { writeFile, mkdir } from 'node:fs/promises';
+import { dirname, resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { generateTypeDeclarations, diffDefinitions } from '../index.js';
+
+const USAGE = `Usage: mongoose-zod-schema-builder <command> [options]
+
+Commands:
+  types <definition-module>   Generate TypeScript declarations for a definition
+  diff <old-module> <new-module>
+                              List changes between two definitions, exiting with code 2
+                              when any of them is breaking
+
+Options for "types":
+  --name <Name>        Base interface name (required), e.g. User
+  --export <name>      Named export holding the definition (default: the default export)
+  --out <file>         Write to a file instead of stdout
+  --subdocument-ids    Nested subdocuments have an _id
+
+Options for "diff":
+  --export <name>      Named export holding both definitions (default: the default export)
+  --old-export <name>  Named export of the old module, overriding --export
+  --new-export <name>  Named export of the new module, overriding --export
+  --json               Print the result as JSON
+`;
+
+/**
+ * Exit code of the diff command when a change is breaking, distinct from errors (1)
+ */
+const BREAKING_EXIT_CODE = 2;
+
+/**
+ * Flags that never take a value, so the argument after them stays a positional
+ */
+const BOOLEAN_FLAGS = new Set(['json', 'subdocument-ids']);
+
+/**
+ * Parses command line arguments into positionals and --flags
+ * @param {Array<string>} argv - Arguments after the node binary and script
+ * @returns {{ positionals: Array<string>, flags: Object }} Parsed arguments
+ */
+const parseArgs = (argv) => {
+    const positionals = [];
+    const flags = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            positionals.push(arg);
+            continue;
+        }
+
+        // Only the first "=" separates the value, which may hold more of them
+        const separator = arg.indexOf('=');
+        const key = separator === -1 ? arg.slice(2) : arg.slice(2, separator);
+        if (separator !== -1) {
+            flags[key] = arg.slice(separator + 1);
+        } else if (!BOOLEAN_FLAGS.has(key) && argv[i + 1] !== undefined && !argv[i + 1].startsWith('--')) {
+            flags[key] = argv[++i];
+        } else {
+            flags[key] = true;
+        }
+    }
+
+    return { positionals, flags };
+};
+
+/**
+ * Imports a definition from an ES module
+ * @param {string} modulePath - Path to the module, relative to the working directory
+ * @param {string} exportName - Named export, or undefined for the default export
+ * @returns {Promise<Object>} The schema definition
+ */
+const loadDefinition = async (modulePath, exportName) => {
+    const moduleExports = await import(pathToFileURL(resolve(modulePath)).href);
+    const definition = exportName ? moduleExports[exportName] : moduleExports.default;
+
+    if (!definition || typeof definition !== 'object') {
+        throw new Error(`${modulePath} has no ${exportName ? `export "${exportName}"` : 'default export'} holding a schema definition`);
+    }
+
+    return definition;
+};
+
+/**
+ * Writes command output to a file or stdout
+ * @param {string} output - The generated text
+ * @param {string} outFile - Target file, or undefined for stdout
+ */
+const emit = async (output, outFile) => {
+    if (typeof outFile === 'string') {
+        await mkdir(dirname(resolve(outFile)), { recursive: true });
+        await writeFile(outFile, output);
+    } else {
+        process.stdout.write(output);
+    }
+};
+
+/**
+ * Serializes definition values JSON has no form for (RegExps, functions, BigInts)
+ * @param {string} key - The property name
+ * @param {*} value - The property value
+ * @returns {*} A JSON-safe value
+ */
+const jsonReplacer = (key, value) => {
+    if (value instanceof RegExp || typeof value === 'function' || typeof value === 'bigint') {
+        return String(value);
+    }
+    return value;
+};
+
+/**
+ * Formats a diff as one aligned line per change
+ * @param {Object} result - The diffDefinitions result
+ * @returns {string} Text report
+ */
+const formatDiff = ({ changes }) => {
+    if (changes.length === 0) {
+        return 'No changes\n';
+    }
+
+    const pathWidth = Math.max(...changes.map(change => change.path.length));
+    const codeWidth = Math.max(...changes.map(change => change.code.length));
+    const lines = changes.map(change => [
+        change.severity === 'breaking' ? 'BREAKING    ' : 'non-breaking',
+        change.path.padEnd(pathWidth),
+        change.code.padEnd(codeWidth),
+        change.message
+    ].join('  '));
+    const breakingCount = changes.filter(change => change.severity === 'breaking').length;
+
+    return `${lines.join('\n')}\n\n${changes.length} change(s), ${breakingCount} breaking\n`;
+};
+
+const commands = {
+    types: async ({ positionals, flags }) => {
+        const [modulePath] = positionals;
+        if (!modulePath || typeof flags.name !== 'string') {
+            throw new Error(USAGE);
+        }
+
+        const definition = await loadDefinition(modulePath, flags.export);
+        const output = generateTypeDeclarations(definition, {
+            name: flags.name,
+            subdocumentIds: flags['subdocument-ids'] === true
+        });
+        await emit(output, flags.out);
+    },
+
+    diff: async ({ positionals, flags }) => {
+        const [oldPath, newPath] = positionals;
+        if (!oldPath || !newPath) {
+            throw new Error(USAGE);
+        }
+
+        const oldDefinition = await loadDefinition(oldPath, flags['old-export'] ?? flags.export);
+        const newDefinition = await loadDefinition(newPath, flags['new-export'] ?? flags.export);
+        const result = diffDefinitions(oldDefinition, newDefinition);
+
+        await emit(flags.json === true ? `${JSON.stringify(result, jsonReplacer, 2)}\n` : formatDiff(result));
+        if (result.breaking) {
+            process.exitCode = BREAKING_EXIT_CODE;
+        }
+    }
+};
+
+const main = async () => {
+    const [commandName, ...rest] = process.argv.slice(2);
+    const command = commands[commandName];
+
+    if (!command) {
+        process.stderr.write(USAGE);
+        process.exitCode = commandName ? 1 : 0;
+        return;
+    }
+
+    await command(parseArgs(rest));
+};
+
+main().catch((error) => {
+    process.stderr.write(`${error.message}\n`);
+    process.exitCode = 1;
+});
@@ -1,5 +1,5 @@
 import mongoose from 'mongoose';
-import { createSchemas, createMongooseSchema, createZodSchema } from './index.js';
+import { createSchemas, createMongooseSchema, createZodSchema, normalizeZodErrors } from './index.js';
 
 // Example schema definition
 const userSchema = {
@@ -128,13 +128,9 @@ try {
     console.log('Valid data passed validation:', validResult);
 } catch (error) {
     console.log('Validation failed:');
-    if (error.errors && Array.isArray(error.errors)) {
-        error.errors.forEach(err => {
-            console.log(`  - ${err.path.join('.')}: ${err.message}`);
-        });
-    } else {
-        console.log('  - Validation error:', error.message);
-    }
+    normalizeZodErrors(error).forEach(err => {
+        console.log(`  - ${err.field}: ${err.message}`);
+    });
 }
 
 console.log('\nTesting Zod Validation with Invalid Data:');
@@ -143,13 +139,9 @@ try {
     console.log('Invalid data passed validation (unexpected):', invalidResult);
 } catch (error) {
     console.log('Validation failed as expected:');
-    if (error.errors && Array.isArray(error.errors)) {
-        error.errors.forEach(err => {
-            console.log(`  - ${err.path.join('.')}: ${err.message}`);
-        });
-    } else {
-        console.log('  - Validation error:', error.message);
-    }
+    normalizeZodErrors(error).forEach(err => {
+        console.log(`  - ${err.field}: ${err.message}`);
+    });
 }
 
 console.log('\nTesting Mongoose Schema:');
@@ -182,18 +174,11 @@ try {
 // Example of using Zod for API validation
 console.log('\nExample: API Validation with Zod');
 const validateApiRequest = (reqBody) => {
-    try {
-        const validatedData = zodSchema.parse(reqBody);
-        return { success: true, data: validatedData };
-    } catch (error) {
-        return { 
-            success: false, 
-            errors: error.errors ? error.errors.map(err => ({
-                field: err.path.join('.'),
-                message: err.message
-            })) : [{ field: 'unknown', message: error.message }]
-        };
+    const result = zodSchema.safeParse(reqBody);
+    if (result.success) {
+        return { success: true, data: result.data };
     }
+    return { success: false, errors: normalizeZodErrors(result.error) };
 };
 
 const apiRequest = {
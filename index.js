@@ -1,50 +1,99 @@
-import { createMongooseSchema } from './src/models/mongooseSchema.js';
-import { createZodSchema, normalizeZodErrors } from './src/models/zodSchema.js';
-
-// Simple cache for schema generation to improve performance
-const schemaCache = new Map();
-
-/**
- * Generates a cache key for the schema definition
- * @param {Object} schemaDefinition - The schema definition object
- * @param {Object} options - Additional options
- * @returns {string} Cache key
- */
-const generateCacheKey = (schemaDefinition, options = {}) => {
-    return JSON.stringify({ schemaDefinition, options });
-};
+import { createMongooseSchema, normalizeMongooseErrors } from './src/models/mongooseSchema.js';
+import { createZodSchema, createZodSchemas, normalizeZodErrors } from './src/models/zodSchema.js';
+import { createModelRegistry } from './src/models/modelRegistry.js';
+import { normalizeErrors } from './src/errors/normalizeErrors.js';
+import { validateSchemaDefinition, SchemaDefinitionError } from './src/validation/validateSchemaDefinition.js';
+import { createJsonSchema, createOpenApiComponents } from './src/exporters/jsonSchema.js';
+import { createMongoValidator } from './src/exporters/mongoValidator.js';
+import { generateTypeDeclarations } from './src/exporters/typescript.js';
+import { definitionFromMongooseSchema } from './src/importers/mongooseDefinition.js';
+import { registerType, getRegisteredTypes } from './src/types/typeRegistry.js';
+import { registerLocale, getLocales } from './src/messages/messageCatalog.js';
+import { extend, pick, omit, merge, partial, rename } from './src/composition/definitionHelpers.js';
+import { diffDefinitions } from './src/diff/diffDefinitions.js';
+import { upgradeDocument } from './src/utils/versioning.js';
+import { migrateCollection } from './src/migrations/migrateCollection.js';
+import { applyCollectionValidator } from './src/migrations/applyCollectionValidator.js';
+import { createQuerySchema, toMongoQuery } from './src/query/querySchema.js';
+import { getCachedSchemas, clearSchemaCache, configureSchemaCache, getSchemaCacheStats } from './src/utils/schemaCache.js';
+import {
+    createValidationMiddleware,
+    validateBody,
+    validateQuery,
+    validateParams
+} from './src/middleware/validation.js';
 
 /**
  * Main function that takes a schema definition and returns both Mongoose and Zod schema builders
  * @param {Object} schemaDefinition - The schema definition object
  * @param {Object} options - Additional options for schema creation
- * @param {boolean} options.enableCache - Enable caching for better performance (default: true)
- * @returns {Object} Object containing mongooseSchema and zodSchema
+ * @param {boolean} options.enableCache - Reuse the schemas built for an equal definition and options (default: true)
+ * @param {boolean} options.validateDefinition - Lint the definition first and throw a SchemaDefinitionError on errors (default: false)
+ * @returns {Object} Object containing mongooseSchema, zodSchema (the create variant) and zodSchemas (create, update, replace, output)
  */
 const createSchemas = (schemaDefinition, options = {}) => {
-    const { enableCache = true, ...schemaOptions } = options;
-    
-    if (enableCache) {
-        const cacheKey = generateCacheKey(schemaDefinition, schemaOptions);
-        if (schemaCache.has(cacheKey)) {
-            return schemaCache.get(cacheKey);
+    const { enableCache = true, validateDefinition = false, ...schemaOptions } = options;
+
+    // Linted on every call, cache hits included, since the cache key does not hold validateDefinition
+    if (validateDefinition) {
+        const { errors, warnings } = validateSchemaDefinition(schemaDefinition, schemaOptions);
+        if (errors.length > 0) {
+            throw new SchemaDefinitionError(errors, warnings);
         }
     }
-    
-    const result = {
-        mongooseSchema: createMongooseSchema(schemaDefinition, schemaOptions),
-        zodSchema: createZodSchema(schemaDefinition, schemaOptions)
+
+    const build = () => {
+        const zodSchemas = createZodSchemas(schemaDefinition, schemaOptions);
+        return {
+            mongooseSchema: createMongooseSchema(schemaDefinition, schemaOptions),
+            zodSchema: zodSchemas.create,
+            zodSchemas
+        };
     };
-    
-    if (enableCache) {
-        const cacheKey = generateCacheKey(schemaDefinition, schemaOptions);
-        schemaCache.set(cacheKey, result);
-    }
-    
-    return result;
+
+    return enableCache ? getCachedSchemas(schemaDefinition, schemaOptions, build) : build();
 };
 
-export { createMongooseSchema, createZodSchema, createSchemas, normalizeZodErrors };
+export {
+    createMongooseSchema,
+    createZodSchema,
+    createZodSchemas,
+    createSchemas,
+    createModelRegistry,
+    clearSchemaCache,
+    configureSchemaCache,
+    getSchemaCacheStats,
+    normalizeZodErrors,
+    normalizeMongooseErrors,
+    normalizeErrors,
+    validateSchemaDefinition,
+    SchemaDefinitionError,
+    createJsonSchema,
+    createOpenApiComponents,
+    createMongoValidator,
+    applyCollectionValidator,
+    generateTypeDeclarations,
+    definitionFromMongooseSchema,
+    createValidationMiddleware,
+    validateBody,
+    validateQuery,
+    validateParams,
+    createQuerySchema,
+    toMongoQuery,
+    registerType,
+    getRegisteredTypes,
+    registerLocale,
+    getLocales,
+    extend,
+    pick,
+    omit,
+    merge,
+    partial,
+    rename,
+    diffDefinitions,
+    upgradeDocument,
+    migrateCollection
+};
 
 // Optional: You can still have a default export
 export default createSchemas;
\ No newline at end of file
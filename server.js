@@ -1,6 +1,6 @@
 import express from 'express';
 import dotenv from 'dotenv';
-import { createSchemas } from './index.js';
+import { createSchemas, createQuerySchema, toMongoQuery, validateBody, validateQuery, normalizeErrors } from './index.js';
 import mongoose from 'mongoose';
 
 // Example user schema definition
@@ -9,13 +9,17 @@ const userSchema = {
         type: 'String',
         required: true,
         minlength: 3,
-        maxlength: 50
+        maxlength: 50,
+        filterable: ['eq', 'contains'],
+        sortable: true
     },
     age: {
         type: 'Number',
         required: true,
         min: 0,
-        max: 120
+        max: 120,
+        filterable: ['gte', 'lte', 'eq'],
+        sortable: true
     },
     email: {
         type: 'String',
@@ -27,19 +31,23 @@ const userSchema = {
         type: 'String',
         required: true,
         minlength: 8,
-        regex: /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)[a-zA-Z\d@$!%*?&]{8,}$/
+        regex: /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)[a-zA-Z\d@$!%*?&]{8,}$/,
+        writeOnly: true  // accepted on signup, never returned in responses
     },
     role: {
         type: 'String',
         required: true,
+        readOnly: true,  // server-managed, clients cannot promote themselves
         enum: ['user', 'admin', 'moderator'],
-        default: 'user'
+        default: 'user',
+        filterable: ['eq', 'in']
     },
     tags: {
         type: 'Array',
         items: { type: 'String' },
         min: 0,
-        max: 10
+        max: 10,
+        filterable: ['eq', 'all']
     },
     profile: {
         type: 'Object',
@@ -47,7 +55,8 @@ const userSchema = {
     },
     isActive: {
         type: 'Boolean',
-        default: true
+        default: true,
+        filterable: ['eq']
     },
     score: {
         type: 'Number',
@@ -65,6 +74,9 @@ mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/schema-buil
 // Create both schemas from single source of truth
 const { mongooseSchema, zodSchema } = createSchemas(userSchema);
 
+// Query strings of GET /api/users: only the fields flagged filterable/sortable above are accepted
+const userQuerySchema = createQuerySchema(userSchema, { defaultSort: '-createdAt', maxLimit: 50 });
+
 // Create Mongoose model
 const User = mongoose.model('User', mongooseSchema);
 
@@ -72,13 +84,11 @@ const app = express();
 app.use(express.json());
 
 // Example API endpoint that uses Zod for validation
-app.post('/api/users', async (req, res) => {
+// validateBody responds 400 with normalized errors, so the handler only sees valid data
+app.post('/api/users', validateBody(zodSchema), async (req, res) => {
     try {
-        // Validate request body with Zod
-        const validatedData = zodSchema.parse(req.body);
-        
         // Create user in database
-        const user = await User.create(validatedData);
+        const user = await User.create(req.body);
         
         res.status(201).json({
             success: true,
@@ -86,35 +96,40 @@ app.post('/api/users', async (req, res) => {
             message: 'User created successfully'
         });
     } catch (error) {
-        if (error.name === 'ZodError') {
-            // Handle validation errors
-            res.status(400).json({
+        // Database validation and duplicate-key errors use the same shape as Zod errors
+        const errors = normalizeErrors(error);
+        if (errors) {
+            const isDuplicate = errors.some(err => err.code === 'duplicate_key');
+            return res.status(isDuplicate ? 409 : 400).json({
                 success: false,
-                message: 'Validation failed',
-                errors: error.errors ? error.errors.map(err => ({
-                    field: err.path.join('.'),
-                    message: err.message
-                })) : [{ field: 'unknown', message: error.message }]
-            });
-        } else {
-            // Handle other errors (like duplicate email)
-            res.status(500).json({
-                success: false,
-                message: 'Internal server error',
-                error: error.message
+                message: isDuplicate ? 'Duplicate value' : 'Validation failed',
+                errors
             });
         }
+
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
     }
 });
 
-// Example endpoint to get all users
-app.get('/api/users', async (req, res) => {
+// Example endpoint to list users, e.g. GET /api/users?age[gte]=18&role[in]=admin,user&sort=-score&page=2
+app.get('/api/users', validateQuery(userQuerySchema), async (req, res) => {
     try {
-        const users = await User.find();
+        const { filter, sort, skip, limit } = toMongoQuery(req.query);
+        const [users, total] = await Promise.all([
+            User.find(filter).sort(sort).skip(skip).limit(limit),
+            User.countDocuments(filter)
+        ]);
         res.json({
             success: true,
             data: users,
-            count: users.length
+            count: users.length,
+            page: req.query.page,
+            limit,
+            total
         });
     } catch (error) {
         res.status(500).json({
@@ -130,5 +145,5 @@ app.listen(PORT, () => {
     console.log(`Server is running on port ${PORT}`);
     console.log(`Schema Builder Demo API is ready!`);
     console.log(`Try POST /api/users with user data`);
-    console.log(`Try GET /api/users to see all users`);
+    console.log(`Try GET /api/users?age[gte]=18&sort=-createdAt to list users`);
 });
\ No newline at end of file
@@ -0,0 +1,332 @@
+import { normalizeFieldProps } from '../utils/fieldUtils.js';
+import { resolveType } from '../types/typeRegistry.js';
+
+/**
+ * Reads the nested definition a field holds: its own `schema`, or the `schema` of its array items
+ * @param {Object|Array} field - The field definition
+ * @returns {Object|null} The nested definition, or null for fields without one
+ */
+const getChildDefinition = (field) => {
+    const fieldProps = normalizeFieldProps(field);
+    if (fieldProps.schema) {
+        return fieldProps.schema;
+    }
+    if (fieldProps.items) {
+        return normalizeFieldProps(fieldProps.items).schema || null;
+    }
+    return null;
+};
+
+/**
+ * Replaces the nested definition of a field, keeping its other properties
+ * @param {Object|Array} field - The field definition
+ * @param {Object} childDefinition - The new nested definition
+ * @returns {Object} The new field definition
+ */
+const withChildDefinition = (field, childDefinition) => {
+    const fieldProps = normalizeFieldProps(field);
+    if (fieldProps.schema) {
+        return { ...fieldProps, schema: childDefinition };
+    }
+    return { ...fieldProps, items: { ...normalizeFieldProps(fieldProps.items), schema: childDefinition } };
+};
+
+/**
+ * Compares two field definitions
+ * Types are compared by what they resolve to, so `'String'`, `'string'` and `String` are the same.
+ * @param {*} a - First definition or value
+ * @param {*} b - Second definition or value
+ * @param {string} key - Property name the values belong to
+ * @returns {boolean} True when both describe the same field
+ */
+const isSameDefinition = (a, b, key) => {
+    if (a === b) {
+        return true;
+    }
+    if (key === 'type' && resolveType(a) !== null) {
+        return resolveType(a) === resolveType(b);
+    }
+    if (a instanceof RegExp && b instanceof RegExp) {
+        return a.toString() === b.toString();
+    }
+    if (a instanceof Date && b instanceof Date) {
+        return a.getTime() === b.getTime();
+    }
+    if (Array.isArray(a) || Array.isArray(b)) {
+        return Array.isArray(a) && Array.isArray(b) && a.length === b.length &&
+            a.every((value, index) => isSameDefinition(value, b[index]));
+    }
+    if (!a || !b || typeof a !== 'object' || typeof b !== 'object' ||
+        Object.getPrototypeOf(a) !== Object.prototype || Object.getPrototypeOf(b) !== Object.prototype) {
+        return false;
+    }
+
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length &&
+        keys.every(name => Object.prototype.hasOwnProperty.call(b, name) && isSameDefinition(a[name], b[name], name));
+};
+
+/**
+ * Groups dotted paths by their first segment
+ * @param {Array<string>} paths - Dotted paths ('name', 'address.city')
+ * @returns {Map<string, Array<string>|null>} Remaining paths per field, null when the whole field is meant
+ */
+const groupPaths = (paths) => {
+    if (!Array.isArray(paths)) {
+        throw new Error('Paths must be an array of field names or dotted paths');
+    }
+
+    const groups = new Map();
+    paths.forEach(path => {
+        const [head, ...rest] = String(path).split('.');
+        if (rest.length === 0 || groups.get(head) === null) {
+            groups.set(head, null);
+        } else {
+            groups.set(head, [...(groups.get(head) || []), rest.join('.')]);
+        }
+    });
+    return groups;
+};
+
+/**
+ * Applies a change to the level of a definition a dotted path points into
+ * @param {Object} definition - The schema definition
+ * @param {Array<string>} segments - Path segments of the level (empty for the top level)
+ * @param {Function} change - Receives the level's definition and returns its replacement
+ * @param {string} path - The full path, for error messages
+ * @returns {Object} The new definition
+ */
+const updateLevel = (definition, segments, change, path) => {
+    if (segments.length === 0) {
+        return change(definition);
+    }
+
+    const [head, ...rest] = segments;
+    if (definition[head] === undefined) {
+        throw new Error(`Unknown field "${head}" in path "${path}"`);
+    }
+    const childDefinition = getChildDefinition(definition[head]);
+    if (!childDefinition) {
+        throw new Error(`Field "${head}" in path "${path}" has no nested schema`);
+    }
+
+    return {
+        ...definition,
+        [head]: withChildDefinition(definition[head], updateLevel(childDefinition, rest, change, path))
+    };
+};
+
+/**
+ * Reads the field definition at a dotted path
+ * @param {Object} definition - The schema definition
+ * @param {string} path - Dotted path
+ * @returns {Object|Array|undefined} The field definition, or undefined when the path is missing
+ */
+const getField = (definition, path) => {
+    const segments = path.split('.');
+    let level = definition;
+    for (const segment of segments.slice(0, -1)) {
+        level = level[segment] === undefined ? null : getChildDefinition(level[segment]);
+        if (!level) {
+            return undefined;
+        }
+    }
+    return level[segments[segments.length - 1]];
+};
+
+/**
+ * Changes the field at a dotted path
+ * @param {Object} definition - The schema definition
+ * @param {string} path - Dotted path of the field
+ * @param {Function} change - Receives the current field definition (or undefined) and returns the new one
+ * @returns {Object} The new definition
+ */
+const updateField = (definition, path, change) => {
+    const segments = path.split('.');
+    const name = segments.pop();
+    return updateLevel(definition, segments, level => ({ ...level, [name]: change(level[name]) }), path);
+};
+
+/**
+ * Adds fields to a definition, or replaces existing ones
+ * Keys may be dotted paths into nested schemas (`'address.zip'`); replaced fields keep their position.
+ * @param {Object} schemaDefinition - The schema definition
+ * @param {Object} fields - Field definitions keyed by name or dotted path
+ * @returns {Object} The new definition
+ */
+export const extend = (schemaDefinition, fields) => {
+    return Object.entries(fields).reduce((definition, [path, field]) => updateField(definition, path, () => field), schemaDefinition);
+};
+
+/**
+ * Keeps the listed fields of one level of a definition
+ * @param {Object} definition - The level's definition
+ * @param {Array<string>} paths - Field names or dotted paths, relative to the level
+ * @param {string} prefix - Dotted path of the level, for error messages
+ * @returns {Object} The picked fields, in the original field order
+ */
+const pickLevel = (definition, paths, prefix) => {
+    const groups = groupPaths(paths);
+    groups.forEach((rest, name) => {
+        if (definition[name] === undefined) {
+            throw new Error(`Cannot pick unknown field "${prefix}${name}"`);
+        }
+    });
+
+    const picked = {};
+    Object.entries(definition)
+        .filter(([name]) => groups.has(name))
+        .forEach(([name, field]) => {
+            const rest = groups.get(name);
+            picked[name] = rest === null
+                ? field
+                : updateLevel({ [name]: field }, [name], child => pickLevel(child, rest, `${prefix}${name}.`), `${prefix}${name}`)[name];
+        });
+    return picked;
+};
+
+/**
+ * Keeps only the listed fields of a definition
+ * A dotted path keeps the nested object with only the listed sub-fields (`['name', 'address.city']`).
+ * @param {Object} schemaDefinition - The schema definition
+ * @param {Array<string>} paths - Field names or dotted paths
+ * @returns {Object} The new definition, in the original field order
+ */
+export const pick = (schemaDefinition, paths) => {
+    return pickLevel(schemaDefinition, paths, '');
+};
+
+/**
+ * Removes the listed fields from one level of a definition
+ * @param {Object} definition - The level's definition
+ * @param {Array<string>} paths - Field names or dotted paths, relative to the level
+ * @param {string} prefix - Dotted path of the level, for error messages
+ * @returns {Object} The remaining fields
+ */
+const omitLevel = (definition, paths, prefix) => {
+    let remaining = { ...definition };
+
+    groupPaths(paths).forEach((rest, name) => {
+        if (remaining[name] === undefined) {
+            throw new Error(`Cannot omit unknown field "${prefix}${name}"`);
+        }
+        if (rest === null) {
+            delete remaining[name];
+        } else {
+            remaining = updateLevel(remaining, [name], child => omitLevel(child, rest, `${prefix}${name}.`), `${prefix}${name}`);
+        }
+    });
+    return remaining;
+};
+
+/**
+ * Removes the listed fields from a definition
+ * A dotted path removes a sub-field and keeps the rest of the nested object (`['address.zip']`).
+ * @param {Object} schemaDefinition - The schema definition
+ * @param {Array<string>} paths - Field names or dotted paths
+ * @returns {Object} The new definition
+ */
+export const omit = (schemaDefinition, paths) => {
+    return omitLevel(schemaDefinition, paths, '');
+};
+
+/**
+ * Merges two levels of definitions, collecting the paths both define differently
+ * @param {Object} target - The definition merged so far
+ * @param {Object} source - The definition to add
+ * @param {string} prefix - Dotted path of the level
+ * @param {Array<string>} conflicts - Collects conflicting paths
+ * @returns {Object} The merged level
+ */
+const mergeLevels = (target, source, prefix, conflicts) => {
+    const merged = { ...target };
+
+    for (const [name, field] of Object.entries(source)) {
+        const path = prefix ? `${prefix}.${name}` : name;
+        if (merged[name] === undefined) {
+            merged[name] = field;
+            continue;
+        }
+        if (isSameDefinition(merged[name], field)) {
+            continue;
+        }
+
+        // Nested blocks are merged field by field when everything else about them agrees
+        const targetChild = getChildDefinition(merged[name]);
+        const sourceChild = getChildDefinition(field);
+        if (targetChild && sourceChild &&
+            isSameDefinition(withChildDefinition(merged[name], {}), withChildDefinition(field, {}))) {
+            merged[name] = withChildDefinition(merged[name], mergeLevels(targetChild, sourceChild, path, conflicts));
+        } else {
+            conflicts.push(path);
+        }
+    }
+
+    return merged;
+};
+
+/**
+ * Combines definitions, such as a base definition and reusable blocks (address, audit fields)
+ * Fields defined identically in several definitions are kept once and nested schemas are merged
+ * field by field. A field defined differently is a conflict; use `extend` to replace fields on purpose.
+ * @param {...Object} schemaDefinitions - The definitions to combine, in field order
+ * @returns {Object} The merged definition
+ */
+export const merge = (...schemaDefinitions) => {
+    const conflicts = [];
+    const merged = schemaDefinitions.reduce((definition, source) => mergeLevels(definition, source, '', conflicts), {});
+
+    if (conflicts.length > 0) {
+        throw new Error(`Cannot merge definitions, these fields are defined differently: ${conflicts.join(', ')}`);
+    }
+    return merged;
+};
+
+/**
+ * Makes fields optional (`required: false`) in both layers
+ * @param {Object} schemaDefinition - The schema definition
+ * @param {Array<string>} paths - Field names or dotted paths (default: every top-level field)
+ * @returns {Object} The new definition
+ */
+export const partial = (schemaDefinition, paths = Object.keys(schemaDefinition)) => {
+    return paths.reduce((definition, path) => updateField(definition, path, (field) => {
+        if (field === undefined) {
+            throw new Error(`Cannot make unknown field "${path}" optional`);
+        }
+        return { ...normalizeFieldProps(field), required: false };
+    }), schemaDefinition);
+};
+
+/**
+ * Renames fields, keeping their position
+ * Dotted targets in another object move the field there (`{ 'zip': 'address.zip' }`).
+ * Paths inside `refinements` and `discriminator` declarations are not rewritten.
+ * @param {Object} schemaDefinition - The schema definition
+ * @param {Object} renames - New paths keyed by current path (`{ fullName: 'name' }`)
+ * @returns {Object} The new definition
+ */
+export const rename = (schemaDefinition, renames) => {
+    return Object.entries(renames).reduce((definition, [from, to]) => {
+        const field = getField(definition, from);
+        if (field === undefined) {
+            throw new Error(`Cannot rename unknown field "${from}"`);
+        }
+        if (getField(definition, to) !== undefined) {
+            throw new Error(`Cannot rename "${from}" to "${to}": the field already exists`);
+        }
+
+        const fromSegments = from.split('.');
+        const toSegments = to.split('.');
+        const fromName = fromSegments.pop();
+        const toName = toSegments.pop();
+
+        if (fromSegments.join('.') !== toSegments.join('.')) {
+            return extend(omit(definition, [from]), { [to]: field });
+        }
+
+        // Same object: rebuild it so the field keeps its position
+        return updateLevel(definition, fromSegments, level => Object.fromEntries(
+            Object.entries(level).map(([name, value]) => [name === fromName ? toName : name, value])
+        ), from);
+    }, schemaDefinition);
+};
@@ -0,0 +1,383 @@
+import { normalizeFieldProps, normalizeValidators, isWritableField } from '../utils/fieldUtils.js';
+import { normalizeRefinements } from '../utils/refinements.js';
+import { normalizeDiscriminator } from '../utils/discriminators.js';
+import { resolveType } from '../types/typeRegistry.js';
+
+const BREAKING = 'breaking';
+const NON_BREAKING = 'non-breaking';
+
+/**
+ * Bounds and whether a higher value makes them stricter
+ */
+const BOUNDS = {
+    minlength: 'higher',
+    maxlength: 'lower',
+    min: 'higher',
+    max: 'lower',
+    precision: 'lower',
+    scale: 'lower'
+};
+
+/**
+ * Rules that only ever reject more data when they are turned on
+ */
+const FLAG_RULES = ['unique', 'uniqueItems', 'email'];
+
+/**
+ * Visibility flags and who notices when they are turned on
+ */
+const VISIBILITY_FLAGS = {
+    readOnly: 'clients can no longer send it',
+    writeOnly: 'it is no longer returned to clients',
+    private: 'clients can no longer send or read it'
+};
+
+/**
+ * Properties compared by dedicated rules rather than the generic property check
+ */
+const HANDLED_PROPERTIES = [
+    'type', 'required', 'default', 'enum', 'regex', 'match', 'validate', 'refinements', 'unknownKeys',
+    'coerce', 'ref', 'schema', 'items', 'of', 'discriminator', 'messages', 'minLength', 'maxLength',
+    ...Object.keys(BOUNDS), ...FLAG_RULES, ...Object.keys(VISIBILITY_FLAGS)
+];
+
+/**
+ * Map values are strings unless the definition says otherwise
+ */
+const DEFAULT_MAP_VALUE = { type: 'String' };
+
+/**
+ * Arrays without `items` accept anything
+ */
+const DEFAULT_ARRAY_ITEMS = { type: 'Mixed' };
+
+/**
+ * Reads a property that has a camelCase alias (minLength, maxLength) or a synonym (match)
+ * @param {Object} fieldProps - The field definition
+ * @param {string} propName - The canonical property name
+ * @returns {*} The property value
+ */
+const readProperty = (fieldProps, propName) => {
+    switch (propName) {
+        case 'minlength':
+            return fieldProps.minlength ?? fieldProps.minLength;
+        case 'maxlength':
+            return fieldProps.maxlength ?? fieldProps.maxLength;
+        case 'regex':
+            return fieldProps.regex ?? fieldProps.match;
+        default:
+            return fieldProps[propName];
+    }
+};
+
+/**
+ * Describes where a field must be present
+ * Mongoose only enforces `required: true`, while request bodies need every writable field
+ * that has no default and is not `required: false`.
+ * @param {Object} fieldProps - The field definition
+ * @returns {{ database: boolean, api: boolean }} Where the field is required
+ */
+const getRequirement = (fieldProps) => {
+    const hasDefault = fieldProps.default !== undefined;
+    return {
+        database: fieldProps.required === true && !hasDefault,
+        api: isWritableField(fieldProps) && !hasDefault && fieldProps.required !== false
+    };
+};
+
+/**
+ * Compares values that cannot be compared by identity (RegExps, functions, Dates, arrays)
+ * @param {*} value - The value
+ * @returns {string} A comparable representation
+ */
+const toComparable = (value) => {
+    if (value instanceof RegExp || typeof value === 'function' || typeof value === 'bigint') {
+        return String(value);
+    }
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    if (value && typeof value === 'object') {
+        return JSON.stringify(value, (key, nested) => (nested instanceof RegExp || typeof nested === 'function' || typeof nested === 'bigint'
+            ? String(nested)
+            : nested));
+    }
+    return String(value);
+};
+
+/**
+ * Lists the sources of a field's custom validators, so edits show up as changes
+ * @param {*} validate - The `validate` property
+ * @returns {Array<string>} Validator sources
+ */
+const getValidatorSources = (validate) => {
+    try {
+        return normalizeValidators(validate).map(({ validator }) => String(validator));
+    } catch (error) {
+        // Invalid validators are reported by the linter
+        return [];
+    }
+};
+
+/**
+ * Compares two schema definitions and classifies every change as breaking or not
+ *
+ * A change is breaking when stored documents or existing API clients may be rejected or miss
+ * data because of it: removed fields, type changes, newly required fields, removed enum values,
+ * tighter bounds, new unique constraints, new or changed patterns and validators, and so on.
+ * Paths are dotted like the linter's (`address.city`, `lineItems.items.sku`).
+ *
+ * @param {Object} oldDefinition - The current definition
+ * @param {Object} newDefinition - The proposed definition
+ * @returns {{ breaking: boolean, changes: Array<{ path: string, code: string, severity: string, message: string, before: *, after: * }> }} Diff result
+ */
+export const diffDefinitions = (oldDefinition, newDefinition) => {
+    const changes = [];
+
+    const record = (severity) => (path, code, message, before, after) => {
+        changes.push({ path, code, severity, message, before, after });
+    };
+    const breaking = record(BREAKING);
+    const nonBreaking = record(NON_BREAKING);
+
+    const diffRequirement = (path, oldProps, newProps) => {
+        const before = getRequirement(oldProps);
+        const after = getRequirement(newProps);
+
+        if (after.database && !before.database) {
+            breaking(path, 'required_added', 'Field became required without a default, stored documents without it fail validation', oldProps.required, newProps.required);
+        } else if (after.api && !before.api) {
+            breaking(path, 'required_added', 'Field became required in request bodies (no default and not `required: false`)', oldProps.required, newProps.required);
+        } else if ((before.database && !after.database) || (before.api && !after.api)) {
+            nonBreaking(path, 'required_removed', 'Field is no longer required', oldProps.required, newProps.required);
+        }
+    };
+
+    const diffEnum = (path, oldValues, newValues) => {
+        if (!Array.isArray(oldValues) && !Array.isArray(newValues)) {
+            return;
+        }
+        if (!Array.isArray(oldValues)) {
+            breaking(path, 'enum_added', `Values are now limited to: ${newValues.join(', ')}`, oldValues, newValues);
+            return;
+        }
+        if (!Array.isArray(newValues)) {
+            nonBreaking(path, 'enum_removed', 'Values are no longer limited to a list', oldValues, newValues);
+            return;
+        }
+
+        const removed = oldValues.filter(value => !newValues.includes(value));
+        const added = newValues.filter(value => !oldValues.includes(value));
+        if (removed.length > 0) {
+            breaking(path, 'enum_value_removed', `Enum values removed: ${removed.join(', ')}`, oldValues, newValues);
+        }
+        if (added.length > 0) {
+            nonBreaking(path, 'enum_value_added', `Enum values added: ${added.join(', ')}`, oldValues, newValues);
+        }
+    };
+
+    const diffBound = (path, propName, before, after) => {
+        if (before === undefined && after === undefined) {
+            return;
+        }
+        if (before !== undefined && after !== undefined && Number(before) === Number(after)) {
+            return;
+        }
+
+        const stricter = BOUNDS[propName] === 'higher' ? Number(after) > Number(before) : Number(after) < Number(before);
+        if (before === undefined || (after !== undefined && stricter)) {
+            breaking(path, `${propName}_tightened`, before === undefined
+                ? `${propName} ${after} was added`
+                : `${propName} was tightened from ${before} to ${after}`, before, after);
+        } else {
+            nonBreaking(path, `${propName}_loosened`, after === undefined
+                ? `${propName} ${before} was removed`
+                : `${propName} was loosened from ${before} to ${after}`, before, after);
+        }
+    };
+
+    const diffFlag = (path, propName, before, after, reason) => {
+        if (Boolean(before) === Boolean(after)) {
+            return;
+        }
+        if (after) {
+            breaking(path, `${propName}_added`, reason ? `${propName} was turned on, ${reason}` : `${propName} was turned on`, before, after);
+        } else {
+            nonBreaking(path, `${propName}_removed`, `${propName} was turned off`, before, after);
+        }
+    };
+
+    const diffRegex = (path, before, after) => {
+        if (before === undefined && after === undefined) {
+            return;
+        }
+        if (before === undefined) {
+            breaking(path, 'regex_added', `Values must now match ${String(after)}`, before, after);
+        } else if (after === undefined) {
+            nonBreaking(path, 'regex_removed', 'Values no longer need to match a pattern', before, after);
+        } else if (String(before) !== String(after)) {
+            breaking(path, 'regex_changed', `Pattern changed from ${String(before)} to ${String(after)}`, before, after);
+        }
+    };
+
+    const diffValidators = (path, before, after) => {
+        const oldSources = getValidatorSources(before);
+        const newSources = getValidatorSources(after);
+        if (newSources.some(source => !oldSources.includes(source))) {
+            breaking(path, 'validator_changed', 'Custom validators were added or changed', before, after);
+        } else if (oldSources.some(source => !newSources.includes(source))) {
+            nonBreaking(path, 'validator_removed', 'Custom validators were removed', before, after);
+        }
+    };
+
+    const diffRefinements = (path, before, after) => {
+        const sources = (refinements) => {
+            try {
+                return new Map(normalizeRefinements(refinements).map(rule => [rule.name, String(rule.check)]));
+            } catch (error) {
+                return new Map();
+            }
+        };
+        const oldRules = sources(before);
+        const newRules = sources(after);
+
+        newRules.forEach((source, name) => {
+            if (!oldRules.has(name)) {
+                breaking(`${path}.refinements.${name}`, 'refinement_added', `Cross-field rule "${name}" was added`, undefined, name);
+            } else if (oldRules.get(name) !== source) {
+                breaking(`${path}.refinements.${name}`, 'refinement_changed', `Cross-field rule "${name}" was changed`, name, name);
+            }
+        });
+        oldRules.forEach((source, name) => {
+            if (!newRules.has(name)) {
+                nonBreaking(`${path}.refinements.${name}`, 'refinement_removed', `Cross-field rule "${name}" was removed`, name, undefined);
+            }
+        });
+    };
+
+    const diffDiscriminator = (path, before, after) => {
+        if (before === undefined && after === undefined) {
+            return;
+        }
+        let oldDiscriminator;
+        let newDiscriminator;
+        try {
+            oldDiscriminator = before === undefined ? null : normalizeDiscriminator(before);
+            newDiscriminator = after === undefined ? null : normalizeDiscriminator(after);
+        } catch (error) {
+            return;
+        }
+
+        if (!oldDiscriminator || !newDiscriminator || oldDiscriminator.key !== newDiscriminator.key) {
+            breaking(`${path}.discriminator`, 'discriminator_changed', 'The discriminator was added, removed or keyed differently',
+                oldDiscriminator?.key, newDiscriminator?.key);
+            return;
+        }
+
+        const newVariants = new Map(newDiscriminator.variants.map(({ value, definition }) => [value, definition]));
+        oldDiscriminator.variants.forEach(({ value, definition }) => {
+            const variantPath = `${path}.discriminator.variants.${value}`;
+            if (!newVariants.has(value)) {
+                breaking(variantPath, 'variant_removed', `Variant "${value}" was removed`, value, undefined);
+                return;
+            }
+            diffLevel(variantPath, definition, newVariants.get(value));
+            newVariants.delete(value);
+        });
+        newVariants.forEach((definition, value) => {
+            nonBreaking(`${path}.discriminator.variants.${value}`, 'variant_added', `Variant "${value}" was added`, undefined, value);
+        });
+    };
+
+    const diffField = (path, oldField, newField) => {
+        const oldProps = normalizeFieldProps(oldField);
+        const newProps = normalizeFieldProps(newField);
+
+        // Every other rule is meaningless once the type differs
+        const oldType = resolveType(oldProps.type)?.name ?? String(oldProps.type);
+        const newType = resolveType(newProps.type)?.name ?? String(newProps.type);
+        if (oldType !== newType) {
+            breaking(path, 'type_changed', `Type changed from ${oldType} to ${newType}`, oldType, newType);
+            return;
+        }
+
+        diffRequirement(path, oldProps, newProps);
+        diffEnum(path, oldProps.enum, newProps.enum);
+        Object.keys(BOUNDS).forEach(propName => {
+            diffBound(path, propName, readProperty(oldProps, propName), readProperty(newProps, propName));
+        });
+        FLAG_RULES.forEach(propName => diffFlag(path, propName, oldProps[propName], newProps[propName]));
+        Object.entries(VISIBILITY_FLAGS).forEach(([propName, reason]) => {
+            diffFlag(path, propName, oldProps[propName], newProps[propName], reason);
+        });
+        diffRegex(path, readProperty(oldProps, 'regex'), readProperty(newProps, 'regex'));
+        diffValidators(path, oldProps.validate, newProps.validate);
+
+        if (oldProps.unknownKeys !== newProps.unknownKeys) {
+            (newProps.unknownKeys === 'strict' ? breaking : nonBreaking)(path, 'unknown_keys_changed',
+                `Unknown keys are now handled with "${newProps.unknownKeys ?? 'default'}"`, oldProps.unknownKeys, newProps.unknownKeys);
+        }
+        if (oldProps.coerce === true && newProps.coerce !== true) {
+            breaking(path, 'coerce_removed', 'String input is no longer converted', oldProps.coerce, newProps.coerce);
+        }
+        if (oldProps.ref !== newProps.ref) {
+            breaking(path, 'ref_changed', `Reference changed from ${oldProps.ref ?? 'none'} to ${newProps.ref ?? 'none'}`, oldProps.ref, newProps.ref);
+        }
+        if (toComparable(oldProps.default) !== toComparable(newProps.default)) {
+            nonBreaking(path, 'default_changed', 'Default value changed', oldProps.default, newProps.default);
+        }
+
+        // Options such as index, select or immutable do not reject data
+        const otherProps = new Set([...Object.keys(oldProps), ...Object.keys(newProps)]);
+        otherProps.forEach(propName => {
+            if (!HANDLED_PROPERTIES.includes(propName) && toComparable(oldProps[propName]) !== toComparable(newProps[propName])) {
+                nonBreaking(path, 'property_changed', `"${propName}" changed`, oldProps[propName], newProps[propName]);
+            }
+        });
+
+        if (oldProps.schema || newProps.schema) {
+            diffLevel(path, oldProps.schema || {}, newProps.schema || {});
+        }
+        if (oldProps.items || newProps.items) {
+            diffField(`${path}.items`, oldProps.items ?? DEFAULT_ARRAY_ITEMS, newProps.items ?? DEFAULT_ARRAY_ITEMS);
+        }
+        if (oldType === 'map') {
+            diffField(`${path}.of`, oldProps.of ?? DEFAULT_MAP_VALUE, newProps.of ?? DEFAULT_MAP_VALUE);
+        }
+        diffRefinements(path, oldProps.refinements, newProps.refinements);
+        diffDiscriminator(path, oldProps.discriminator, newProps.discriminator);
+    };
+
+    const diffLevel = (prefix, oldLevel, newLevel) => {
+        const fieldPath = (fieldName) => (prefix ? `${prefix}.${fieldName}` : fieldName);
+
+        Object.keys(oldLevel).forEach(fieldName => {
+            if (newLevel[fieldName] === undefined) {
+                breaking(fieldPath(fieldName), 'field_removed', 'Field was removed, stored values are no longer returned and clients sending it are affected', oldLevel[fieldName], undefined);
+            } else {
+                diffField(fieldPath(fieldName), oldLevel[fieldName], newLevel[fieldName]);
+            }
+        });
+
+        Object.keys(newLevel)
+            .filter(fieldName => oldLevel[fieldName] === undefined)
+            .forEach(fieldName => {
+                const newProps = normalizeFieldProps(newLevel[fieldName]);
+                const requirement = getRequirement(newProps);
+                if (requirement.database || requirement.api) {
+                    breaking(fieldPath(fieldName), 'required_field_added', requirement.database
+                        ? 'Required field without a default was added, stored documents without it fail validation'
+                        : 'Field was added and is required in request bodies (no default and not `required: false`)', undefined, newLevel[fieldName]);
+                } else {
+                    nonBreaking(fieldPath(fieldName), 'field_added', 'Optional field was added', undefined, newLevel[fieldName]);
+                }
+            });
+    };
+
+    diffLevel('', oldDefinition, newDefinition);
+
+    return {
+        breaking: changes.some(change => change.severity === BREAKING),
+        changes
+    };
+};
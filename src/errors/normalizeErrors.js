@@ -0,0 +1,28 @@
+import { normalizeZodErrors } from '../models/zodSchema.js';
+import { normalizeMongooseErrors } from '../models/mongooseSchema.js';
+
+const MONGOOSE_ERROR_NAMES = ['ValidationError', 'CastError', 'StrictModeError'];
+const DUPLICATE_KEY_CODES = [11000, 11001];
+
+/**
+ * Normalizes an error from either layer into the `{ field, message, code, value, type }` format
+ * @param {Error} error - A ZodError, Mongoose error or MongoDB duplicate-key error
+ * @param {Object} options - Message options for Mongoose errors (see normalizeMongooseErrors)
+ * @returns {Array|null} Normalized error array, or null when the error is not a data error
+ *   (callers can treat null as a server error)
+ */
+export const normalizeErrors = (error, options = {}) => {
+    if (!error) {
+        return null;
+    }
+
+    if (error.name === 'ZodError' || Array.isArray(error.issues)) {
+        return normalizeZodErrors(error);
+    }
+
+    if (MONGOOSE_ERROR_NAMES.includes(error.name) || DUPLICATE_KEY_CODES.includes(error.code)) {
+        return normalizeMongooseErrors(error, options);
+    }
+
+    return null;
+};
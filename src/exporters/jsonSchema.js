@@ -0,0 +1,346 @@
+import {
+    normalizeFieldProps,
+    getNestedOptions,
+    resolveUnknownKeys,
+    resolveSystemFields,
+    isWritableField,
+    isReadableField,
+    SCHEMA_VARIANTS,
+    DEFAULT_PASSWORD_REGEX
+} from '../utils/fieldUtils.js';
+import { resolveType } from '../types/typeRegistry.js';
+import { objectIdJsonSchema } from '../types/builtinTypes.js';
+import { normalizeDiscriminator, omitDiscriminatorKey } from '../utils/discriminators.js';
+
+const JSON_SCHEMA_DIALECT = 'https://json-schema.org/draft/2020-12/schema';
+
+/**
+ * Converts a default value into its JSON representation
+ * @param {*} value - The default value from the definition
+ * @returns {*} JSON-compatible value, or undefined when it cannot be represented
+ */
+const toJsonDefault = (value) => {
+    // Function defaults (e.g. Date.now) are evaluated at insert time and have no static value
+    if (typeof value === 'function') {
+        return undefined;
+    }
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    return value;
+};
+
+/**
+ * Regular expression flags that change what a pattern matches
+ */
+const MATCHING_FLAGS = ['i', 'm', 's'];
+
+/**
+ * Converts a `regex` rule into a JSON Schema pattern
+ * JSON Schema patterns carry no flags and ECMA-262 has no inline modifiers, so a flag that changes
+ * what the pattern matches cannot be exported without the exported schema disagreeing with the validators.
+ * @param {string} fieldName - The field name, for the error message
+ * @param {RegExp|string} regex - The pattern
+ * @returns {string} Pattern string
+ */
+const toPattern = (fieldName, regex) => {
+    if (!(regex instanceof RegExp)) {
+        return String(regex);
+    }
+    const flags = regex.flags.split('').filter(flag => MATCHING_FLAGS.includes(flag));
+    if (flags.length > 0) {
+        throw new Error(`Field "${fieldName}": regex ${regex} uses the "${flags.join('')}" flag, which JSON Schema patterns cannot express; write the pattern without it (e.g. [Aa] instead of the i flag)`);
+    }
+    return regex.source;
+};
+
+/**
+ * Converts an object field into a JSON Schema, recursing into nested definitions
+ * @param {Object} fieldProps - The normalized object field definition
+ * @param {Object} options - Options passed to createJsonSchema
+ * @returns {Object} JSON Schema for the object
+ */
+const objectToJsonSchema = (fieldProps, options) => {
+    if (!fieldProps.schema) {
+        const jsonSchema = { type: 'object' };
+        if (fieldProps.unknownKeys === 'strict') {
+            jsonSchema.additionalProperties = false;
+        }
+        return jsonSchema;
+    }
+
+    const { variant = 'create', subdocumentIds = false } = options;
+    const jsonSchema = definitionToJsonSchema(fieldProps.schema, getNestedOptions(fieldProps, options));
+    const hasId = fieldProps._id !== undefined ? fieldProps._id : subdocumentIds;
+    return variant === 'output' && hasId ? extendJsonSchema(jsonSchema, { _id: objectIdJsonSchema() }) : jsonSchema;
+};
+
+/**
+ * Adds properties to an object JSON Schema, or to every branch of a discriminated `oneOf`
+ * @param {Object} jsonSchema - Object JSON Schema built by definitionToJsonSchema
+ * @param {Object} properties - JSON Schemas keyed by property name
+ * @param {Array<string>} required - Names of the added properties that are required
+ * @returns {Object} The extended JSON Schema
+ */
+const extendJsonSchema = (jsonSchema, properties, required = []) => {
+    if (jsonSchema.oneOf) {
+        return { ...jsonSchema, oneOf: jsonSchema.oneOf.map(branch => extendJsonSchema(branch, properties, required)) };
+    }
+
+    const extended = { ...jsonSchema, properties: { ...jsonSchema.properties, ...properties } };
+    if (required.length > 0) {
+        extended.required = [...(jsonSchema.required || []), ...required];
+    }
+    return extended;
+};
+
+/**
+ * Converts a single field definition into a JSON Schema
+ * @param {string} fieldName - The field name (used for the default password rule)
+ * @param {Object|Array} definition - The field definition, or the array shorthand
+ * @param {Object} options - Options passed to createJsonSchema
+ * @param {boolean} isArrayItem - Whether the definition describes array items
+ * @returns {Object} JSON Schema for the field
+ */
+const fieldToJsonSchema = (fieldName, definition, options = {}, isArrayItem = false) => {
+    const { variant = 'create' } = options;
+    const fieldProps = normalizeFieldProps(definition);
+    const registeredType = resolveType(fieldProps.type);
+    if (!registeredType) {
+        throw new Error(`Invalid type: ${fieldProps.type}`);
+    }
+    const { family } = registeredType;
+
+    // Arrays are replaced as a whole, so their items keep the full shape even in PATCH bodies
+    const itemOptions = variant === 'update' ? { ...options, variant: 'replace' } : options;
+    const jsonSchema = registeredType.jsonSchema(fieldProps, {
+        fieldName,
+        options,
+        variant,
+        buildItems: (itemDefinition) => fieldToJsonSchema(fieldName, itemDefinition, itemOptions, true),
+        buildObject: (nestedProps) => objectToJsonSchema(nestedProps, options)
+    });
+
+    for (const [propName, propValue] of Object.entries(fieldProps)) {
+        switch (propName) {
+            case 'minlength':
+            case 'minLength':
+                if (family === 'string') {
+                    jsonSchema.minLength = propValue;
+                }
+                break;
+            case 'maxlength':
+            case 'maxLength':
+                if (family === 'string') {
+                    jsonSchema.maxLength = propValue;
+                }
+                break;
+            case 'min':
+                if (family === 'number') {
+                    jsonSchema.minimum = propValue;
+                } else if (family === 'array') {
+                    jsonSchema.minItems = propValue;
+                }
+                break;
+            case 'max':
+                if (family === 'number') {
+                    jsonSchema.maximum = propValue;
+                } else if (family === 'array') {
+                    jsonSchema.maxItems = propValue;
+                }
+                break;
+            case 'uniqueItems':
+                if (family === 'array' && propValue === true) {
+                    jsonSchema.uniqueItems = true;
+                }
+                break;
+            case 'email':
+                if (family === 'string' && propValue === true) {
+                    jsonSchema.format = 'email';
+                }
+                break;
+            case 'enum':
+                if (Array.isArray(propValue)) {
+                    jsonSchema.enum = propValue;
+                }
+                break;
+            case 'regex':
+            case 'match':
+                if (family === 'string') {
+                    jsonSchema.pattern = toPattern(fieldName, propValue);
+                }
+                break;
+            case 'ref':
+                jsonSchema['x-ref'] = propValue;
+                break;
+            case 'default': {
+                // PATCH bodies and stored documents never have defaults injected
+                const defaultValue = toJsonDefault(propValue);
+                if (defaultValue !== undefined && variant !== 'update' && variant !== 'output') {
+                    jsonSchema.default = defaultValue;
+                }
+                break;
+            }
+        }
+    }
+
+    // Mirror the default password rule of the Zod schema
+    if (!isArrayItem &&
+        variant !== 'output' &&
+        family === 'string' &&
+        fieldName.toLowerCase().includes('password') &&
+        fieldProps.regex === undefined) {
+        // A schema holds one pattern, so a `match` pattern and the password rule are checked side by side
+        if (jsonSchema.pattern === undefined) {
+            jsonSchema.pattern = DEFAULT_PASSWORD_REGEX.source;
+        } else {
+            jsonSchema.allOf = [{ pattern: jsonSchema.pattern }, { pattern: DEFAULT_PASSWORD_REGEX.source }];
+            delete jsonSchema.pattern;
+        }
+    }
+
+    if (fieldProps.writeOnly === true && variant !== 'output') {
+        jsonSchema.writeOnly = true;
+    }
+    if (fieldProps.readOnly === true && variant === 'output') {
+        jsonSchema.readOnly = true;
+    }
+
+    return jsonSchema;
+};
+
+/**
+ * Converts one level of a schema definition into an object JSON Schema
+ * @param {Object} schemaDefinition - The schema definition object
+ * @param {Object} options - Options passed to createJsonSchema
+ * @returns {Object} JSON Schema for the object
+ */
+const definitionToJsonSchema = (schemaDefinition, options = {}) => {
+    const { variant = 'create', discriminator } = options;
+
+    // Each variant is a branch holding the shared fields, its own fields and a constant key
+    if (discriminator) {
+        const { key, variants } = normalizeDiscriminator(discriminator);
+        const baseDefinition = omitDiscriminatorKey(schemaDefinition, key);
+        return {
+            oneOf: variants.map(({ value, definition }) => {
+                const branch = definitionToJsonSchema({ ...baseDefinition, ...definition }, { ...options, discriminator: undefined });
+                return {
+                    ...branch,
+                    properties: { [key]: { const: value }, ...branch.properties },
+                    required: [key, ...(branch.required || [])]
+                };
+            })
+        };
+    }
+
+    const properties = {};
+    const required = [];
+
+    for (const [fieldName, fieldProps] of Object.entries(schemaDefinition)) {
+        const props = normalizeFieldProps(fieldProps);
+
+        // Input shapes leave out server-managed fields, output leaves out hidden ones
+        if (variant === 'output' ? !isReadableField(props) : !isWritableField(props)) {
+            continue;
+        }
+
+        properties[fieldName] = fieldToJsonSchema(fieldName, props, options);
+
+        // Same optionality rules as the Zod schema; PATCH bodies require nothing
+        const isOptional = props.required === false || (props.default !== undefined && props.required !== true);
+        if (variant !== 'update' && !isOptional) {
+            required.push(fieldName);
+        }
+    }
+
+    const jsonSchema = { type: 'object', properties };
+    if (required.length > 0) {
+        jsonSchema.required = required;
+    }
+
+    // Stripped keys are accepted on input, so only the strict policy forbids them
+    if (resolveUnknownKeys(options) === 'strict') {
+        jsonSchema.additionalProperties = false;
+    }
+
+    return jsonSchema;
+};
+
+/**
+ * Creates a JSON Schema (draft 2020-12) from a schema definition object
+ * @param {Object} schemaDefinition - The schema definition object
+ * @param {Object} options - Additional options
+ * @param {string} options.variant - Schema variant: 'create' (default), 'update', 'replace' or 'output'
+ * @param {Object} options.discriminator - Variants keyed by a discriminator field, exported as `oneOf`
+ * @param {Object} options.schemaOptions - Mongoose schema options, used for the output system fields
+ * @param {string} options.title - Schema title
+ * @param {string} options.$id - Schema identifier URI
+ * @param {boolean} options.includeDialect - Add the `$schema` keyword (default: true)
+ * @returns {Object} JSON Schema
+ */
+export const createJsonSchema = (schemaDefinition, options = {}) => {
+    const { variant = 'create', schemaOptions = {}, title, $id, includeDialect = true } = options;
+    if (!SCHEMA_VARIANTS.includes(variant)) {
+        throw new Error(`Invalid variant: ${variant}`);
+    }
+
+    let jsonSchema = definitionToJsonSchema(schemaDefinition, options);
+
+    if (variant === 'output') {
+        const { idKey, timestampKeys, versionKey } = resolveSystemFields(schemaOptions);
+        const systemProperties = {};
+        const systemRequired = [];
+
+        if (idKey) {
+            systemProperties[idKey] = objectIdJsonSchema();
+            systemRequired.push(idKey);
+        }
+        timestampKeys.forEach(key => {
+            systemProperties[key] = { type: 'string', format: 'date-time' };
+            systemRequired.push(key);
+        });
+        if (versionKey) {
+            systemProperties[versionKey] = { type: 'integer' };
+        }
+
+        jsonSchema = extendJsonSchema(jsonSchema, systemProperties, systemRequired);
+    }
+
+    return {
+        ...(includeDialect ? { $schema: JSON_SCHEMA_DIALECT } : {}),
+        ...($id ? { $id } : {}),
+        ...(title ? { title } : {}),
+        ...jsonSchema
+    };
+};
+
+/**
+ * Creates OpenAPI 3.1 `components` for the create, update and output shapes of a definition
+ * The schemas are named `<name>Create`, `<name>Update` and `<name>` (the stored document).
+ * @param {Object} schemaDefinition - The schema definition object
+ * @param {Object} options - Options passed to createJsonSchema
+ * @param {string} options.name - Base component name, e.g. 'User'
+ * @returns {{ schemas: Object }} OpenAPI components object
+ */
+export const createOpenApiComponents = (schemaDefinition, options = {}) => {
+    const { name, ...jsonSchemaOptions } = options;
+    if (!name) {
+        throw new Error('createOpenApiComponents requires a component name');
+    }
+
+    // OpenAPI 3.1 documents declare the JSON Schema dialect once, not per component
+    const build = (variant) => createJsonSchema(schemaDefinition, {
+        ...jsonSchemaOptions,
+        variant,
+        includeDialect: false
+    });
+
+    return {
+        schemas: {
+            [`${name}Create`]: build('create'),
+            [`${name}Update`]: build('update'),
+            [name]: build('output')
+        }
+    };
+};
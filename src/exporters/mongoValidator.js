@@ -0,0 +1,257 @@
+import {
+    normalizeFieldProps,
+    getNestedOptions,
+    resolveUnknownKeys,
+    resolveSystemFields,
+    EMAIL_REGEX
+} from '../utils/fieldUtils.js';
+import { resolveType } from '../types/typeRegistry.js';
+import { normalizeDiscriminator, omitDiscriminatorKey } from '../utils/discriminators.js';
+import { normalizeVersioning } from '../utils/versioning.js';
+
+/**
+ * Type families whose `min`/`max` bound the numeric value, which `$jsonSchema` compares across BSON number types
+ */
+const NUMERIC_FAMILIES = ['number', 'decimal128', 'bigint'];
+
+/**
+ * Regular expression flags PCRE accepts as inline modifiers
+ */
+const INLINE_FLAGS = ['i', 'm', 's', 'x'];
+
+/**
+ * Converts a `regex` rule into a `$jsonSchema` pattern
+ * The server has no flags argument, so flags become an inline modifier (`/abc/i` becomes `(?i)abc`).
+ * @param {RegExp|string} regex - The pattern
+ * @returns {string} Pattern string
+ */
+const toPattern = (regex) => {
+    if (!(regex instanceof RegExp)) {
+        return String(regex);
+    }
+    const flags = regex.flags.split('').filter(flag => INLINE_FLAGS.includes(flag)).join('');
+    return flags ? `(?${flags})${regex.source}` : regex.source;
+};
+
+/**
+ * Lets a field hold null, which Mongoose stores for optional fields that are set to null
+ * @param {Object} bsonSchema - The field's `$jsonSchema`
+ * @returns {Object} The schema, also accepting null
+ */
+const allowNull = (bsonSchema) => {
+    if (bsonSchema.oneOf) {
+        return { oneOf: [...bsonSchema.oneOf, { bsonType: 'null' }] };
+    }
+    // Schemas without a bsonType (Mixed) accept anything already
+    if (bsonSchema.bsonType === undefined) {
+        return bsonSchema;
+    }
+
+    const bsonTypes = [].concat(bsonSchema.bsonType);
+    const nullable = { ...bsonSchema, bsonType: bsonTypes.includes('null') ? bsonTypes : [...bsonTypes, 'null'] };
+    if (Array.isArray(nullable.enum) && !nullable.enum.includes(null)) {
+        nullable.enum = [...nullable.enum, null];
+    }
+    return nullable;
+};
+
+/**
+ * Converts an object field into a `$jsonSchema`, recursing into nested definitions
+ * @param {Object} fieldProps - The normalized object field definition
+ * @param {Object} options - Options passed to createMongoValidator
+ * @returns {Object} `$jsonSchema` for the object
+ */
+const objectToBsonSchema = (fieldProps, options) => {
+    // Objects without a nested schema are Mixed paths in Mongoose
+    if (!fieldProps.schema) {
+        return { bsonType: 'object' };
+    }
+
+    const { subdocumentIds = false } = options;
+    const hasId = fieldProps._id !== undefined ? fieldProps._id : subdocumentIds;
+    return definitionToBsonSchema(fieldProps.schema, getNestedOptions(fieldProps, options), hasId ? { _id: { bsonType: 'objectId' } } : {});
+};
+
+/**
+ * Converts a single field definition into a `$jsonSchema`
+ * @param {string} fieldName - The field name
+ * @param {Object|Array} definition - The field definition, or the array shorthand
+ * @param {Object} options - Options passed to createMongoValidator
+ * @returns {Object} `$jsonSchema` for the field
+ */
+const fieldToBsonSchema = (fieldName, definition, options = {}) => {
+    const fieldProps = normalizeFieldProps(definition);
+    const registeredType = resolveType(fieldProps.type);
+    if (!registeredType) {
+        throw new Error(`Invalid type: ${fieldProps.type}`);
+    }
+    const { family } = registeredType;
+
+    const bsonSchema = registeredType.bsonSchema(fieldProps, {
+        fieldName,
+        options,
+        buildItems: (itemDefinition) => fieldToBsonSchema(fieldName, itemDefinition, options),
+        buildObject: (nestedProps) => objectToBsonSchema(nestedProps, options)
+    });
+    const patterns = [];
+
+    for (const [propName, propValue] of Object.entries(fieldProps)) {
+        switch (propName) {
+            case 'minlength':
+            case 'minLength':
+                if (family === 'string') {
+                    bsonSchema.minLength = propValue;
+                }
+                break;
+            case 'maxlength':
+            case 'maxLength':
+                if (family === 'string') {
+                    bsonSchema.maxLength = propValue;
+                }
+                break;
+            case 'min':
+                if (NUMERIC_FAMILIES.includes(family)) {
+                    bsonSchema.minimum = propValue;
+                } else if (family === 'array') {
+                    bsonSchema.minItems = propValue;
+                }
+                break;
+            case 'max':
+                if (NUMERIC_FAMILIES.includes(family)) {
+                    bsonSchema.maximum = propValue;
+                } else if (family === 'array') {
+                    bsonSchema.maxItems = propValue;
+                }
+                break;
+            case 'uniqueItems':
+                if (family === 'array' && propValue === true) {
+                    bsonSchema.uniqueItems = true;
+                }
+                break;
+            case 'email':
+                if (family === 'string' && propValue === true) {
+                    patterns.push(EMAIL_REGEX.source);
+                }
+                break;
+            case 'enum':
+                if (Array.isArray(propValue)) {
+                    bsonSchema.enum = propValue;
+                }
+                break;
+            case 'regex':
+            case 'match':
+                if (family === 'string') {
+                    patterns.push(toPattern(propValue));
+                }
+                break;
+        }
+    }
+
+    // A schema holds one pattern, so a field with both `email` and `regex` checks them side by side
+    if (patterns.length === 1) {
+        bsonSchema.pattern = patterns[0];
+    } else if (patterns.length > 1) {
+        bsonSchema.allOf = patterns.map(pattern => ({ pattern }));
+    }
+
+    return bsonSchema;
+};
+
+/**
+ * Converts one level of a schema definition into an object `$jsonSchema`
+ * Only `required: true` fields are required, as in Mongoose; other fields may also hold null.
+ * @param {Object} schemaDefinition - The schema definition object
+ * @param {Object} options - Options passed to createMongoValidator
+ * @param {Object} systemProperties - Fields Mongoose manages at this level (_id, timestamps)
+ * @returns {Object} `$jsonSchema` for the object
+ */
+const definitionToBsonSchema = (schemaDefinition, options = {}, systemProperties = {}) => {
+    const { discriminator } = options;
+
+    // Each variant is a branch holding the shared fields, its own fields and its key value
+    if (discriminator) {
+        const { key, variants } = normalizeDiscriminator(discriminator);
+        const baseDefinition = omitDiscriminatorKey(schemaDefinition, key);
+        return {
+            oneOf: variants.map(({ value, definition }) => {
+                const branch = definitionToBsonSchema({ ...baseDefinition, ...definition }, { ...options, discriminator: undefined }, systemProperties);
+                return {
+                    ...branch,
+                    properties: { [key]: { enum: [value] }, ...branch.properties },
+                    required: [key, ...(branch.required || [])]
+                };
+            })
+        };
+    }
+
+    const properties = { ...systemProperties };
+    const required = [];
+
+    for (const [fieldName, fieldProps] of Object.entries(schemaDefinition)) {
+        const props = normalizeFieldProps(fieldProps);
+        const bsonSchema = fieldToBsonSchema(fieldName, props, options);
+
+        if (props.required === true) {
+            properties[fieldName] = bsonSchema;
+            required.push(fieldName);
+        } else {
+            properties[fieldName] = allowNull(bsonSchema);
+        }
+    }
+
+    const bsonSchema = { bsonType: 'object', properties };
+    if (required.length > 0) {
+        bsonSchema.required = required;
+    }
+
+    // Mongoose drops unknown keys under 'strip', so only 'strict' makes the server reject them
+    if (resolveUnknownKeys(options) === 'strict') {
+        bsonSchema.additionalProperties = false;
+    }
+
+    return bsonSchema;
+};
+
+/**
+ * Creates a MongoDB collection validator (`{ $jsonSchema }`) from a schema definition object
+ *
+ * The server then enforces the rules Mongoose enforces for writes that bypass it (updateMany,
+ * raw driver writes, other services): BSON types, required fields, enums, patterns, bounds and
+ * nested objects and arrays. Custom validators and cross-field rules only run in the application.
+ *
+ * @param {Object} schemaDefinition - The schema definition object
+ * @param {Object} options - Additional options
+ * @param {Object} options.schemaOptions - Mongoose schema options, used for _id, timestamps and the version key
+ * @param {string} options.unknownKeys - Unknown-key policy; 'strict' rejects fields the definition does not list
+ * @param {boolean} options.strictMode - Shorthand for `unknownKeys: 'strict'`
+ * @param {boolean} options.subdocumentIds - Nested subdocuments have an _id (default: false)
+ * @param {Object} options.discriminator - Variants keyed by a discriminator field, exported as `oneOf`
+ * @param {Object} options.versioning - Definition versioning, whose version key is allowed
+ * @param {string} options.title - Schema title, reported by the server when a document fails validation
+ * @returns {{ $jsonSchema: Object }} Collection validator
+ */
+export const createMongoValidator = (schemaDefinition, options = {}) => {
+    const { schemaOptions = {}, title } = options;
+    const { idKey, timestampKeys, versionKey } = resolveSystemFields(schemaOptions);
+    const systemProperties = {};
+
+    if (idKey) {
+        systemProperties[idKey] = { bsonType: 'objectId' };
+    }
+    timestampKeys.forEach(key => {
+        systemProperties[key] = { bsonType: 'date' };
+    });
+    if (versionKey) {
+        systemProperties[versionKey] = { bsonType: 'number' };
+    }
+    if (options.versioning) {
+        systemProperties[normalizeVersioning(options.versioning, schemaDefinition).key] = { bsonType: 'number' };
+    }
+
+    return {
+        $jsonSchema: {
+            ...(title ? { title } : {}),
+            ...definitionToBsonSchema(schemaDefinition, options, systemProperties)
+        }
+    };
+};
@@ -0,0 +1,207 @@
+import {
+    normalizeFieldProps,
+    resolveSystemFields,
+    isWritableField
+} from '../utils/fieldUtils.js';
+import { resolveType } from '../types/typeRegistry.js';
+import { formatLiteral } from '../types/builtinTypes.js';
+import { normalizeDiscriminator, omitDiscriminatorKey } from '../utils/discriminators.js';
+
+const INDENT = '    ';
+const IDENTIFIER_PATTERN = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+
+/**
+ * Formats a property key, quoting it when it is not a valid identifier
+ * @param {string} key - The property key
+ * @returns {string} TypeScript property key
+ */
+const formatKey = (key) => (IDENTIFIER_PATTERN.test(key) ? key : `'${key.replace(/'/g, "\\'")}'`);
+
+/**
+ * Converts an object field into a TypeScript type, recursing into nested definitions
+ * @param {Object} fieldProps - The normalized object field definition
+ * @param {string} shape - 'input' or 'document'
+ * @param {Object} context - Generation state (indent depth, used imports, options)
+ * @returns {string} TypeScript type expression
+ */
+const objectToType = (fieldProps, shape, context) => {
+    if (!fieldProps.schema) {
+        return 'Record<string, unknown>';
+    }
+
+    const { subdocumentIds = false } = context.options;
+    const hasId = fieldProps._id !== undefined ? fieldProps._id : subdocumentIds;
+    const extraLines = [];
+    if (shape === 'document' && hasId) {
+        context.usesTypes = true;
+        extraLines.push('_id: Types.ObjectId;');
+    }
+
+    context.depth += 1;
+    const bodies = getVariants(fieldProps.schema, fieldProps.discriminator)
+        .map(({ keyLine, definition }) => definitionToLines(definition, shape, context, extraLines, keyLine));
+    context.depth -= 1;
+    return bodies.map(body => `{\n${body}\n${INDENT.repeat(context.depth + 1)}}`).join(' | ');
+};
+
+/**
+ * Converts a discriminator value into a type name suffix ('in-app' becomes 'InApp')
+ * @param {string} value - The variant value
+ * @returns {string} PascalCase type name suffix
+ */
+const toTypeName = (value) => {
+    const typeName = String(value)
+        .split(/[^A-Za-z0-9]+/)
+        .filter(Boolean)
+        .map(part => `${part.charAt(0).toUpperCase()}${part.slice(1)}`)
+        .join('');
+    if (!IDENTIFIER_PATTERN.test(typeName)) {
+        throw new Error(`Cannot derive a type name from discriminator value "${value}"`);
+    }
+    return typeName;
+};
+
+/**
+ * Splits a definition into the definitions of its discriminator variants
+ * Without a discriminator, the definition is its own single variant.
+ * @param {Object} schemaDefinition - The schema definition object
+ * @param {Object} discriminator - The discriminator declaration, if any
+ * @returns {Array<{ value: string, keyLine: string, definition: Object }>} Variants
+ */
+const getVariants = (schemaDefinition, discriminator) => {
+    if (!discriminator) {
+        return [{ definition: schemaDefinition }];
+    }
+
+    const { key, variants } = normalizeDiscriminator(discriminator);
+    const baseDefinition = omitDiscriminatorKey(schemaDefinition, key);
+    return variants.map(({ value, definition }) => ({
+        value,
+        keyLine: `${formatKey(key)}: ${formatLiteral(value)};`,
+        definition: { ...baseDefinition, ...definition }
+    }));
+};
+
+/**
+ * Converts a single field definition into a TypeScript type expression
+ * @param {Object|Array} definition - The field definition, or the array shorthand
+ * @param {string} shape - 'input' (request bodies) or 'document' (stored documents)
+ * @param {Object} context - Generation state (indent depth, used imports, options)
+ * @returns {string} TypeScript type expression
+ */
+const fieldToType = (definition, shape, context) => {
+    const fieldProps = normalizeFieldProps(definition);
+    const registeredType = resolveType(fieldProps.type);
+    if (!registeredType) {
+        throw new Error(`Invalid type: ${fieldProps.type}`);
+    }
+
+    return registeredType.typescript(fieldProps, {
+        shape,
+        buildItems: (itemDefinition) => fieldToType(itemDefinition, shape, context),
+        buildObject: (nestedProps) => objectToType(nestedProps, shape, context),
+        // Mongoose types are imported from 'mongoose' only when something uses them
+        useMongooseType: (typeName) => {
+            context.usesTypes = true;
+            return `Types.${typeName}`;
+        }
+    });
+};
+
+/**
+ * Converts one level of a schema definition into interface member lines
+ * @param {Object} schemaDefinition - The schema definition object
+ * @param {string} shape - 'input' or 'document'
+ * @param {Object} context - Generation state (indent depth, used imports, options)
+ * @param {Array<string>} extraLines - Members appended after the definition's fields
+ * @param {string} keyLine - Discriminator member placed before the fields, if any
+ * @returns {string} Indented member lines
+ */
+const definitionToLines = (schemaDefinition, shape, context, extraLines = [], keyLine) => {
+    const indent = INDENT.repeat(context.depth + 1);
+    const lines = keyLine ? [`${indent}${keyLine}`] : [];
+
+    for (const [fieldName, definition] of Object.entries(schemaDefinition)) {
+        const fieldProps = normalizeFieldProps(definition);
+
+        // Clients cannot send server-managed fields
+        if (shape === 'input' && !isWritableField(fieldProps)) {
+            continue;
+        }
+
+        // Inputs may omit fields with defaults, stored documents always have them
+        const isOptional = shape === 'input'
+            ? fieldProps.required === false || (fieldProps.default !== undefined && fieldProps.required !== true)
+            : fieldProps.required === false && fieldProps.default === undefined;
+
+        if (fieldProps.ref) {
+            lines.push(`${indent}/** References ${fieldProps.ref} */`);
+        }
+        lines.push(`${indent}${formatKey(fieldName)}${isOptional ? '?' : ''}: ${fieldToType(fieldProps, shape, context)};`);
+    }
+
+    extraLines.forEach(line => lines.push(`${indent}${line}`));
+
+    return lines.join('\n');
+};
+
+/**
+ * Generates TypeScript declarations for a schema definition
+ *
+ * Emits `<name>Input` (request bodies: server-managed fields left out, defaults optional)
+ * and `<name>Document` (stored documents, including _id, timestamps and the version key).
+ *
+ * @param {Object} schemaDefinition - The schema definition object
+ * @param {Object} options - Generation options
+ * @param {string} options.name - Base interface name, e.g. 'User'
+ * @param {Object} options.schemaOptions - Mongoose schema options, used for the system fields
+ * @param {boolean} options.subdocumentIds - Whether nested subdocuments have an `_id`
+ * @param {boolean} options.header - Prepend a "generated file" comment (default: true)
+ * @param {Object} options.discriminator - Variants keyed by a discriminator field; emits one interface pair
+ *   per variant (`<name><Value>Input`) and `<name>Input`/`<name>Document` union types
+ * @returns {string} TypeScript declaration source
+ */
+export const generateTypeDeclarations = (schemaDefinition, options = {}) => {
+    const { name, schemaOptions = {}, header = true, discriminator } = options;
+    if (!name || !IDENTIFIER_PATTERN.test(name)) {
+        throw new Error(`Invalid interface name: ${name}`);
+    }
+
+    const context = { depth: 0, usesTypes: false, options };
+
+    const { idKey, timestampKeys, versionKey } = resolveSystemFields(schemaOptions);
+    const systemLines = [];
+    if (idKey) {
+        context.usesTypes = true;
+        systemLines.push(`${idKey}: Types.ObjectId;`);
+    }
+    timestampKeys.forEach(key => systemLines.push(`${formatKey(key)}: Date;`));
+    if (versionKey) {
+        systemLines.push(`${formatKey(versionKey)}?: number;`);
+    }
+
+    // Discriminated definitions get one pair of interfaces per variant and union types under the base name
+    const variants = getVariants(schemaDefinition, discriminator).map(({ value, keyLine, definition }) => ({
+        typeName: value === undefined ? name : `${name}${toTypeName(value)}`,
+        inputBody: definitionToLines(definition, 'input', context, [], keyLine),
+        documentBody: definitionToLines(definition, 'document', context, systemLines, keyLine)
+    }));
+
+    const sections = [];
+    if (header) {
+        sections.push('// Generated by mongoose-zod-schema-builder. Do not edit by hand.');
+    }
+    if (context.usesTypes) {
+        sections.push("import type { Types } from 'mongoose';\n");
+    }
+    variants.forEach(({ typeName, inputBody, documentBody }) => {
+        sections.push(`export interface ${typeName}Input {\n${inputBody}\n}\n`);
+        sections.push(`export interface ${typeName}Document {\n${documentBody}\n}\n`);
+    });
+    if (discriminator) {
+        sections.push(`export type ${name}Input = ${variants.map(({ typeName }) => `${typeName}Input`).join(' | ')};\n`);
+        sections.push(`export type ${name}Document = ${variants.map(({ typeName }) => `${typeName}Document`).join(' | ')};\n`);
+    }
+
+    return sections.join('\n');
+};
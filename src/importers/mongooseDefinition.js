@@ -0,0 +1,501 @@
+import mongoose from 'mongoose';
+import { resolveSystemFields, normalizeValidators } from '../utils/fieldUtils.js';
+import { resolveType } from '../types/typeRegistry.js';
+import { getVariantModelName } from '../utils/discriminators.js';
+import { createMessage } from '../messages/messageCatalog.js';
+
+/**
+ * Mongoose path kinds whose definition type has another name
+ * Doubles have no definition type and are approximated with Number.
+ */
+const INSTANCE_TYPES = {
+    Embedded: 'Object',
+    Double: 'Number'
+};
+
+/**
+ * Path options copied to the definition unchanged
+ */
+const COPIED_OPTIONS = ['default', 'unique', 'index', 'sparse', 'select', 'immutable', 'text', 'get', 'set', 'transform'];
+
+/**
+ * Path options that accept the `[value, message]` form, keyed by option with the message rule they map to
+ */
+const MESSAGE_RULES = {
+    required: 'required',
+    min: 'min',
+    max: 'max',
+    minlength: 'minlength',
+    minLength: 'minlength',
+    maxlength: 'maxlength',
+    maxLength: 'maxlength',
+    match: 'regex'
+};
+
+/**
+ * Mongoose `strict` settings and the unknown-key policies they match
+ */
+const UNKNOWN_KEY_POLICIES = new Map([
+    [true, 'strip'],
+    ['throw', 'strict'],
+    [false, 'passthrough']
+]);
+
+/**
+ * Hooks Mongoose adds itself (built-in plugins, timestamps), which are not reported
+ */
+const BUILTIN_HOOKS = [
+    'validateBeforeSave', 'saveSubdocsPreSave', 'saveSubdocsPostSave', 'saveSubdocsPostDeleteOne',
+    'timestampsPreSave', '_setTimestampsOnUpdate', 'shardingPluginPreSave', 'shardingPluginPostSave',
+    'shardingPluginPreRemove', 'shardingPluginPostInit', 'trackTransactionPreSave', 'removeSubdocsPreDeleteOne'
+];
+
+/**
+ * Plugins and methods Mongoose adds itself, which are not reported either
+ */
+const BUILTIN_PLUGINS = ['saveSubdocs', 'shardingPlugin', 'trackTransaction', 'validateBeforeSave', 'addIdGetter', 'removeSubdocs'];
+const BUILTIN_METHODS = ['initializeTimestamps'];
+
+/**
+ * Splits an option given in the `[value, message]` form
+ * @param {*} option - The option value
+ * @returns {{ value: *, message: string|Function|undefined }} The value and its message
+ */
+const unwrapOption = (option) => {
+    if (Array.isArray(option) && option.length === 2 && ['string', 'function'].includes(typeof option[1])) {
+        return { value: option[0], message: option[1] };
+    }
+    return { value: option, message: undefined };
+};
+
+/**
+ * Converts a Mongoose message into a definition message
+ * Mongoose placeholders ({PATH}, {VALUE}, {MIN}) become catalog placeholders ({field}, {value}, {min}).
+ * Messages equal to the catalog's default wording (schemas built by this package) are left out.
+ * @param {Object} context - Conversion context of the field
+ * @param {string} rule - The message rule
+ * @param {Object} params - Placeholder values of the rule
+ * @param {string|Function} message - The Mongoose message
+ * @returns {string|undefined} The message to keep, if any
+ */
+const convertMessage = (context, rule, params, message) => {
+    if (typeof message === 'function') {
+        context.report(context.path, 'unsupported_message', `The ${rule} message is a function, which definitions cannot take; the default message is used`);
+        return undefined;
+    }
+    if (message === createMessage(rule, params, { fieldName: context.fieldName })('{VALUE}')) {
+        return undefined;
+    }
+    return message.replace(/\{([A-Z]+)\}/g, (placeholder, name) => {
+        switch (name) {
+            case 'PATH':
+                return '{field}';
+            case 'VALUE':
+                return '{value}';
+            default:
+                return `{${name.toLowerCase()}}`;
+        }
+    });
+};
+
+/**
+ * Names the definition type of a path
+ * @param {Object} context - Conversion context of the field
+ * @param {mongoose.SchemaType} schemaType - The path
+ * @returns {string} The type name
+ */
+const getTypeName = (context, schemaType) => {
+    const { instance } = schemaType;
+    if (INSTANCE_TYPES[instance]) {
+        if (instance === 'Double') {
+            context.report(context.path, 'approximated_type', 'Double paths become Number, which Mongoose stores as a double too');
+        }
+        return INSTANCE_TYPES[instance];
+    }
+    if (resolveType(instance)) {
+        return instance;
+    }
+
+    // Custom types registered with their SchemaType class as an alias
+    const registeredType = resolveType(schemaType.constructor);
+    if (registeredType) {
+        return registeredType.name;
+    }
+    context.report(context.path, 'unsupported_type', `Type ${instance} is not registered and became Mixed (see registerType)`);
+    return 'Mixed';
+};
+
+/**
+ * Copies the options of a path into a field definition
+ * @param {Object} context - Conversion context of the field
+ * @param {Object} fieldProps - The field definition being built
+ * @param {Object} options - The path options
+ */
+const applyPathOptions = (context, fieldProps, options) => {
+    const messages = {};
+    const keepMessage = (rule, params, message) => {
+        const kept = message === undefined ? undefined : convertMessage(context, rule, params, message);
+        if (kept !== undefined) {
+            messages[rule] = kept;
+        }
+    };
+
+    for (const [optionName, optionValue] of Object.entries(options)) {
+        // Options starting with "$" are set by Mongoose itself
+        if (optionValue === undefined || optionName.startsWith('$')) {
+            continue;
+        }
+
+        const rule = MESSAGE_RULES[optionName];
+        const { value, message } = rule ? unwrapOption(optionValue) : { value: optionValue };
+
+        switch (optionName) {
+            case 'type':
+            case 'of':
+            case 'auto':
+            case '_id':
+                // Handled with the type
+                break;
+            case 'required':
+                if (typeof value === 'function') {
+                    context.report(context.path, 'conditional_required', 'Conditional required functions cannot be represented; the field became optional (use refinements instead)');
+                } else {
+                    fieldProps.required = value === true;
+                    keepMessage(rule, {}, message);
+                }
+                break;
+            case 'min':
+            case 'max':
+            case 'minlength':
+            case 'minLength':
+            case 'maxlength':
+            case 'maxLength':
+                fieldProps[rule] = value;
+                keepMessage(rule, { [rule]: value }, message);
+                break;
+            case 'match':
+                if (value instanceof RegExp || typeof value === 'string') {
+                    fieldProps.regex = value;
+                    keepMessage(rule, {}, message);
+                } else {
+                    context.report(context.path, 'unsupported_option', 'match must be a RegExp or a string and was dropped');
+                }
+                break;
+            case 'enum': {
+                const values = Array.isArray(optionValue) ? optionValue : optionValue.values;
+                if (Array.isArray(values) && values.every(item => typeof item === 'string')) {
+                    fieldProps.enum = values;
+                    keepMessage('enum', { values }, Array.isArray(optionValue) ? undefined : optionValue.message);
+                } else {
+                    context.report(context.path, 'unsupported_option', 'Only string enums can be represented; the enum was dropped');
+                }
+                break;
+            }
+            case 'ref':
+                if (typeof optionValue === 'string') {
+                    fieldProps.ref = optionValue;
+                } else if (typeof optionValue?.modelName === 'string') {
+                    fieldProps.ref = optionValue.modelName;
+                } else {
+                    context.report(context.path, 'dynamic_ref', 'Function refs are resolved at populate time and were dropped');
+                }
+                break;
+            case 'validate':
+                try {
+                    normalizeValidators(optionValue);
+                    fieldProps.validate = optionValue;
+                } catch (error) {
+                    context.report(context.path, 'unsupported_option', `validate was dropped: ${error.message}`);
+                }
+                break;
+            default:
+                if (COPIED_OPTIONS.includes(optionName)) {
+                    fieldProps[optionName] = optionValue;
+                } else {
+                    context.report(context.path, 'unsupported_option', `Option "${optionName}" has no definition equivalent and was dropped`);
+                }
+        }
+    }
+
+    if (Object.keys(messages).length > 0) {
+        fieldProps.messages = messages;
+    }
+};
+
+/**
+ * Converts a subdocument schema into an object field definition
+ * @param {Object} context - Conversion context of the field
+ * @param {mongoose.Schema} schema - The subdocument schema
+ * @param {string} parentPolicy - Unknown-key policy of the enclosing level
+ * @returns {Object} Object field definition
+ */
+const convertSubdocument = (context, schema, parentPolicy) => {
+    const fieldProps = { type: 'Object', schema: convertSchema(schema, context.report, context.path) };
+    if (schema.paths._id) {
+        fieldProps._id = true;
+    }
+
+    const policy = UNKNOWN_KEY_POLICIES.get(schema.options.strict) || 'strip';
+    if (policy !== parentPolicy) {
+        fieldProps.unknownKeys = policy;
+    }
+    reportSchemaExtras(schema, context.report, context.path);
+    return fieldProps;
+};
+
+/**
+ * Converts one Mongoose path into a field definition
+ * @param {Object} context - Conversion context: `{ path, fieldName, report, policy }`
+ * @param {mongoose.SchemaType} schemaType - The path
+ * @param {boolean} isItem - Whether the path holds array items or map values, which are never optional
+ * @returns {Object} Field definition
+ */
+const convertPath = (context, schemaType, isItem = false) => {
+    let fieldProps;
+
+    if (schemaType.schema && schemaType.instance === 'Embedded') {
+        fieldProps = convertSubdocument(context, schemaType.schema, context.policy);
+    } else {
+        fieldProps = { type: getTypeName(context, schemaType) };
+    }
+
+    if (fieldProps.type === 'Array') {
+        if (schemaType.schema) {
+            fieldProps.items = convertSubdocument(context, schemaType.schema, context.policy);
+        } else if (schemaType.caster && schemaType.caster.instance) {
+            fieldProps.items = convertPath(context, schemaType.caster, true);
+        }
+    }
+    if (fieldProps.type === 'Map' && schemaType.$__schemaType) {
+        fieldProps.of = convertPath({ ...context, path: `${context.path}.$*` }, schemaType.$__schemaType, true);
+    }
+    if (schemaType.options?.discriminators || schemaType.schema?.discriminators) {
+        context.report(context.path, 'unsupported_discriminator', 'Subdocument discriminators are not converted; declare them with `discriminator` on the field');
+    }
+
+    applyPathOptions(context, fieldProps, schemaType.options || {});
+
+    // Definition fields are required in Zod unless they say otherwise, Mongoose paths are optional
+    if (!isItem && fieldProps.required !== true) {
+        fieldProps.required = false;
+    }
+    return fieldProps;
+};
+
+/**
+ * Converts the paths of a schema into a definition, rebuilding the nested objects Mongoose flattens
+ * @param {mongoose.Schema} schema - The schema
+ * @param {Function} report - Records what cannot be represented
+ * @param {string} prefix - Dotted path of the schema, for the report
+ * @returns {Object} Schema definition object
+ */
+const convertSchema = (schema, report, prefix = '') => {
+    const definition = {};
+    const { timestampKeys, versionKey } = resolveSystemFields(schema.options);
+    const policy = UNKNOWN_KEY_POLICIES.get(schema.options.strict) || 'strip';
+
+    for (const [path, schemaType] of Object.entries(schema.paths)) {
+        // Mongoose manages _id, the timestamps and the version key; map values are read from the map
+        const isSystemPath = (path === '_id' && schemaType.options?.auto) || path === versionKey || timestampKeys.includes(path);
+        if (isSystemPath || path.endsWith('.$*')) {
+            continue;
+        }
+
+        const segments = path.split('.');
+        let level = definition;
+        segments.slice(0, -1).forEach(segment => {
+            level[segment] = level[segment] || { type: 'Object', required: false, schema: {} };
+            level = level[segment].schema;
+        });
+
+        const fieldName = segments[segments.length - 1];
+        level[fieldName] = convertPath({ path: prefix ? `${prefix}.${path}` : path, fieldName, report, policy }, schemaType);
+    }
+
+    return definition;
+};
+
+/**
+ * Reports the parts of a schema that definitions do not hold: middleware, methods, statics,
+ * query helpers, plugins and compound indexes
+ * @param {mongoose.Schema} schema - The schema
+ * @param {Function} report - Records what cannot be represented
+ * @param {string} path - Dotted path of the schema ('' for the top level)
+ */
+const reportSchemaExtras = (schema, report, path) => {
+    const hooks = schema.s?.hooks;
+    [['pre', hooks?._pres], ['post', hooks?._posts]].forEach(([kind, hooksByName]) => {
+        (hooksByName || new Map()).forEach((entries, name) => {
+            const custom = entries.filter(({ fn }) => !BUILTIN_HOOKS.includes(fn.name));
+            if (custom.length > 0) {
+                report(path, 'middleware', `${custom.length} ${kind}('${name}') hook(s) not converted; pass them as \`middleware\``);
+            }
+        });
+    });
+
+    [['methods', schema.methods], ['statics', schema.statics], ['query helpers', schema.query]].forEach(([kind, functions]) => {
+        const names = Object.keys(functions || {}).filter(name => !BUILTIN_METHODS.includes(name));
+        if (names.length > 0) {
+            report(path, 'not_converted', `${kind} not converted: ${names.join(', ')}`);
+        }
+    });
+    const plugins = (schema.plugins || []).filter(({ fn }) => !BUILTIN_PLUGINS.includes(fn.name));
+    if (plugins.length > 0) {
+        report(path, 'not_converted', `Plugins not converted: ${plugins.map(({ fn }) => fn.name || 'anonymous').join(', ')}; apply them to the generated schema`);
+    }
+    (schema._indexes || []).forEach(([fields]) => {
+        report(path, 'index', `Index ${JSON.stringify(fields)} not converted; add it to the generated schema with schema.index()`);
+    });
+};
+
+/**
+ * Converts the virtuals of a schema into the `virtuals` option
+ * @param {mongoose.Schema} schema - The schema
+ * @param {Function} report - Records what cannot be represented
+ * @returns {Object} Virtuals keyed by name, `{ get, set }`
+ */
+const convertVirtuals = (schema, report) => {
+    const virtuals = {};
+    Object.entries(schema.virtuals).forEach(([name, virtual]) => {
+        // `id` is added by Mongoose itself
+        if (name === 'id') {
+            return;
+        }
+        if (virtual.options?.ref || virtual.getters.length > 1 || virtual.setters.length > 1) {
+            report(name, 'virtual', 'Populated virtuals and virtuals with several getters or setters are not converted');
+            return;
+        }
+        virtuals[name] = {
+            ...(virtual.getters[0] ? { get: virtual.getters[0] } : {}),
+            ...(virtual.setters[0] ? { set: virtual.setters[0] } : {})
+        };
+    });
+    return virtuals;
+};
+
+/**
+ * Lists the discriminators of a schema, compiled into a model or only declared
+ * @param {mongoose.Schema} schema - The schema
+ * @returns {Array<{ name: string, value: string, schema: mongoose.Schema }>} The discriminators
+ */
+const getDiscriminators = (schema) => {
+    if (schema.discriminators) {
+        return Object.entries(schema.discriminators).map(([name, variantSchema]) => ({
+            name,
+            value: String(variantSchema.discriminatorMapping?.value ?? name),
+            schema: variantSchema
+        }));
+    }
+    return [...(schema._applyDiscriminators || new Map())].map(([name, { schema: variantSchema, options }]) => ({
+        name,
+        value: String(options?.value ?? name),
+        schema: variantSchema
+    }));
+};
+
+/**
+ * Converts the discriminators of a schema into the `discriminator` option
+ * @param {mongoose.Schema} schema - The schema
+ * @param {Object} baseDefinition - The converted shared fields
+ * @param {Function} report - Records what cannot be represented
+ * @param {string|undefined} baseModelName - Name of the model the schema came from, if any
+ * @returns {Object|undefined} `{ key, variants, modelName }`, or undefined without discriminators
+ */
+const convertDiscriminators = (schema, baseDefinition, report, baseModelName) => {
+    const discriminators = getDiscriminators(schema);
+    if (discriminators.length === 0) {
+        return undefined;
+    }
+
+    const key = schema.options.discriminatorKey;
+    const variants = {};
+    discriminators.forEach(({ value, schema: variantSchema }) => {
+        // Compiled variants hold the shared fields too, which are already reported
+        const variantReport = [];
+        const variantDefinition = convertSchema(variantSchema, (...entry) => variantReport.push(entry));
+        const ownFields = Object.keys(variantDefinition).filter(field => field !== key && baseDefinition[field] === undefined);
+
+        variants[value] = Object.fromEntries(ownFields.map(field => [field, variantDefinition[field]]));
+        variantReport
+            .filter(([path]) => ownFields.includes(path.split('.')[0]))
+            .forEach(entry => report(...entry));
+    });
+
+    // Variant model names are the values behind the base model name ('NotificationEmail')
+    const prefixes = new Set(discriminators.map(({ name, value }) => {
+        const prefix = name.slice(0, Math.max(0, name.length - value.length));
+        return prefix && getVariantModelName(prefix, value) === name ? prefix : null;
+    }));
+    const [prefix] = prefixes;
+    const sharedPrefix = prefixes.size === 1 && prefix ? prefix : undefined;
+    const modelName = sharedPrefix || baseModelName;
+    if (!sharedPrefix) {
+        const names = discriminators.map(({ name }) => name).join(', ');
+        report('', 'discriminator_names', modelName
+            ? `Discriminator model names (${names}) do not share one prefix and will be named after ${modelName}`
+            : `Discriminator model names (${names}) do not share one prefix; set discriminator.modelName before building`);
+    }
+
+    return {
+        key,
+        variants,
+        ...(modelName ? { modelName } : {})
+    };
+};
+
+/**
+ * Builds a schema definition from an existing Mongoose schema
+ *
+ * Paths, nested objects, subdocuments, arrays, maps, enums, bounds, `match`, `required`, defaults,
+ * refs, custom validators and `[value, message]` messages are converted; top-level virtuals and
+ * discriminators become options. Everything else (middleware, methods, plugins, compound indexes,
+ * setters such as `trim`) is listed in the report instead of being dropped silently.
+ *
+ * @param {mongoose.Schema|mongoose.Model} schema - The schema, or a model compiled from it
+ * @returns {{ definition: Object, options: Object, report: Array<{ path: string, code: string, message: string }> }}
+ *   The definition, the createSchemas options (schemaOptions, unknownKeys, virtuals, discriminator)
+ *   that reproduce the schema, and what could not be converted
+ */
+export const definitionFromMongooseSchema = (schema) => {
+    // Models carry their schema
+    const source = schema && typeof schema.hydrate === 'function' ? schema.schema : schema;
+    if (!(source instanceof mongoose.Schema)) {
+        throw new Error('definitionFromMongooseSchema needs a mongoose.Schema or a model');
+    }
+
+    const report = [];
+    const record = (path, code, message) => {
+        report.push({ path, code, message });
+    };
+
+    const definition = convertSchema(source, record);
+    const { discriminatorKey, ...userOptions } = source._userProvidedOptions || {};
+    // strict becomes the unknown-key policy below
+    delete userOptions.strict;
+    const options = {
+        // Generated schemas add timestamps unless told otherwise, Mongoose schemas do not
+        schemaOptions: { ...userOptions, timestamps: source.options.timestamps || false }
+    };
+
+    const policy = UNKNOWN_KEY_POLICIES.get(source.options.strict) || 'strip';
+    if (policy !== 'strip') {
+        options.unknownKeys = policy;
+    }
+
+    const virtuals = convertVirtuals(source, record);
+    if (Object.keys(virtuals).length > 0) {
+        options.virtuals = virtuals;
+    }
+
+    const discriminator = convertDiscriminators(source, definition, record, source === schema ? undefined : schema.modelName);
+    if (discriminator) {
+        // Compiled models hold the key as a path, the builders add it themselves
+        delete definition[discriminator.key];
+        options.discriminator = discriminator;
+    } else if (discriminatorKey !== undefined) {
+        options.schemaOptions.discriminatorKey = discriminatorKey;
+    }
+
+    reportSchemaExtras(source, record, '');
+    return { definition, options, report };
+};
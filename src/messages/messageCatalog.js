@@ -0,0 +1,204 @@
+/**
+ * Locale used when a call selects none, and for keys a bundle leaves out
+ */
+export const DEFAULT_LOCALE = 'en';
+
+/**
+ * Built-in messages, keyed by the definition property (rule) they report
+ *
+ * Placeholders in braces are filled from the rule: `{field}` is the field name, `{value}` the
+ * rejected value, and bounds use the property name (`{min}`, `{max}`, `{precision}`, ...).
+ * A suffixed key ("min.items") words a rule for one kind of field; overriding the bare rule
+ * ("min") replaces every wording of it.
+ */
+const DEFAULT_MESSAGES = {
+    required: '{field} is required',
+    type: '{field} must be a valid {type}',
+    min: '{field} must be at least {min}',
+    'min.items': '{field} must have at least {min} items',
+    'min.bytes': '{field} must be at least {min} bytes',
+    max: '{field} must be at most {max}',
+    'max.items': '{field} must have at most {max} items',
+    'max.bytes': '{field} must be at most {max} bytes',
+    minlength: '{field} must be at least {minlength} characters long',
+    maxlength: '{field} must be at most {maxlength} characters long',
+    enum: '{field} must be one of: {values}',
+    email: '{field} must be a valid email address',
+    regex: '{field} format is invalid',
+    'regex.email': '{field} must be a valid email address',
+    'regex.password': '{field} must contain at least one lowercase letter, one uppercase letter, one number, and one special character (@$!%*?&#)',
+    'regex.phone': '{field} must be a valid phone number',
+    'regex.url': '{field} must be a valid URL',
+    unique: '{field} already exists',
+    uniqueItems: '{field} must not contain duplicate items',
+    precision: '{field} must have at most {precision} digits',
+    scale: '{field} must have at most {scale} decimal places',
+    base64: '{field} must be base64 encoded',
+    mapKey: 'Map key "{value}" cannot start with "$" or contain "."',
+    validate: 'Validator failed for path `{field}` with value `{value}`',
+    readOnly: '{field} is read-only and cannot be set',
+    private: '{field} is private and cannot be set',
+    ref: '{field} must be an ObjectId or a valid {ref} document',
+    coerce: '{field} could not be converted, received "{value}"',
+    'coerce.number': '{field} must be a number, received "{value}"',
+    'coerce.boolean': '{field} must be "true", "false", "1" or "0", received "{value}"',
+    'coerce.date': '{field} must be an ISO 8601 date or epoch milliseconds, received "{value}"',
+    'coerce.timezone': '{field} must include a timezone offset (e.g. "Z" or "+02:00"), received "{value}"',
+    'coerce.integer': '{field} must be an integer, received "{value}"',
+    'coerce.safeInteger': '{field} must be an integer within the safe range, received {value} (send large values as strings)',
+    filterable: '{field} cannot be filtered',
+    'filterable.operator': '{field} does not support the "{operator}" filter (supported: {operators})',
+    sortable: 'Cannot sort by "{value}" (sortable fields: {fields})'
+};
+
+/**
+ * Registered message bundles keyed by lowercase locale
+ */
+const bundles = new Map([[DEFAULT_LOCALE, DEFAULT_MESSAGES]]);
+
+/**
+ * Checks that every message of a bundle or override map is a template string or a function
+ * @param {Object} messages - Messages keyed by rule
+ * @param {string} label - Name used in error messages
+ */
+const assertMessages = (messages, label) => {
+    if (!messages || typeof messages !== 'object' || Array.isArray(messages)) {
+        throw new Error(`${label} must be an object of messages keyed by rule`);
+    }
+    Object.entries(messages).forEach(([rule, message]) => {
+        if (typeof message !== 'string' && typeof message !== 'function') {
+            throw new Error(`${label}.${rule} must be a string or a function`);
+        }
+    });
+};
+
+/**
+ * Registers a message bundle, or adds messages to an existing one (including 'en')
+ * Keys the bundle leaves out fall back to the default English messages.
+ * @param {string} locale - Locale code, matched case-insensitively (e.g. 'de', 'pt-BR')
+ * @param {Object} messages - Templates or functions `(params) => string`, keyed by rule
+ * @returns {Object} The merged bundle
+ */
+export const registerLocale = (locale, messages) => {
+    if (typeof locale !== 'string' || locale.trim() === '') {
+        throw new Error('Locale must be a non-empty string');
+    }
+    assertMessages(messages, `Messages for locale "${locale}"`);
+
+    const key = locale.toLowerCase();
+    const bundle = { ...bundles.get(key), ...messages };
+    bundles.set(key, bundle);
+    return bundle;
+};
+
+/**
+ * Lists the registered locales
+ * @returns {Array<string>} Locale codes
+ */
+export const getLocales = () => {
+    return [...bundles.keys()];
+};
+
+/**
+ * Lists the rules the default bundle has messages for
+ * @returns {Array<string>} Message keys, including suffixed wordings such as 'min.items'
+ */
+export const getMessageKeys = () => {
+    return Object.keys(DEFAULT_MESSAGES);
+};
+
+/**
+ * Resolves a locale to a registered one, falling back from a region ('pt-BR') to its language ('pt')
+ * @param {string} locale - Locale code
+ * @returns {string} The registered locale, or the default locale when none matches
+ */
+export const resolveLocale = (locale = DEFAULT_LOCALE) => {
+    const key = String(locale).toLowerCase();
+    if (bundles.has(key)) {
+        return key;
+    }
+    const language = key.split('-')[0];
+    return bundles.has(language) ? language : DEFAULT_LOCALE;
+};
+
+/**
+ * Looks up a message key in a map, ignoring case ('minLength' overrides 'minlength')
+ * @param {Object} messages - Messages keyed by rule
+ * @param {string} key - The key to find
+ * @returns {string|Function|undefined} The message
+ */
+const findMessage = (messages, key) => {
+    if (!messages) {
+        return undefined;
+    }
+    if (messages[key] !== undefined) {
+        return messages[key];
+    }
+    const lowerKey = key.toLowerCase();
+    const match = Object.keys(messages).find(name => name.toLowerCase() === lowerKey);
+    return match === undefined ? undefined : messages[match];
+};
+
+/**
+ * Fills the placeholders of a template
+ * Unknown placeholders are kept, array values are listed with commas.
+ * @param {string|Function} template - Template string, or a function `(params) => string`
+ * @param {Object} params - Placeholder values
+ * @returns {string} The message
+ */
+export const formatMessage = (template, params = {}) => {
+    if (typeof template === 'function') {
+        return String(template(params));
+    }
+    return template.replace(/\{(\w+)\}/g, (placeholder, name) => {
+        if (!Object.prototype.hasOwnProperty.call(params, name)) {
+            return placeholder;
+        }
+        const value = params[name];
+        return Array.isArray(value) ? value.join(', ') : String(value);
+    });
+};
+
+/**
+ * Resolves the message of a rule for one field
+ *
+ * Lookup order, for the suffixed key first and then the bare rule:
+ * 1. the field's own `messages` in the definition
+ * 2. `customMessages` passed to the builder, keyed by "field.rule"
+ * 3. the selected locale's bundle, then the default bundle
+ *
+ * @param {string} key - Message key, e.g. 'minlength' or 'min.items'
+ * @param {Object} params - Placeholder values other than `{field}` and `{value}`
+ * @param {Object} context - Where the field's overrides come from
+ * @param {string} context.fieldName - The field name, used for `{field}` and customMessages keys
+ * @param {Object} context.messages - The field's `messages` from the definition
+ * @param {Object} context.customMessages - Overrides keyed by "field.rule"
+ * @param {string} context.locale - Locale of the bundle to use
+ * @returns {Function} Renderer `(value) => string` filling `{value}` with the rejected value
+ */
+export const createMessage = (key, params = {}, context = {}) => {
+    const { fieldName, messages, customMessages, locale } = context;
+    const keys = key.includes('.') ? [key, key.split('.')[0]] : [key];
+    const bundle = bundles.get(resolveLocale(locale));
+
+    const template = keys.map(name => findMessage(messages, name)).find(Boolean) ||
+        keys.map(name => findMessage(customMessages, `${fieldName}.${name}`)).find(Boolean) ||
+        keys.map(name => bundle[name]).find(Boolean) ||
+        keys.map(name => DEFAULT_MESSAGES[name]).find(Boolean);
+
+    return (value) => formatMessage(template, { field: fieldName, ...params, value });
+};
+
+/**
+ * Collects where the messages of a field come from
+ * @param {string} fieldName - The field name
+ * @param {Object} fieldProps - The normalized field definition (its `messages` override the catalog)
+ * @param {Object} options - Builder options (`customMessages`, `locale`)
+ * @returns {Object} Context for createMessage
+ */
+export const getMessageContext = (fieldName, fieldProps, options = {}) => ({
+    fieldName,
+    messages: fieldProps.messages,
+    customMessages: options.customMessages,
+    locale: options.locale
+});
@@ -0,0 +1,147 @@
+import { createZodSchema, normalizeZodErrors } from '../models/zodSchema.js';
+import { resolveLocale } from '../messages/messageCatalog.js';
+
+/**
+ * Default 400 response body, matching the shape used by the example server
+ * @param {Array} errors - Normalized validation errors
+ * @returns {Object} Response body
+ */
+const defaultEnvelope = (errors) => ({
+    success: false,
+    message: 'Validation failed',
+    errors
+});
+
+/**
+ * Sends a JSON response on Express or plain Connect/Node responses
+ * @param {Object} res - The response object
+ * @param {number} status - HTTP status code
+ * @param {Object} body - Response body
+ */
+const sendJson = (res, status, body) => {
+    if (typeof res.status === 'function' && typeof res.json === 'function') {
+        res.status(status).json(body);
+        return;
+    }
+    res.statusCode = status;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(body));
+};
+
+/**
+ * Resolves a Zod schema from either a generated schema or a schema definition
+ * @param {Object} schemaOrDefinition - A Zod schema, or a definition for createZodSchema
+ * @param {Object} zodOptions - Options passed to createZodSchema for definitions
+ * @returns {z.ZodTypeAny} A Zod schema
+ */
+const resolveSchema = (schemaOrDefinition, zodOptions) => {
+    if (schemaOrDefinition && typeof schemaOrDefinition.safeParseAsync === 'function') {
+        return schemaOrDefinition;
+    }
+    return createZodSchema(schemaOrDefinition, zodOptions);
+};
+
+/**
+ * Creates the function returning the schema a request is validated with
+ * A `locale` function builds one schema per registered locale, on first use.
+ * @param {Object} schemaOrDefinition - A Zod schema, or a definition for createZodSchema
+ * @param {Object} zodOptions - Options passed to createZodSchema for definitions
+ * @param {string|Function} locale - A locale, or a function `(req) => locale`
+ * @returns {Function} Schema lookup `(req) => schema`
+ */
+const createSchemaLookup = (schemaOrDefinition, zodOptions, locale) => {
+    if (typeof locale !== 'function') {
+        const schema = resolveSchema(schemaOrDefinition, locale === undefined ? zodOptions : { ...zodOptions, locale });
+        return () => schema;
+    }
+    if (schemaOrDefinition && typeof schemaOrDefinition.safeParseAsync === 'function') {
+        throw new Error('A per-request locale needs a schema definition, built schemas already carry their messages');
+    }
+
+    // Unregistered locales share the default schema, so request headers cannot grow the cache
+    const schemasByLocale = new Map();
+    return (req) => {
+        const requestLocale = resolveLocale(locale(req) || undefined);
+        if (!schemasByLocale.has(requestLocale)) {
+            schemasByLocale.set(requestLocale, createZodSchema(schemaOrDefinition, { ...zodOptions, locale: requestLocale }));
+        }
+        return schemasByLocale.get(requestLocale);
+    };
+};
+
+/**
+ * Creates a middleware that validates one part of the request
+ * @param {string} source - Request property to validate ('body', 'query' or 'params')
+ * @param {Object} schemaOrDefinition - A Zod schema, or a definition for createZodSchema
+ * @param {Object} options - Middleware options, plus createZodSchema options for definitions
+ * @param {number} options.status - Status code for invalid requests (default: 400)
+ * @param {Function} options.envelope - Builds the response body from the normalized errors
+ * @param {Function} options.onError - Custom handler `(errors, req, res, next, zodError)` replacing the default response
+ * @param {string|Function} options.locale - Message locale, or `(req) => locale` to pick one per request
+ *   (e.g. `req => req.acceptsLanguages(...getLocales())`); per-request locales need a definition
+ * @returns {Function} Express/Connect middleware
+ */
+export const createValidationMiddleware = (source, schemaOrDefinition, options = {}) => {
+    const { status = 400, envelope = defaultEnvelope, onError, locale, ...zodOptions } = options;
+    const getSchema = createSchemaLookup(schemaOrDefinition, zodOptions, locale);
+
+    return async (req, res, next) => {
+        let result;
+        try {
+            result = await getSchema(req).safeParseAsync(req[source] ?? {});
+        } catch (error) {
+            // Failures other than validation issues (e.g. a throwing validator) go to Express
+            return next(error);
+        }
+
+        if (result.success) {
+            // Express 5 exposes req.query through a getter, so the parsed value is defined directly
+            Object.defineProperty(req, source, {
+                value: result.data,
+                writable: true,
+                configurable: true,
+                enumerable: true
+            });
+            return next();
+        }
+
+        const errors = normalizeZodErrors(result.error);
+        if (typeof onError === 'function') {
+            return onError(errors, req, res, next, result.error);
+        }
+
+        sendJson(res, status, envelope(errors, req));
+    };
+};
+
+/**
+ * Validates and replaces `req.body`
+ * @param {Object} schemaOrDefinition - A Zod schema, or a definition for createZodSchema
+ * @param {Object} options - See createValidationMiddleware
+ * @returns {Function} Express/Connect middleware
+ */
+export const validateBody = (schemaOrDefinition, options = {}) => {
+    return createValidationMiddleware('body', schemaOrDefinition, options);
+};
+
+/**
+ * Validates and replaces `req.query`
+ * Definitions are built with `coerce: true` by default, since query values are always strings.
+ * @param {Object} schemaOrDefinition - A Zod schema, or a definition for createZodSchema
+ * @param {Object} options - See createValidationMiddleware
+ * @returns {Function} Express/Connect middleware
+ */
+export const validateQuery = (schemaOrDefinition, options = {}) => {
+    return createValidationMiddleware('query', schemaOrDefinition, { coerce: true, ...options });
+};
+
+/**
+ * Validates and replaces `req.params`
+ * Definitions are built with `coerce: true` by default, since route params are always strings.
+ * @param {Object} schemaOrDefinition - A Zod schema, or a definition for createZodSchema
+ * @param {Object} options - See createValidationMiddleware
+ * @returns {Function} Express/Connect middleware
+ */
+export const validateParams = (schemaOrDefinition, options = {}) => {
+    return createValidationMiddleware('params', schemaOrDefinition, { coerce: true, ...options });
+};
@@ -0,0 +1,66 @@
+/**
+ * Which writes the server validates: every write, only writes to documents that already pass, or none
+ */
+const VALIDATION_LEVELS = ['strict', 'moderate', 'off'];
+
+/**
+ * What the server does with an invalid write: reject it, or accept it and log a warning
+ */
+const VALIDATION_ACTIONS = ['error', 'warn'];
+
+/**
+ * Error code of `createCollection` when the collection already exists
+ */
+const NAMESPACE_EXISTS = 48;
+
+/**
+ * Installs a validator on a collection, creating the collection when it does not exist yet
+ * Existing collections are updated with `collMod`, which replaces their previous validator.
+ * @param {Object} db - A MongoDB database, or a Mongoose connection
+ * @param {string} collectionName - The collection name, e.g. `User.collection.name`
+ * @param {Object} validator - The validator, as returned by createMongoValidator
+ * @param {Object} options - Validation options
+ * @param {string} options.validationLevel - 'strict' (default), 'moderate' or 'off'
+ * @param {string} options.validationAction - 'error' (default) or 'warn'
+ * @returns {Promise<{ collectionName: string, action: string, validationLevel: string, validationAction: string }>}
+ *   What was done, `action` being 'created' or 'modified'
+ */
+export const applyCollectionValidator = async (db, collectionName, validator, options = {}) => {
+    const { validationLevel = 'strict', validationAction = 'error' } = options;
+    // Mongoose connections expose the native database as `db`
+    const database = db && db.db && typeof db.db.command === 'function' ? db.db : db;
+
+    if (!database || typeof database.command !== 'function' || typeof database.createCollection !== 'function') {
+        throw new Error('applyCollectionValidator needs a MongoDB database or a Mongoose connection');
+    }
+    if (typeof collectionName !== 'string' || collectionName === '') {
+        throw new Error('Collection name must be a non-empty string');
+    }
+    if (!validator || typeof validator !== 'object') {
+        throw new Error('Validator must be an object, e.g. the result of createMongoValidator');
+    }
+    if (!VALIDATION_LEVELS.includes(validationLevel)) {
+        throw new Error(`Invalid validationLevel: ${validationLevel} (expected one of: ${VALIDATION_LEVELS.join(', ')})`);
+    }
+    if (!VALIDATION_ACTIONS.includes(validationAction)) {
+        throw new Error(`Invalid validationAction: ${validationAction} (expected one of: ${VALIDATION_ACTIONS.join(', ')})`);
+    }
+
+    const result = { collectionName, validationLevel, validationAction };
+    const existing = await database.listCollections({ name: collectionName }, { nameOnly: true }).toArray();
+
+    if (existing.length === 0) {
+        try {
+            await database.createCollection(collectionName, { validator, validationLevel, validationAction });
+            return { ...result, action: 'created' };
+        } catch (error) {
+            // Another process created it in the meantime
+            if (error.code !== NAMESPACE_EXISTS) {
+                throw error;
+            }
+        }
+    }
+
+    await database.command({ collMod: collectionName, validator, validationLevel, validationAction });
+    return { ...result, action: 'modified' };
+};
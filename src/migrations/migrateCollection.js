@@ -0,0 +1,96 @@
+import { normalizeVersioning, getDocumentVersion, getPendingMigrations, completeMigration } from '../utils/versioning.js';
+
+const DEFAULT_BATCH_SIZE = 100;
+
+/**
+ * Builds the filter matching documents written with an older version
+ * A null match also covers documents stored before the definition was versioned.
+ * @param {Object} versioning - A normalized versioning declaration
+ * @returns {Object} MongoDB filter
+ */
+const getOutdatedFilter = ({ key, version }) => ({
+    $or: [{ [key]: null }, { [key]: { $lt: version } }]
+});
+
+/**
+ * Upgrades every outdated document of a collection, in batches read from one cursor
+ *
+ * Each document is replaced only if its version is still the one it was read with, so documents
+ * that were upgraded or rewritten meanwhile are skipped rather than overwritten. Migrations may be
+ * asynchronous here. Documents whose migrations throw are reported in `failed` and left as stored.
+ *
+ * @param {Object} collection - A Mongoose model, or a MongoDB collection with `find` and `bulkWrite`
+ * @param {Object} versioning - The versioning declaration, `{ version, key, migrations }`
+ * @param {Object} options - Migration options
+ * @param {number} options.batchSize - Documents per bulk write (default: 100)
+ * @param {Object} options.filter - Limits the migration to matching documents
+ * @param {boolean} options.dryRun - Run the migrations without writing anything (default: false)
+ * @param {Function} options.onProgress - Called with the running totals after each batch
+ * @returns {Promise<{ scanned: number, migrated: number, skipped: number, failed: Array<{ _id: *, message: string }> }>} Totals
+ */
+export const migrateCollection = async (collection, versioning, options = {}) => {
+    const normalized = normalizeVersioning(versioning);
+    const { batchSize = DEFAULT_BATCH_SIZE, filter = {}, dryRun = false, onProgress } = options;
+    // Models hydrate documents, which upgrades them on load, so the raw collection is read instead
+    const target = collection && typeof collection.hydrate === 'function' ? collection.collection : collection;
+
+    if (!target || typeof target.find !== 'function' || typeof target.bulkWrite !== 'function') {
+        throw new Error('migrateCollection needs a Mongoose model or a collection with find and bulkWrite');
+    }
+    if (!Number.isInteger(batchSize) || batchSize < 1) {
+        throw new Error('batchSize must be a positive integer');
+    }
+
+    const totals = { scanned: 0, migrated: 0, skipped: 0, failed: [] };
+    let operations = [];
+
+    const flush = async () => {
+        if (operations.length === 0) {
+            return;
+        }
+        if (dryRun) {
+            totals.migrated += operations.length;
+        } else {
+            const result = await target.bulkWrite(operations, { ordered: false });
+            const matched = result && result.matchedCount !== undefined ? result.matchedCount : operations.length;
+            totals.migrated += matched;
+            totals.skipped += operations.length - matched;
+        }
+        operations = [];
+
+        if (typeof onProgress === 'function') {
+            await onProgress({ ...totals, failed: [...totals.failed] });
+        }
+    };
+
+    const outdated = getOutdatedFilter(normalized);
+    const query = Object.keys(filter).length > 0 ? { $and: [filter, outdated] } : outdated;
+
+    for await (const document of target.find(query)) {
+        totals.scanned++;
+        // Read before migrating, since migrations may change the document they receive
+        const storedVersion = document[normalized.key] ?? null;
+
+        try {
+            let upgraded = document;
+            for (const step of getPendingMigrations(normalized, getDocumentVersion(document, normalized))) {
+                upgraded = completeMigration(upgraded, step, normalized.key, await step.migrate(upgraded));
+            }
+            operations.push({
+                replaceOne: {
+                    filter: { _id: document._id, [normalized.key]: storedVersion },
+                    replacement: upgraded
+                }
+            });
+        } catch (error) {
+            totals.failed.push({ _id: document._id, message: error.message });
+        }
+
+        if (operations.length >= batchSize) {
+            await flush();
+        }
+    }
+    await flush();
+
+    return totals;
+};
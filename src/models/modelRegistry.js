@@ -0,0 +1,302 @@
+import mongoose from 'mongoose';
+import { z } from 'zod';
+import { createMongooseSchema } from './mongooseSchema.js';
+import { createZodSchemas } from './zodSchema.js';
+import { normalizeFieldProps } from '../utils/fieldUtils.js';
+import { normalizeDiscriminator, getVariantModelName } from '../utils/discriminators.js';
+
+/**
+ * Lists the `ref`s of a definition, including nested objects, array items, maps and variants
+ * A reference is required when a document cannot be saved without it: the field and every
+ * object holding it are required, and arrays must hold at least one item (`min`).
+ * @param {Object} schemaDefinition - The schema definition object
+ * @param {string} prefix - Dotted path of the level
+ * @param {boolean} present - Whether the level itself is always present
+ * @param {Array} refs - Collects `{ path, ref, required }`
+ * @returns {Array<{ path: string, ref: string, required: boolean }>} The references
+ */
+const collectRefs = (schemaDefinition, prefix = '', present = true, refs = []) => {
+    Object.entries(schemaDefinition).forEach(([fieldName, definition]) => {
+        const fieldProps = normalizeFieldProps(definition);
+        collectFieldRefs(prefix ? `${prefix}.${fieldName}` : fieldName, fieldProps, present && fieldProps.required === true, refs);
+    });
+    return refs;
+};
+
+/**
+ * Lists the `ref`s of one field (see collectRefs)
+ * @param {string} path - Dotted path of the field
+ * @param {Object} fieldProps - The normalized field definition
+ * @param {boolean} present - Whether the field is always present
+ * @param {Array} refs - Collects `{ path, ref, required }`
+ */
+const collectFieldRefs = (path, fieldProps, present, refs) => {
+    // Function and Model refs are resolved by Mongoose at populate time
+    if (typeof fieldProps.ref === 'string') {
+        refs.push({ path, ref: fieldProps.ref, required: present });
+    }
+    if (fieldProps.items) {
+        const nonEmpty = Number.isInteger(fieldProps.min) && fieldProps.min > 0;
+        collectFieldRefs(path, normalizeFieldProps(fieldProps.items), present && nonEmpty, refs);
+    }
+    if (fieldProps.of) {
+        collectFieldRefs(`${path}.$*`, normalizeFieldProps(fieldProps.of), false, refs);
+    }
+    if (fieldProps.schema) {
+        collectRefs(fieldProps.schema, path, present, refs);
+    }
+    // Variant fields are only present in some documents
+    if (fieldProps.discriminator) {
+        normalizeDiscriminator(fieldProps.discriminator).variants.forEach(({ definition }) => collectRefs(definition, path, false, refs));
+    }
+};
+
+/**
+ * Finds a cycle of required references, which no document of the cycle could ever be created in
+ * @param {Map} requiredEdges - Required references keyed by model name, `[{ path, ref }]`
+ * @returns {Array<string>|null} The cycle as "Model.path" steps back to its start, or null
+ */
+const findRequiredCycle = (requiredEdges) => {
+    const visited = new Set();
+    const stack = [];
+
+    const visit = (name) => {
+        const start = stack.findIndex(step => step.name === name);
+        if (start !== -1) {
+            return [...stack.slice(start).map(step => `${step.name}.${step.path}`), name];
+        }
+        if (visited.has(name)) {
+            return null;
+        }
+        visited.add(name);
+
+        for (const { path, ref } of requiredEdges.get(name) || []) {
+            stack.push({ name, path });
+            const cycle = visit(ref);
+            stack.pop();
+            if (cycle) {
+                return cycle;
+            }
+        }
+        return null;
+    };
+
+    for (const name of requiredEdges.keys()) {
+        const cycle = visit(name);
+        if (cycle) {
+            return cycle;
+        }
+    }
+    return null;
+};
+
+/**
+ * Creates a registry of named definitions whose `ref`s point at each other
+ *
+ * Definitions are registered with the options createSchemas takes (schemaOptions, middleware,
+ * virtuals, indexes, discriminator, versioning, ...). `build` then checks every reference and
+ * compiles all models on one connection. Zod schemas from the registry accept either an ObjectId
+ * or the populated document for each reference, validated against the target's `output` schema.
+ *
+ * @returns {Object} The registry: `register`, `has`, `names`, `getRefs`, `checkRefs`, `build` and `createZodSchemas`
+ */
+export const createModelRegistry = () => {
+    const entries = new Map();
+
+    /**
+     * Resolves a ref to the registered definition that owns it, including discriminator variant models
+     * @param {string} ref - The referenced model name
+     * @returns {string|undefined} The registered name
+     */
+    const resolveName = (ref) => {
+        if (entries.has(ref)) {
+            return ref;
+        }
+        for (const [name, { options }] of entries) {
+            if (!options.discriminator) {
+                continue;
+            }
+            const { modelName, variants } = normalizeDiscriminator(options.discriminator);
+            if (variants.some(({ value }) => getVariantModelName(modelName, value) === ref)) {
+                return name;
+            }
+        }
+        return undefined;
+    };
+
+    /**
+     * Lists the references of a registered definition
+     * @param {string} name - The registered name
+     * @returns {Array<{ path: string, ref: string, required: boolean }>} The references
+     */
+    const getRefs = (name) => {
+        const entry = entries.get(name);
+        if (!entry) {
+            throw new Error(`Model "${name}" is not registered`);
+        }
+
+        const { schemaDefinition, options } = entry;
+        const refs = collectRefs(schemaDefinition);
+        if (options.discriminator) {
+            normalizeDiscriminator(options.discriminator).variants.forEach(({ definition }) => collectRefs(definition, '', false, refs));
+        }
+        return refs;
+    };
+
+    /**
+     * Checks that every reference names a registered model and that no cycle of required references exists
+     * @returns {Array<{ model: string, path: string, code: string, message: string }>} Problems found, empty when the refs are sound
+     */
+    const checkRefs = () => {
+        const problems = [];
+        const requiredEdges = new Map();
+
+        for (const name of entries.keys()) {
+            const edges = [];
+            getRefs(name).forEach(({ path, ref, required }) => {
+                const target = resolveName(ref);
+                if (!target) {
+                    problems.push({ model: name, path, code: 'unknown_ref', message: `${name}.${path} references unknown model "${ref}"` });
+                } else if (required) {
+                    edges.push({ path, ref: target });
+                }
+            });
+            requiredEdges.set(name, edges);
+        }
+
+        const cycle = findRequiredCycle(requiredEdges);
+        if (cycle) {
+            const [model, ...path] = cycle[0].split('.');
+            problems.push({
+                model,
+                path: path.join('.'),
+                code: 'required_ref_cycle',
+                message: `Required references form a cycle, so none of these documents can be created first: ${cycle.join(' -> ')}`
+            });
+        }
+        return problems;
+    };
+
+    /**
+     * Builds the Zod schema a populated reference is validated with
+     * Schemas are resolved lazily, so models may reference each other (or themselves).
+     * @param {string} ref - The referenced model name
+     * @param {Object} zodOptions - Options shared by every schema of the call (locale, customMessages, coerce)
+     * @param {Map} populatedSchemas - Output schemas of the call keyed by name, shared by every reference to a model
+     * @returns {z.ZodTypeAny} Lazy Zod schema
+     */
+    const getPopulatedSchema = (ref, zodOptions, populatedSchemas) => {
+        const name = resolveName(ref);
+        if (!name) {
+            throw new Error(`Unknown model "${ref}" in ref`);
+        }
+        return z.lazy(() => {
+            if (!populatedSchemas.has(name)) {
+                const { schemaDefinition, options } = entries.get(name);
+                populatedSchemas.set(name, createZodSchemas(schemaDefinition, {
+                    ...options,
+                    ...zodOptions,
+                    resolveRef: (nestedRef) => getPopulatedSchema(nestedRef, zodOptions, populatedSchemas)
+                }).output);
+            }
+            return populatedSchemas.get(name);
+        });
+    };
+
+    const registry = {
+        /**
+         * Registers a named definition
+         * @param {string} name - The model name, as used in `ref`
+         * @param {Object} schemaDefinition - The schema definition object
+         * @param {Object} options - Options passed to createMongooseSchema and createZodSchemas (a discriminator's modelName defaults to the name)
+         * @returns {Object} The registry, for chaining
+         */
+        register: (name, schemaDefinition, options = {}) => {
+            if (typeof name !== 'string' || name.trim() === '') {
+                throw new Error('Model name must be a non-empty string');
+            }
+            if (!schemaDefinition || typeof schemaDefinition !== 'object' || Array.isArray(schemaDefinition)) {
+                throw new Error(`Model "${name}" needs a schema definition object`);
+            }
+            if (resolveName(name)) {
+                throw new Error(`Model "${name}" is already registered`);
+            }
+
+            // Variant models are named after the registered model unless the discriminator says otherwise
+            const discriminator = options.discriminator && options.discriminator.modelName === undefined
+                ? { ...options.discriminator, modelName: name }
+                : options.discriminator;
+            entries.set(name, { schemaDefinition, options: discriminator ? { ...options, discriminator } : options });
+            return registry;
+        },
+
+        /**
+         * Checks whether a name is registered
+         * @param {string} name - The model name
+         * @returns {boolean} True when registered
+         */
+        has: (name) => entries.has(name),
+
+        /**
+         * Lists the registered names
+         * @returns {Array<string>} Names in registration order
+         */
+        names: () => [...entries.keys()],
+
+        getRefs,
+        checkRefs,
+
+        /**
+         * Builds every schema and compiles every model on a connection
+         * @param {Object} connection - A Mongoose connection, or the mongoose instance (default)
+         * @returns {{ schemas: Object, models: Object }} Mongoose schemas and models keyed by name
+         */
+        build: (connection = mongoose) => {
+            if (!connection || typeof connection.model !== 'function') {
+                throw new Error('build needs a Mongoose connection or the mongoose instance');
+            }
+
+            const problems = checkRefs();
+            if (problems.length > 0) {
+                throw new Error(`Invalid references:\n${problems.map(problem => `  - ${problem.message}`).join('\n')}`);
+            }
+
+            const existing = [...entries.keys()].filter(name => connection.models && connection.models[name]);
+            if (existing.length > 0) {
+                throw new Error(`Models already compiled on this connection: ${existing.join(', ')}`);
+            }
+
+            const schemas = {};
+            const models = {};
+            entries.forEach(({ schemaDefinition, options }, name) => {
+                schemas[name] = createMongooseSchema(schemaDefinition, options);
+            });
+            Object.entries(schemas).forEach(([name, schema]) => {
+                models[name] = connection.model(name, schema);
+            });
+            return { schemas, models };
+        },
+
+        /**
+         * Creates the Zod schema variants of a registered definition, whose refs accept populated documents
+         * @param {string} name - The registered name
+         * @param {Object} zodOptions - Options applied to this definition and to the populated targets (locale, customMessages, coerce)
+         * @returns {{ create: z.ZodTypeAny, update: z.ZodTypeAny, replace: z.ZodTypeAny, output: z.ZodTypeAny }} Zod schemas
+         */
+        createZodSchemas: (name, zodOptions = {}) => {
+            const entry = entries.get(name);
+            if (!entry) {
+                throw new Error(`Model "${name}" is not registered`);
+            }
+
+            const populatedSchemas = new Map();
+            return createZodSchemas(entry.schemaDefinition, {
+                ...entry.options,
+                ...zodOptions,
+                resolveRef: (ref) => getPopulatedSchema(ref, zodOptions, populatedSchemas)
+            });
+        }
+    };
+
+    return registry;
+};
@@ -1,4 +1,511 @@
 import mongoose from 'mongoose';
+import {
+    normalizeFieldProps,
+    hasUniqueItems,
+    resolveUnknownKeys,
+    getNestedOptions,
+    isReadableField,
+    normalizeValidators,
+    getRegexMessageKey,
+    EMAIL_REGEX
+} from '../utils/fieldUtils.js';
+import { normalizeRefinements, getValueAtPath } from '../utils/refinements.js';
+import { normalizeDiscriminator, omitDiscriminatorKey, getVariantModelName } from '../utils/discriminators.js';
+import { normalizeVersioning, migrateData } from '../utils/versioning.js';
+import { resolveType } from '../types/typeRegistry.js';
+import { createMessage, getMessageContext } from '../messages/messageCatalog.js';
+
+/**
+ * Checks for a plain object literal (not a Schema, array or class instance)
+ * @param {*} value - The value to check
+ * @returns {boolean} True for plain objects
+ */
+const isPlainObject = (value) => {
+    return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+};
+
+/**
+ * Mongoose `strict` settings matching each unknown-key policy
+ */
+const STRICT_SETTINGS = {
+    strip: true,
+    strict: 'throw',
+    passthrough: false
+};
+
+/**
+ * Bounds Mongoose has no native min/max option for, keyed by type family
+ * `measure` returns the bounded quantity of a value (item count, byte length, numeric value),
+ * `unit` picks the message wording ('min.items', 'min.bytes').
+ */
+const BOUND_RULES = {
+    array: {
+        measure: (value) => value.length,
+        unit: 'items'
+    },
+    buffer: {
+        measure: (value) => value.length,
+        unit: 'bytes'
+    },
+    decimal128: {
+        measure: (value) => Number(value.toString())
+    },
+    bigint: {
+        measure: (value) => value
+    },
+    // Number subtypes such as Int32 and Double
+    number: {
+        measure: (value) => Number(value)
+    }
+};
+
+/**
+ * Error codes matching the ones Zod reports for the same rule, so clients see one contract
+ */
+const VALIDATOR_CODES = {
+    required: 'invalid_type',
+    min: 'too_small',
+    minlength: 'too_small',
+    max: 'too_big',
+    maxlength: 'too_big',
+    enum: 'invalid_value',
+    regexp: 'invalid_format'
+};
+
+/**
+ * Resolves the fields of a duplicate-key (E11000) error from its unique index key pattern
+ * @param {Error} error - The MongoDB duplicate-key error
+ * @returns {Array<string>} Offending field paths
+ */
+const getDuplicateKeyFields = (error) => {
+    if (error.keyPattern) {
+        return Object.keys(error.keyPattern);
+    }
+    if (error.keyValue) {
+        return Object.keys(error.keyValue);
+    }
+
+    // Older servers only describe the index in the message: "index: email_1 dup key: { ... }"
+    const match = /index:\s+(?:\S+\.\$)?(\S+)\s+dup key/.exec(error.message || '');
+    if (!match) {
+        return ['unknown'];
+    }
+    // Index names join each field with its direction or kind, e.g. "org_id_1_email_-1"
+    return match[1].split(/_(?:-?1|text|2d|2dsphere|hashed)(?:_|$)/).filter(Boolean);
+};
+
+/**
+ * Words a cast failure with the catalog's `type` message, the one Zod reports for wrong types
+ * @param {Error} error - A Mongoose CastError
+ * @param {Object} options - The `locale` and `customMessages` the schema was built with
+ * @returns {string} The message
+ */
+const getCastMessage = (error, options) => {
+    const path = error.path || 'unknown';
+    // Array items are reported by index ("scores.1"), messages name the field
+    const fieldName = path.split('.').filter(segment => !/^\d+$/.test(segment)).pop() || path;
+    const kind = String(error.kind || 'unknown').replace(/[[\]]/g, '');
+    const type = resolveType(kind)?.name || kind.toLowerCase();
+    return createMessage('type', { type }, getMessageContext(fieldName, {}, options))(error.value);
+};
+
+/**
+ * Normalizes Mongoose and MongoDB errors into the same format as normalizeZodErrors
+ * Handles ValidationError, CastError, StrictModeError and E11000 duplicate-key errors.
+ * @param {Error} error - The Mongoose or MongoDB error
+ * @param {Object} options - Message options, as passed to createMongooseSchema
+ * @param {string} options.locale - Locale of the cast and duplicate-key messages (default: 'en')
+ * @param {Object} options.customMessages - Message overrides keyed by "field.rule"
+ * @returns {Array} Normalized error array
+ */
+export const normalizeMongooseErrors = (error, options = {}) => {
+    if (!error) {
+        return [];
+    }
+
+    if (error.name === 'ValidationError' && error.errors) {
+        return Object.entries(error.errors)
+            // Nested ValidationErrors summarize their children, which are listed on their own
+            .filter(([, err]) => err.name !== 'ValidationError')
+            .map(([path, err]) => ({
+                field: path,
+                message: err.name === 'CastError' ? getCastMessage(err, options) : (err.message || 'Validation failed'),
+                code: err.name === 'CastError' ? 'invalid_type' : (VALIDATOR_CODES[err.kind] || 'custom'),
+                value: err.value,
+                type: err.kind || 'unknown'
+            }));
+    }
+
+    if (error.name === 'CastError') {
+        return [{
+            field: error.path || 'unknown',
+            message: getCastMessage(error, options),
+            code: 'invalid_type',
+            value: error.value,
+            type: error.kind || 'unknown'
+        }];
+    }
+
+    if (error.name === 'StrictModeError') {
+        return [{
+            field: error.path || 'unknown',
+            message: error.message || 'Field is not in schema',
+            code: 'unrecognized_keys',
+            value: undefined,
+            type: 'strict'
+        }];
+    }
+
+    if (error.code === 11000 || error.code === 11001) {
+        return getDuplicateKeyFields(error).map(field => ({
+            field,
+            message: createMessage('unique', {}, getMessageContext(field, {}, options))(error.keyValue ? error.keyValue[field] : undefined),
+            code: 'duplicate_key',
+            value: error.keyValue ? error.keyValue[field] : undefined,
+            type: 'unique'
+        }));
+    }
+
+    return [];
+};
+
+/**
+ * Installs toJSON/toObject transforms that strip `writeOnly` and `private` fields
+ * Existing transforms from the schema options still run afterwards.
+ * @param {mongoose.Schema} schema - The schema for one level of the definition
+ * @param {Object} schemaDefinition - The definition for that level
+ */
+const hideUnreadableFields = (schema, schemaDefinition) => {
+    const hiddenFields = Object.keys(schemaDefinition)
+        .filter(fieldName => !isReadableField(normalizeFieldProps(schemaDefinition[fieldName])));
+
+    if (hiddenFields.length === 0) {
+        return;
+    }
+
+    ['toJSON', 'toObject'].forEach(method => {
+        const serializeOptions = schema.get(method) || {};
+        const { transform } = serializeOptions;
+
+        schema.set(method, {
+            ...serializeOptions,
+            transform(doc, ret, transformOptions) {
+                hiddenFields.forEach(fieldName => {
+                    delete ret[fieldName];
+                });
+                return typeof transform === 'function' ? transform(doc, ret, transformOptions) : ret;
+            }
+        });
+    });
+};
+
+/**
+ * Adds the cross-field rules of an object as a pre-validate hook
+ * Failing rules invalidate their path with the rule name as the error kind, like the Zod schema reports them.
+ * @param {mongoose.Schema} schema - The schema (or subdocument schema) of the object
+ * @param {Object} refinements - Rules keyed by name (see normalizeRefinements)
+ */
+const attachRefinements = (schema, refinements) => {
+    const rules = normalizeRefinements(refinements);
+    if (rules.length === 0) {
+        return;
+    }
+
+    schema.pre('validate', async function() {
+        // Rules see plain data, the same shape the Zod schema passes them
+        const data = this.toObject({ transform: false, virtuals: false });
+
+        for (const rule of rules) {
+            const valid = await rule.check(data);
+            if (!valid) {
+                const path = rule.path.join('.');
+                // A ValidatorError keeps its kind when subdocuments forward it to their parent
+                this.invalidate(path, new mongoose.Error.ValidatorError({
+                    message: rule.message,
+                    path,
+                    value: getValueAtPath(data, rule.path),
+                    type: rule.name
+                }));
+            }
+        }
+    });
+};
+
+/**
+ * Upgrades documents written with an older definition version as they are loaded
+ * Migrations run on the raw data before Mongoose casts it, and the paths they produce are
+ * marked modified so the next save stores the upgrade. Fields a migration drops are not
+ * unset in the database until migrateCollection rewrites the document.
+ * @param {mongoose.Schema} schema - The top-level schema
+ * @param {Object} versioning - A normalized versioning declaration
+ */
+const attachVersioning = (schema, versioning) => {
+    schema.pre('init', function(data) {
+        // A projection without the version key cannot tell old documents from current ones
+        if (!this.isSelected(versioning.key)) {
+            return;
+        }
+
+        const upgraded = migrateData(data, versioning);
+        if (upgraded === data) {
+            return;
+        }
+
+        // Mongoose hydrates from this object, so it is upgraded in place
+        Object.keys(data).forEach(key => delete data[key]);
+        Object.assign(data, upgraded);
+        this.$locals.migratedPaths = Object.keys(upgraded)
+            .filter(key => key !== '_id' && this.schema.pathType(key) !== 'adhocOrUndefined');
+    });
+
+    schema.post('init', function() {
+        (this.$locals.migratedPaths || []).forEach(path => this.markModified(path));
+        delete this.$locals.migratedPaths;
+    });
+};
+
+/**
+ * Builds one Mongoose schema per discriminator variant, holding only the variant's own fields
+ * @param {Object} discriminator - A normalized discriminator
+ * @param {Object} baseDefinition - The shared fields (without the discriminator key)
+ * @param {Object} options - Options passed to createMongooseSchema
+ * @param {Object} variantSchemaOptions - Mongoose options for the variant schemas
+ * @returns {Array<{ value: string, schema: mongoose.Schema }>} Variant schemas
+ */
+const createVariantSchemas = (discriminator, baseDefinition, options, variantSchemaOptions) => {
+    return discriminator.variants.map(({ value, definition }) => {
+        const variantSchema = new mongoose.Schema(buildSchemaObject(definition, options), variantSchemaOptions);
+        // Variant documents serialize with the variant schema, so it hides the shared fields too
+        hideUnreadableFields(variantSchema, { ...baseDefinition, ...definition });
+        return { value, schema: variantSchema };
+    });
+};
+
+/**
+ * Builds a Mongoose subdocument schema from a nested `schema` definition
+ * @param {Object} fieldProps - The field definition holding the nested `schema`
+ * @param {Object} options - Options passed to createMongooseSchema
+ * @param {boolean} options.subdocumentIds - Add an `_id` to nested subdocuments (default: false)
+ * @returns {mongoose.Schema|Object} A Mongoose subdocument schema, or a path config with its `discriminators`
+ */
+const createSubdocumentSchema = (fieldProps, options = {}) => {
+    const { subdocumentIds = false } = options;
+    const nestedOptions = getNestedOptions(fieldProps, options);
+    // A per-field `_id` setting wins over the global option
+    const _id = fieldProps._id !== undefined ? fieldProps._id : subdocumentIds;
+    const subdocumentOptions = { _id, strict: STRICT_SETTINGS[resolveUnknownKeys(nestedOptions)] };
+
+    const discriminator = fieldProps.discriminator ? normalizeDiscriminator(fieldProps.discriminator) : null;
+    const baseDefinition = discriminator ? omitDiscriminatorKey(fieldProps.schema, discriminator.key) : fieldProps.schema;
+
+    const subdocumentSchema = new mongoose.Schema(buildSchemaObject(baseDefinition, nestedOptions), {
+        ...subdocumentOptions,
+        ...(discriminator ? { discriminatorKey: discriminator.key } : {})
+    });
+    hideUnreadableFields(subdocumentSchema, baseDefinition);
+    attachRefinements(subdocumentSchema, fieldProps.refinements);
+
+    if (!discriminator) {
+        return subdocumentSchema;
+    }
+
+    // Variants are declared on the path, so each subdocument is cast to the variant its key names
+    const discriminators = {};
+    createVariantSchemas(discriminator, baseDefinition, nestedOptions, subdocumentOptions)
+        .forEach(({ value, schema }) => {
+            discriminators[value] = schema;
+        });
+
+    return { type: subdocumentSchema, discriminators };
+};
+
+/**
+ * Converts a single field definition into a Mongoose path definition
+ * @param {string} fieldName - The field name (used in validation messages)
+ * @param {Object|Array} definition - The field definition, or the array shorthand
+ * @param {Object} options - Options passed to createMongooseSchema
+ * @returns {Object} Mongoose path definition
+ */
+const buildFieldConfig = (fieldName, definition, options = {}) => {
+    const fieldProps = normalizeFieldProps(definition);
+    const fieldConfig = {};
+    const messageContext = getMessageContext(fieldName, fieldProps, options);
+    // Messages are rendered once; Mongoose fills {VALUE} itself when a value is rejected
+    const message = (key, params) => createMessage(key, params, messageContext)('{VALUE}');
+    // Rules without a native Mongoose option (array length, uniqueness, BSON type bounds, email,
+    // regex and custom validators) all run as validators, so none of them overwrites another
+    const pathValidators = [];
+
+    // Resolve the type through the registry (case-insensitive names and constructors)
+    const registeredType = resolveType(fieldProps.type);
+    if (!registeredType) {
+        throw new Error(`Invalid type: ${fieldProps.type}`);
+    }
+
+    const mongooseType = registeredType.mongoose(fieldProps, {
+        fieldName,
+        options,
+        buildItems: (itemDefinition) => buildFieldConfig(fieldName, itemDefinition, options),
+        buildSubdocument: (nestedProps) => createSubdocumentSchema(nestedProps, options),
+        message
+    });
+
+    // Types may return a full path config ({ type, validate, ... }) instead of a bare type
+    if (isPlainObject(mongooseType) && mongooseType.type !== undefined) {
+        Object.assign(fieldConfig, mongooseType);
+    } else {
+        fieldConfig.type = mongooseType;
+    }
+
+    // Apply all other properties
+    for (const [propName, propValue] of Object.entries(fieldProps)) {
+        switch (propName) {
+            case 'type':
+                // Already handled above
+                break;
+            case 'required':
+                fieldConfig.required = propValue === true ? [true, message('required')] : propValue;
+                break;
+            case 'unique':
+                fieldConfig.unique = propValue;
+                break;
+            case 'minlength':
+            case 'minLength':
+                fieldConfig.minlength = [propValue, message('minlength', { minlength: propValue })];
+                break;
+            case 'maxlength':
+            case 'maxLength':
+                fieldConfig.maxlength = [propValue, message('maxlength', { maxlength: propValue })];
+                break;
+            case 'min':
+            case 'max': {
+                // Number and Date paths validate bounds natively, other types get a validator
+                const boundRule = BOUND_RULES[registeredType.family];
+                if (boundRule && fieldConfig.type !== Number && fieldConfig.type !== Date) {
+                    const { measure, unit } = boundRule;
+                    pathValidators.push({
+                        validator: propName === 'min'
+                            ? (v) => v == null || measure(v) >= propValue
+                            : (v) => v == null || measure(v) <= propValue,
+                        message: message(unit ? `${propName}.${unit}` : propName, { [propName]: propValue }),
+                        type: propName
+                    });
+                } else {
+                    fieldConfig[propName] = [propValue, message(propName, { [propName]: propValue })];
+                }
+                break;
+            }
+            case 'default':
+                fieldConfig.default = propValue;
+                break;
+            case 'ref':
+                fieldConfig.ref = propValue;
+                break;
+            case 'items':
+                // Already handled by the array type
+                break;
+            case 'uniqueItems':
+                if (propValue === true && registeredType.family === 'array') {
+                    pathValidators.push({
+                        validator: hasUniqueItems,
+                        message: message('uniqueItems')
+                    });
+                }
+                break;
+            case 'email':
+                // For email validation in Mongoose, we typically use a custom validator
+                if (propValue === true) {
+                    pathValidators.push({
+                        validator: function(v) {
+                            return EMAIL_REGEX.test(v);
+                        },
+                        message: message('email')
+                    });
+                }
+                break;
+            case 'enum':
+                if (Array.isArray(propValue)) {
+                    fieldConfig.enum = { values: propValue, message: message('enum', { values: propValue }) };
+                }
+                break;
+            case 'regex':
+            case 'match':
+                if (propValue instanceof RegExp) {
+                    pathValidators.push({
+                        validator: function(v) {
+                            return propValue.test(v);
+                        },
+                        message: message(getRegexMessageKey(fieldName, propValue))
+                    });
+                } else if (typeof propValue === 'string') {
+                    pathValidators.push({
+                        validator: function(v) {
+                            return new RegExp(propValue).test(v);
+                        },
+                        message: message(getRegexMessageKey(fieldName, propValue))
+                    });
+                }
+                break;
+            case 'validate':
+                // Custom validators may be sync or return a promise; Mongoose awaits both
+                pathValidators.push(...normalizeValidators(propValue).map(validator => (validator.message === undefined
+                    ? { ...validator, message: message('validate') }
+                    : validator)));
+                break;
+            case 'select':
+                fieldConfig.select = propValue;
+                break;
+            case 'sparse':
+                fieldConfig.sparse = propValue;
+                break;
+            case 'index':
+                fieldConfig.index = propValue;
+                break;
+            case 'text':
+                fieldConfig.text = propValue;
+                break;
+            case 'unique':
+                fieldConfig.unique = propValue;
+                break;
+            case 'immutable':
+                fieldConfig.immutable = propValue;
+                break;
+            case 'transform':
+                fieldConfig.transform = propValue;
+                break;
+            case 'get':
+                fieldConfig.get = propValue;
+                break;
+            case 'set':
+                fieldConfig.set = propValue;
+                break;
+        }
+    }
+    
+    if (pathValidators.length > 0) {
+        // Validators from a custom type's path config run first, none of them are replaced
+        const typeValidators = fieldConfig.validate === undefined ? [] : [].concat(fieldConfig.validate);
+        fieldConfig.validate = [...typeValidators, ...pathValidators];
+    }
+
+    return fieldConfig;
+};
+
+/**
+ * Converts a schema definition object into a plain Mongoose schema object
+ * @param {Object} schemaDefinition - The schema definition object
+ * @param {Object} options - Options passed to createMongooseSchema
+ * @returns {Object} Mongoose path definitions keyed by field name
+ */
+const buildSchemaObject = (schemaDefinition, options = {}) => {
+    const mongooseSchemaObject = {};
+
+    for (const [fieldName, fieldProps] of Object.entries(schemaDefinition)) {
+        mongooseSchemaObject[fieldName] = buildFieldConfig(fieldName, fieldProps, options);
+    }
+
+    return mongooseSchemaObject;
+};
 
 /**
  * Creates a Mongoose schema from a schema definition object
@@ -8,227 +515,50 @@ import mongoose from 'mongoose';
  * @param {Object} options.middleware - Pre/post hooks and middleware
  * @param {Object} options.virtuals - Virtual fields
  * @param {Object} options.indexes - Index definitions
+ * @param {boolean} options.subdocumentIds - Add an `_id` to nested subdocuments (default: false)
+ * @param {string} options.unknownKeys - Unknown-key policy: 'strip' (default), 'strict' or 'passthrough'
+ * @param {boolean} options.strictMode - Shorthand for `unknownKeys: 'strict'`
+ * @param {Object} options.refinements - Cross-field rules keyed by name, `{ check, path, message, fields }`
+ * @param {Object} options.discriminator - Variants keyed by a discriminator field, `{ key, variants, modelName }` (modelName is required)
+ * @param {Object} options.customMessages - Message overrides keyed by "field.rule" (e.g. 'age.min')
+ * @param {string} options.locale - Locale of the message bundle (default: 'en')
+ * @param {Object} options.versioning - Definition version and migrations, `{ version, key, migrations }`
  * @returns {mongoose.Schema} A Mongoose schema object
  */
 export const createMongooseSchema = (schemaDefinition, options = {}) => {
-    const mongooseSchemaObject = {};
     const { schemaOptions = {}, middleware = {}, virtuals = {}, indexes = {} } = options;
+    const discriminator = options.discriminator ? normalizeDiscriminator(options.discriminator) : null;
+    const versioning = options.versioning ? normalizeVersioning(options.versioning, schemaDefinition) : null;
+    const baseDefinition = discriminator ? omitDiscriminatorKey(schemaDefinition, discriminator.key) : schemaDefinition;
+    const mongooseSchemaObject = buildSchemaObject(baseDefinition, options);
 
-    for (const [fieldName, fieldProps] of Object.entries(schemaDefinition)) {
-        const fieldConfig = {};
-
-        // Handle type conversion from JavaScript types to Mongoose types
-        // Support case-insensitive type definitions for better developer experience
-        let mongooseType;
-        const typeStr = typeof fieldProps.type === 'string' ? fieldProps.type.toLowerCase() : '';
-        
-        switch (fieldProps.type) {
-            case String:
-                mongooseType = String;
-                break;
-            case Number:
-                mongooseType = Number;
-                break;
-            case Boolean:
-                mongooseType = Boolean;
-                break;
-            case Date:
-                mongooseType = Date;
-                break;
-            case Array:
-                mongooseType = Array;
-                break;
-            default:
-                // Handle string-based types with case-insensitive matching
-                switch (typeStr) {
-                    case 'string':
-                        mongooseType = String;
-                        break;
-                    case 'number':
-                        mongooseType = Number;
-                        break;
-                    case 'boolean':
-                        mongooseType = Boolean;
-                        break;
-                    case 'date':
-                        mongooseType = Date;
-                        break;
-                    case 'array':
-                        mongooseType = Array;
-                        break;
-                    case 'objectid':
-                    case 'object_id':
-                        mongooseType = mongoose.Schema.Types.ObjectId;
-                        break;
-                    case 'mixed':
-                        mongooseType = mongoose.Schema.Types.Mixed;
-                        break;
-                    case 'object':
-                        mongooseType = mongoose.Schema.Types.Mixed;
-                        break;
-                    default:
-                        mongooseType = fieldProps.type;
-                }
-        }
-
-        fieldConfig.type = mongooseType;
-
-        // Apply all other properties
-        for (const [propName, propValue] of Object.entries(fieldProps)) {
-            switch (propName) {
-                case 'type':
-                    // Already handled above
-                    break;
-                case 'required':
-                    fieldConfig.required = propValue;
-                    break;
-                case 'unique':
-                    fieldConfig.unique = propValue;
-                    break;
-                case 'minlength':
-                case 'minLength':
-                    fieldConfig.minlength = propValue;
-                    break;
-                case 'maxlength':
-                case 'maxLength':
-                    fieldConfig.maxlength = propValue;
-                    break;
-                case 'min':
-                    fieldConfig.min = propValue;
-                    break;
-                case 'max':
-                    fieldConfig.max = propValue;
-                    break;
-                case 'default':
-                    fieldConfig.default = propValue;
-                    break;
-                case 'ref':
-                    fieldConfig.ref = propValue;
-                    break;
-                case 'items':
-                    // Handle array item types with case-insensitive support
-                    if (fieldConfig.type === Array && propValue) {
-                        const itemTypeStr = typeof propValue.type === 'string' ? propValue.type.toLowerCase() : '';
-                        
-                        if (propValue.type === String) {
-                            fieldConfig.type = [String];
-                        } else if (propValue.type === Number) {
-                            fieldConfig.type = [Number];
-                        } else if (propValue.type === Date) {
-                            fieldConfig.type = [Date];
-                        } else if (propValue.type === Boolean) {
-                            fieldConfig.type = [Boolean];
-                        } else if (propValue.type === Array) {
-                            fieldConfig.type = [Array];
-                        } else {
-                            // Handle string-based types with case-insensitive matching
-                            switch (itemTypeStr) {
-                                case 'string':
-                                    fieldConfig.type = [String];
-                                    break;
-                                case 'number':
-                                    fieldConfig.type = [Number];
-                                    break;
-                                case 'date':
-                                    fieldConfig.type = [Date];
-                                    break;
-                                case 'boolean':
-                                    fieldConfig.type = [Boolean];
-                                    break;
-                                case 'array':
-                                    fieldConfig.type = [Array];
-                                    break;
-                                case 'objectid':
-                                case 'object_id':
-                                    fieldConfig.type = [mongoose.Schema.Types.ObjectId];
-                                    if (propValue.ref) {
-                                        fieldConfig.ref = propValue.ref;
-                                    }
-                                    break;
-                                case 'mixed':
-                                case 'object':
-                                    fieldConfig.type = [mongoose.Schema.Types.Mixed];
-                                    break;
-                                default:
-                                    fieldConfig.type = [mongoose.Schema.Types.Mixed];
-                            }
-                        }
-                    }
-                    break;
-                case 'email':
-                    // For email validation in Mongoose, we typically use a custom validator
-                    if (propValue === true) {
-                        fieldConfig.validate = {
-                            validator: function(v) {
-                                return /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/.test(v);
-                            },
-                            message: 'Invalid email format'
-                        };
-                    }
-                    break;
-                case 'enum':
-                    if (Array.isArray(propValue)) {
-                        fieldConfig.enum = propValue;
-                    }
-                    break;
-                case 'regex':
-                case 'match':
-                    if (propValue instanceof RegExp) {
-                        fieldConfig.validate = {
-                            validator: function(v) {
-                                return propValue.test(v);
-                            },
-                            message: 'Invalid format'
-                        };
-                    } else if (typeof propValue === 'string') {
-                        fieldConfig.validate = {
-                            validator: function(v) {
-                                return new RegExp(propValue).test(v);
-                            },
-                            message: 'Invalid format'
-                        };
-                    }
-                    break;
-                case 'select':
-                    fieldConfig.select = propValue;
-                    break;
-                case 'sparse':
-                    fieldConfig.sparse = propValue;
-                    break;
-                case 'index':
-                    fieldConfig.index = propValue;
-                    break;
-                case 'text':
-                    fieldConfig.text = propValue;
-                    break;
-                case 'unique':
-                    fieldConfig.unique = propValue;
-                    break;
-                case 'immutable':
-                    fieldConfig.immutable = propValue;
-                    break;
-                case 'transform':
-                    fieldConfig.transform = propValue;
-                    break;
-                case 'get':
-                    fieldConfig.get = propValue;
-                    break;
-                case 'set':
-                    fieldConfig.set = propValue;
-                    break;
-            }
-        }
-        
-        mongooseSchemaObject[fieldName] = fieldConfig;
+    // New documents are stamped with the current version
+    if (versioning) {
+        mongooseSchemaObject[versioning.key] = { type: Number, default: versioning.version };
     }
 
     // Create the schema with custom options
     const finalSchemaOptions = {
         timestamps: true,
+        strict: STRICT_SETTINGS[resolveUnknownKeys(options)],
+        ...(discriminator ? { discriminatorKey: discriminator.key } : {}),
         ...schemaOptions
     };
     
     const schema = new mongoose.Schema(mongooseSchemaObject, finalSchemaOptions);
+    hideUnreadableFields(schema, baseDefinition);
+    attachRefinements(schema, options.refinements);
+    if (versioning) {
+        attachVersioning(schema, versioning);
+    }
+
+    // Variants become discriminator models when the schema is compiled into a model
+    if (discriminator) {
+        const variantSchemaOptions = { strict: finalSchemaOptions.strict };
+        createVariantSchemas(discriminator, baseDefinition, options, variantSchemaOptions).forEach(({ value, schema: variantSchema }) => {
+            schema.discriminator(getVariantModelName(discriminator.modelName, value), variantSchema, { value });
+        });
+    }
 
     // Add middleware if provided
     if (middleware.pre) {
@@ -1,4 +1,25 @@
 import { z } from 'zod';
+import {
+    normalizeFieldProps,
+    hasUniqueItems,
+    resolveUnknownKeys,
+    getNestedOptions,
+    getTypeFamily,
+    isWritableField,
+    isReadableField,
+    resolveSystemFields,
+    normalizeValidators,
+    getRegexMessageKey,
+    SCHEMA_VARIANTS,
+    DEFAULT_PASSWORD_REGEX
+} from '../utils/fieldUtils.js';
+import { COERCERS } from '../utils/coercion.js';
+import { normalizeRefinements, shouldApplyRefinement, getValueAtPath } from '../utils/refinements.js';
+import { normalizeDiscriminator, omitDiscriminatorKey } from '../utils/discriminators.js';
+import { normalizeVersioning, migrateData } from '../utils/versioning.js';
+import { resolveType } from '../types/typeRegistry.js';
+import { objectIdOutput } from '../types/builtinTypes.js';
+import { createMessage, getMessageContext } from '../messages/messageCatalog.js';
 
 /**
  * Normalizes Zod validation errors into a consistent format
@@ -14,352 +35,538 @@ export const normalizeZodErrors = (error) => {
         message: err.message || 'Validation failed',
         code: err.code || 'unknown',
         value: err.input || err.received,
-        type: err.expected || err.format || 'unknown'
+        type: err.expected || err.format || err.params?.refinement || err.params?.validator || 'unknown'
     }));
 };
 
 /**
- * Creates a custom error message handler
- * @param {string} fieldName - The field name
- * @param {string} rule - The validation rule
- * @param {*} value - The field value
- * @param {Object} customMessages - Custom message overrides
- * @returns {string} Formatted error message
+ * Resolves a catalog message as a Zod error function, filling `{value}` with the issue's input
+ * @param {string} key - Message key (see createMessage)
+ * @param {Object} params - Placeholder values
+ * @param {Object} messageContext - Context from getMessageContext
+ * @returns {Function} Error function for Zod's `error` parameter
  */
-const getCustomMessage = (fieldName, rule, value, customMessages = {}) => {
-    const key = `${fieldName}.${rule}`;
-    if (customMessages[key]) {
-        return customMessages[key];
-    }
-    
-    const defaultMessages = {
-        required: `${fieldName} is required`,
-        min: `${fieldName} must be at least ${value}`,
-        max: `${fieldName} must be at most ${value}`,
-        minlength: `${fieldName} must be at least ${value} characters`,
-        maxlength: `${fieldName} must be at most ${value} characters`,
-        email: `${fieldName} must be a valid email address`,
-        regex: `${fieldName} format is invalid`,
-        enum: `${fieldName} must be one of the allowed values`
-    };
-    
-    return defaultMessages[rule] || `${fieldName} validation failed`;
+const zodMessage = (key, params, messageContext) => {
+    const render = createMessage(key, params, messageContext);
+    return (issue) => render(issue.input);
 };
 
 /**
- * Creates a Zod schema from a schema definition object
- * @param {Object} schemaDefinition - The schema definition object
- * @param {Object} options - Additional options for schema creation
- * @param {boolean} options.strictMode - Enable strict validation mode
- * @param {Object} options.customMessages - Custom error messages
+ * Reports missing values and values of the wrong type with the catalog messages
+ * Other issues the type raises itself keep the type's own error.
+ * @param {z.ZodTypeAny} schema - The base Zod schema of a field
+ * @param {Function} message - Message helper `(key, params) => error function`
+ * @param {string} typeName - Registered type name, used for `{type}`
+ * @returns {z.ZodTypeAny} The schema with the messages applied
+ */
+const withTypeMessages = (schema, message, typeName) => {
+    const typeError = schema._zod.def.error;
+    const requiredError = message('required');
+    const invalidTypeError = message('type', { type: typeName });
+
+    return schema.clone({
+        ...schema._zod.def,
+        error: (issue) => {
+            if (issue.input === undefined) {
+                return requiredError(issue);
+            }
+            if (issue.code === 'invalid_type') {
+                return invalidTypeError(issue);
+            }
+            return typeError ? typeError(issue) : undefined;
+        }
+    });
+};
+
+/**
+ * Creates a Zod object that handles unknown keys according to the given policy
+ * @param {Object} shape - Zod validators keyed by field name
+ * @param {string} policy - Unknown-key policy ('strip' | 'strict' | 'passthrough')
  * @returns {z.ZodObject} A Zod schema object
  */
-export const createZodSchema = (schemaDefinition, options = {}) => {
-    const { strictMode = false, customMessages = {} } = options;
-    const zodSchemaObject = {};
+const createObject = (shape, policy) => {
+    switch (policy) {
+        case 'strict':
+            return z.strictObject(shape);
+        case 'passthrough':
+            return z.looseObject(shape);
+        default:
+            return z.object(shape);
+    }
+};
 
-    for (const [fieldName, fieldProps] of Object.entries(schemaDefinition)) {
-        let zodValidator;
-
-        // Handle array fields where fieldProps is an array
-        if (Array.isArray(fieldProps)) {
-            const itemType = fieldProps[0]?.type || 'String';
-            let itemValidator;
-            
-            if (itemType === String || itemType === 'String') {
-                itemValidator = z.string();
-            } else if (itemType === Number || itemType === 'Number') {
-                itemValidator = z.number();
-            } else if (itemType === Boolean || itemType === 'Boolean') {
-                itemValidator = z.boolean();
-            } else if (itemType === Date || itemType === 'Date') {
-                itemValidator = z.date();
-            } else {
-                itemValidator = z.any();
+/**
+ * Adds the cross-field rules of an object to its Zod schema
+ * Errors are reported on each rule's path, with the rule name as `params.refinement`.
+ * @param {z.ZodObject} schema - The Zod object schema
+ * @param {Object} refinements - Rules keyed by name (see normalizeRefinements)
+ * @param {string} variant - Schema variant
+ * @returns {z.ZodTypeAny} The schema with the rules applied
+ */
+const applyRefinements = (schema, refinements, variant) => {
+    const rules = normalizeRefinements(refinements);
+    // Output schemas are extended with system fields, which Zod forbids on refined objects
+    if (rules.length === 0 || variant === 'output') {
+        return schema;
+    }
+
+    return schema.superRefine((data, ctx) => {
+        const report = (rule, valid) => {
+            if (!valid) {
+                ctx.addIssue({
+                    code: 'custom',
+                    message: rule.message,
+                    path: rule.path,
+                    input: getValueAtPath(data, rule.path),
+                    params: { refinement: rule.name }
+                });
             }
-            
-            // Apply enum validation if present
-            if (fieldProps[0]?.enum) {
-                const lowerCaseEnum = fieldProps[0].enum.map(val => val.toLowerCase());
-                itemValidator = itemValidator
-                    .toLowerCase()
-                    .refine((val) => lowerCaseEnum.includes(val), {
-                        message: `${fieldName} must be one of: ${fieldProps[0].enum.join(', ')}`
-                    });
+        };
+
+        // Async checks make the schema async, like any other async refinement
+        const pending = rules
+            .filter(rule => shouldApplyRefinement(rule, data, variant))
+            .map(rule => {
+                const result = rule.check(data);
+                return result && typeof result.then === 'function'
+                    ? result.then(valid => report(rule, valid))
+                    : report(rule, result);
+            })
+            .filter(result => result && typeof result.then === 'function');
+
+        if (pending.length > 0) {
+            return Promise.all(pending).then(() => undefined);
+        }
+    });
+};
+
+/**
+ * Builds the Zod validator for an object field without a nested `schema`
+ * @param {Object} fieldProps - The object field definition
+ * @returns {z.ZodObject} A Zod schema object
+ */
+const createFreeformObject = (fieldProps) => {
+    // Free-form objects keep every key unless the field sets its own policy
+    return fieldProps.unknownKeys
+        ? createObject({}, resolveUnknownKeys({ unknownKeys: fieldProps.unknownKeys }))
+        : z.object({}).passthrough();
+};
+
+/**
+ * Builds the Zod schema for a nested object definition
+ * @param {Object} fieldProps - The field definition holding the nested `schema`
+ * @param {Object} options - Options passed to createZodSchema
+ * @returns {z.ZodObject} A Zod schema object
+ */
+const createNestedSchema = (fieldProps, options = {}) => {
+    const { variant, subdocumentIds = false } = options;
+    const nestedSchema = createZodSchema(fieldProps.schema, getNestedOptions(fieldProps, options));
+
+    // Subdocuments stored with an _id return it in the output shape
+    const hasId = fieldProps._id !== undefined ? fieldProps._id : subdocumentIds;
+    return variant === 'output' && hasId ? extendShape(nestedSchema, { _id: objectIdOutput }) : nestedSchema;
+};
+
+/**
+ * Adds the custom validators of a field (its `validate` property) as Zod refinements
+ * Validators returning a promise make the schema async, so it must be used with parseAsync.
+ * @param {z.ZodTypeAny} zodValidator - The field's Zod validator
+ * @param {string} fieldName - The field name (used in validation messages)
+ * @param {Array} validators - Validators from normalizeValidators
+ * @param {Function} failedMessage - Zod error function for validators without a message
+ * @returns {z.ZodTypeAny} The Zod validator with the refinements applied
+ */
+const applyValidators = (zodValidator, fieldName, validators, failedMessage) => {
+    return validators.reduce((schema, { validator, message, type }) => schema.superRefine((value, ctx) => {
+        // Like Mongoose, custom validators do not run on missing values
+        if (value === undefined) {
+            return;
+        }
+
+        const report = (errorMessage) => ctx.addIssue({
+            code: 'custom',
+            message: errorMessage,
+            input: value,
+            params: { validator: type }
+        });
+        const defaultMessage = typeof message === 'function'
+            ? message({ path: fieldName, value })
+            : message || failedMessage({ input: value });
+        const check = (valid) => {
+            if (!valid) {
+                report(defaultMessage);
             }
-            
-            zodValidator = z.array(itemValidator);
-            zodSchemaObject[fieldName] = zodValidator;
+        };
+
+        // A throwing or rejecting validator fails with its error message, as in Mongoose
+        let result;
+        try {
+            result = validator(value);
+        } catch (error) {
+            return report(error.message);
+        }
+        if (result && typeof result.then === 'function') {
+            return result.then(check, (error) => report(error.message));
+        }
+        check(result);
+    }), zodValidator);
+};
+
+/**
+ * Casts the value a date default function returned, such as the number Date.now returns
+ * @param {*} value - The returned value
+ * @returns {Date|*} A Date, or the value unchanged when it is not a timestamp or date string
+ */
+const toDateDefault = (value) => {
+    return typeof value === 'number' || typeof value === 'string' ? new Date(value) : value;
+};
+
+/**
+ * Converts a single field definition into a Zod validator
+ * @param {string} fieldName - The field name (used in validation messages)
+ * @param {Object|Array} definition - The field definition, or the array shorthand
+ * @param {Object} options - Options passed to createZodSchema
+ * @param {boolean} isArrayItem - Whether the definition describes array items
+ * @returns {z.ZodTypeAny} A Zod validator
+ */
+const buildFieldValidator = (fieldName, definition, options = {}, isArrayItem = false) => {
+    const { variant = 'create', coerce = false } = options;
+    // Arrays are replaced as a whole, so their items keep the full shape even in PATCH bodies
+    const itemOptions = variant === 'update' ? { ...options, variant: 'replace' } : options;
+    const fieldProps = normalizeFieldProps(definition);
+    const messageContext = getMessageContext(fieldName, fieldProps, options);
+    const message = (key, params) => zodMessage(key, params, messageContext);
+
+    // Step 1: Resolve the base type through the registry (case-insensitive names and constructors)
+    const registeredType = resolveType(fieldProps.type);
+    if (!registeredType) {
+        throw new Error(`Invalid type: ${fieldProps.type}`);
+    }
+
+    let zodValidator = registeredType.zod(fieldProps, {
+        fieldName,
+        options,
+        variant,
+        buildItems: (itemDefinition) => buildFieldValidator(fieldName, itemDefinition, itemOptions, true),
+        buildObject: (nestedProps) => (nestedProps.schema
+            ? createNestedSchema(nestedProps, options)
+            : createFreeformObject(nestedProps)),
+        message
+    });
+    zodValidator = withTypeMessages(zodValidator, message, registeredType.name);
+
+    // References also accept the populated document when the caller can resolve the target
+    if (typeof fieldProps.ref === 'string' && typeof options.resolveRef === 'function') {
+        zodValidator = z.union([zodValidator, options.resolveRef(fieldProps.ref, fieldName)], {
+            error: message('ref', { ref: fieldProps.ref })
+        });
+    }
+
+    // Step 2: Apply other validators by iterating through all properties
+    for (const [propName, propValue] of Object.entries(fieldProps)) {
+        // Skip the 'type' and 'items' properties since they're already handled
+        if (propName === 'type' || propName === 'items') {
             continue;
         }
 
-        // Step 1: Handle the base type first with case-insensitive support
-        const typeStr = typeof fieldProps.type === 'string' ? fieldProps.type.toLowerCase() : '';
-        
-        switch (fieldProps.type) {
-            case String:
-                zodValidator = z.string();
+        switch (propName) {
+            case 'required':
+                // Handle required/optional fields
+                if (propValue === false) {
+                    zodValidator = zodValidator.optional();
+                }
+                break;
+            case 'minlength':
+            case 'minLength':
+                if (zodValidator._def.type === 'string') {
+                    zodValidator = zodValidator.min(propValue, { error: message('minlength', { minlength: propValue }) });
+                }
                 break;
-            case Number:
-                zodValidator = z.number();
+            case 'maxlength':
+            case 'maxLength':
+                if (zodValidator._def.type === 'string') {
+                    zodValidator = zodValidator.max(propValue, { error: message('maxlength', { maxlength: propValue }) });
+                }
                 break;
-            case Boolean:
-                zodValidator = z.boolean();
+            case 'min':
+                if (zodValidator._def.type === 'number') {
+                    zodValidator = zodValidator.min(propValue, { error: message('min', { min: propValue }) });
+                } else if (zodValidator._def.type === 'array') {
+                    zodValidator = zodValidator.min(propValue, { error: message('min.items', { min: propValue }) });
+                }
                 break;
-            case Date:
-                zodValidator = z.date();
+            case 'max':
+                if (zodValidator._def.type === 'number') {
+                    zodValidator = zodValidator.max(propValue, { error: message('max', { max: propValue }) });
+                } else if (zodValidator._def.type === 'array') {
+                    zodValidator = zodValidator.max(propValue, { error: message('max.items', { max: propValue }) });
+                }
                 break;
-            case Array:
-                // Handle arrays - if items property exists, use it to define array element type
-                if (fieldProps.items) {
-                    let itemValidator;
-                    const itemTypeStr = typeof fieldProps.items.type === 'string' ? fieldProps.items.type.toLowerCase() : '';
-                    
-                    if (fieldProps.items.type === String) {
-                        itemValidator = z.string();
-                    } else if (fieldProps.items.type === Number) {
-                        itemValidator = z.number();
-                    } else if (fieldProps.items.type === Boolean) {
-                        itemValidator = z.boolean();
-                    } else if (fieldProps.items.type === Date) {
-                        itemValidator = z.date();
-                    } else {
-                        // Handle string-based types with case-insensitive matching
-                        switch (itemTypeStr) {
-                            case 'string':
-                                itemValidator = z.string();
-                                break;
-                            case 'number':
-                                itemValidator = z.number();
-                                break;
-                            case 'boolean':
-                                itemValidator = z.boolean();
-                                break;
-                            case 'date':
-                                itemValidator = z.date();
-                                break;
-                            case 'objectid':
-                            case 'object_id':
-                                itemValidator = z.string().length(24, 'Invalid ObjectId').regex(/^[0-9a-fA-F]{24}$/, 'Invalid ObjectId format');
-                                break;
-                            default:
-                                itemValidator = z.any();
-                        }
-                    }
-                    zodValidator = z.array(itemValidator);
-                } else {
-                    zodValidator = z.array(z.any());
+            case 'email':
+                if (propValue === true && zodValidator._def?.type === 'string') {
+                    zodValidator = zodValidator.email({ error: message('email') });
                 }
                 break;
-            case Object:
-                zodValidator = z.object({}).passthrough();
+            case 'enum':
+                if (Array.isArray(propValue)) {
+                    // Create a transform that converts input to lowercase and validates against enum
+                    const lowerCaseEnum = propValue.map(val => val.toLowerCase());
+                    zodValidator = withTypeMessages(z.string(), message, 'string')
+                        .toLowerCase()
+                        .refine((val) => lowerCaseEnum.includes(val), {
+                            error: message('enum', { values: propValue })
+                        });
+                }
                 break;
-            case Map:
-                // Map type - treat as object with string values
-                zodValidator = z.object({}).catchall(z.string());
+            case 'regex':
+            case 'match':
+                if (zodValidator._def.type === 'string') {
+                    const regex = propValue instanceof RegExp ? propValue : new RegExp(propValue);
+                    // Common patterns (email, password, phone, URL) get a more helpful message
+                    zodValidator = zodValidator.regex(regex, { error: message(getRegexMessageKey(fieldName, regex)) });
+                }
                 break;
-            default:
-                // Handle string-based types with case-insensitive matching
-                switch (typeStr) {
-                    case 'string':
-                        zodValidator = z.string();
-                        break;
-                    case 'number':
-                        zodValidator = z.number();
-                        break;
-                    case 'boolean':
-                        zodValidator = z.boolean();
-                        break;
-                    case 'date':
-                        zodValidator = z.date();
-                        break;
-                    case 'array':
-                        // Handle arrays - if items property exists, use it to define array element type
-                        if (fieldProps.items) {
-                            let itemValidator;
-                            const itemTypeStr = typeof fieldProps.items.type === 'string' ? fieldProps.items.type.toLowerCase() : '';
-                            
-                            if (fieldProps.items.type === String) {
-                                itemValidator = z.string();
-                            } else if (fieldProps.items.type === Number) {
-                                itemValidator = z.number();
-                            } else if (fieldProps.items.type === Boolean) {
-                                itemValidator = z.boolean();
-                            } else if (fieldProps.items.type === Date) {
-                                itemValidator = z.date();
-                            } else {
-                                // Handle string-based types with case-insensitive matching
-                                switch (itemTypeStr) {
-                                    case 'string':
-                                        itemValidator = z.string();
-                                        break;
-                                    case 'number':
-                                        itemValidator = z.number();
-                                        break;
-                                    case 'boolean':
-                                        itemValidator = z.boolean();
-                                        break;
-                                    case 'date':
-                                        itemValidator = z.date();
-                                        break;
-                                    case 'objectid':
-                                    case 'object_id':
-                                        itemValidator = z.string().length(24, 'Invalid ObjectId').regex(/^[0-9a-fA-F]{24}$/, 'Invalid ObjectId format');
-                                        break;
-                                    default:
-                                        itemValidator = z.any();
-                                }
-                            }
-                            zodValidator = z.array(itemValidator);
-                        } else {
-                            zodValidator = z.array(z.any());
-                        }
-                        break;
-                    case 'objectid':
-                    case 'object_id':
-                        // ObjectId is a string with a fixed length of 24 characters
-                        zodValidator = z.string().length(24, 'Invalid ObjectId').regex(/^[0-9a-fA-F]{24}$/, 'Invalid ObjectId format');
-                        break;
-                    case 'object':
-                        // Handle nested objects recursively
-                        if (fieldProps.schema) {
-                            zodValidator = createZodSchema(fieldProps.schema, options);
-                        } else {
-                            zodValidator = z.object({}).passthrough();
-                        }
-                        break;
-                    case 'mixed':
-                        zodValidator = z.any();
-                        break;
-                    case 'map':
-                        // Map type - treat as object with string values
-                        zodValidator = z.object({}).catchall(z.string());
-                        break;
-                    default:
-                        throw new Error(`Invalid type: ${fieldProps.type}`);
+            case 'default':
+                // Apply default values and make field optional if it has a default
+                // PATCH bodies and stored documents must never have defaults injected
+                if (propValue !== undefined && variant !== 'update' && variant !== 'output') {
+                    // Zod does not validate defaults, so function defaults of dates (Date.now) are cast as Mongoose casts them
+                    zodValidator = zodValidator.default(registeredType.family === 'date' && typeof propValue === 'function'
+                        ? () => toDateDefault(propValue())
+                        : propValue);
                 }
+                break;
+            case 'uniqueItems':
+                if (propValue === true && zodValidator._def.type === 'array') {
+                    zodValidator = zodValidator.refine(hasUniqueItems, { error: message('uniqueItems') });
+                }
+                break;
+            case 'unique':
+                // Unique validation is typically handled at the database level, not in Zod
+                // This is more for documentation purposes
+                break;
+            case 'ref':
+                // Handled with the base type: the ObjectId type validates the id, resolveRef the populated document
+                break;
         }
+    }
+    
+    // Step 3: Apply default password regex if field is password and no custom regex specified
+    if (!isArrayItem &&
+        variant !== 'output' &&
+        fieldName.toLowerCase().includes('password') && 
+        fieldProps.regex === undefined && 
+        zodValidator._def.type === 'string') {
+        zodValidator = zodValidator.regex(DEFAULT_PASSWORD_REGEX, { error: message('regex.password') });
+    }
+    
+    // Step 4: Run the field's custom validators (stored documents are not re-validated)
+    if (variant !== 'output') {
+        zodValidator = applyValidators(zodValidator, fieldName, normalizeValidators(fieldProps.validate), message('validate'));
+    }
+    
+    // Step 5: Make field optional if it has a default value and is not explicitly required
+    if (fieldProps.default !== undefined && fieldProps.required !== true) {
+        zodValidator = zodValidator.optional();
+    }
+    
+    // Step 6: Every field of an update (PATCH) body is optional
+    if (variant === 'update') {
+        zodValidator = zodValidator.optional();
+    }
+    
+    // Step 7: Convert query string, form data and JSON input before validating (a field setting wins)
+    // BigInts have no JSON representation, so they are converted unless the field opts out
+    const family = getTypeFamily(fieldProps.type);
+    const coercer = COERCERS[family];
+    if (coercer && (fieldProps.coerce !== undefined ? fieldProps.coerce : coerce || family === 'bigint')) {
+        zodValidator = z.preprocess((value, ctx) => coercer(value, ctx, messageContext), zodValidator);
+    }
+    
+    return zodValidator;
+};
 
-        // Step 2: Apply other validators by iterating through all properties
-        for (const [propName, propValue] of Object.entries(fieldProps)) {
-            // Skip the 'type' and 'items' properties since they're already handled
-            if (propName === 'type' || propName === 'items') {
-                continue;
-            }
+/**
+ * Builds the Zod validators of one level of a schema definition
+ * @param {Object} schemaDefinition - The schema definition object
+ * @param {Object} options - Options passed to createZodSchema
+ * @returns {Object} Zod validators keyed by field name
+ */
+const buildObjectShape = (schemaDefinition, options = {}) => {
+    const { variant = 'create' } = options;
+    const zodSchemaObject = {};
+
+    for (const [fieldName, fieldProps] of Object.entries(schemaDefinition)) {
+        const props = normalizeFieldProps(fieldProps);
 
-            switch (propName) {
-                case 'required':
-                    // Handle required/optional fields
-                    if (propValue === false) {
-                        zodValidator = zodValidator.optional();
-                    }
-                    break;
-                case 'minlength':
-                case 'minLength':
-                    if (zodValidator._def.type === 'string') {
-                        const message = getCustomMessage(fieldName, 'minlength', propValue, customMessages) || 
-                                       `${fieldName} must be at least ${propValue} characters long`;
-                        zodValidator = zodValidator.min(propValue, { message });
-                    }
-                    break;
-                case 'maxlength':
-                case 'maxLength':
-                    if (zodValidator._def.type === 'string') {
-                        const message = getCustomMessage(fieldName, 'maxlength', propValue, customMessages) || 
-                                       `${fieldName} must be at most ${propValue} characters long`;
-                        zodValidator = zodValidator.max(propValue, { message });
-                    }
-                    break;
-                case 'min':
-                    if (zodValidator._def.type === 'number') {
-                        zodValidator = zodValidator.min(propValue, { message: `Min value for ${fieldName} is ${propValue}` });
-                    } else if (zodValidator._def.type === 'array') {
-                        zodValidator = zodValidator.min(propValue, { message: `Array ${fieldName} must have at least ${propValue} items` });
-                    }
-                    break;
-                case 'max':
-                    if (zodValidator._def.type === 'number') {
-                        zodValidator = zodValidator.max(propValue, { message: `Max value for ${fieldName} is ${propValue}` });
-                    } else if (zodValidator._def.type === 'array') {
-                        zodValidator = zodValidator.max(propValue, { message: `Array ${fieldName} must have at most ${propValue} items` });
-                    }
-                    break;
-                case 'email':
-                    if (propValue === true && zodValidator._def?.type === 'string') {
-                        zodValidator = zodValidator.email({ message: `Invalid email format for ${fieldName}` });
-                    }
-                    break;
-                case 'enum':
-                    if (Array.isArray(propValue)) {
-                        // Create a transform that converts input to lowercase and validates against enum
-                        const lowerCaseEnum = propValue.map(val => val.toLowerCase());
-                        zodValidator = z.string()
-                            .toLowerCase()
-                            .refine((val) => lowerCaseEnum.includes(val), {
-                                message: `${fieldName} must be one of: ${propValue.join(', ')}`
-                            });
-                    }
-                    break;
-                case 'regex':
-                case 'match':
-                    if (zodValidator._def.type === 'string') {
-                        const regex = propValue instanceof RegExp ? propValue : new RegExp(propValue);
-                        let message = getCustomMessage(fieldName, 'regex', propValue, customMessages);
-                        
-                        // Auto-generate helpful error messages for common patterns
-                        if (!message) {
-                            const regexStr = regex.toString();
-                            if (fieldName.toLowerCase().includes('email') || regexStr.includes('@')) {
-                                message = `${fieldName} must be a valid email address`;
-                            } else if (fieldName.toLowerCase().includes('password') || regexStr.includes('(?=.*\\d)')) {
-                                message = `${fieldName} must contain at least one lowercase letter, one uppercase letter, one number, and one special character.`;
-                            } else if (fieldName.toLowerCase().includes('phone') || regexStr.includes('\\d')) {
-                                message = `${fieldName} must be a valid phone number`;
-                            } else if (fieldName.toLowerCase().includes('url') || regexStr.includes('http')) {
-                                message = `${fieldName} must be a valid URL`;
-                            } else {
-                                message = `${fieldName} format is invalid`;
-                            }
-                        }
-                        
-                        zodValidator = zodValidator.regex(regex, { message });
-                    }
-                    break;
-                case 'default':
-                    // Apply default values and make field optional if it has a default
-                    if (propValue !== undefined) {
-                        zodValidator = zodValidator.default(propValue);
-                    }
-                    break;
-                case 'unique':
-                    // Unique validation is typically handled at the database level, not in Zod
-                    // This is more for documentation purposes
-                    break;
-                case 'ref':
-                    // Reference validation - for now, treat as ObjectId
-                    if (zodValidator._def.typeName === 'ZodString') {
-                        zodValidator = z.string().length(24, 'Invalid ObjectId').regex(/^[0-9a-fA-F]{24}$/, 'Invalid ObjectId format');
-                    }
-                    break;
+        if (variant === 'output') {
+            // writeOnly and private fields are never returned
+            if (!isReadableField(props)) {
+                continue;
             }
+        } else if (!isWritableField(props)) {
+            // Server-managed fields are rejected rather than stripped, so clients notice
+            zodSchemaObject[fieldName] = z.never({
+                error: zodMessage(props.private ? 'private' : 'readOnly', {}, getMessageContext(fieldName, props, options))
+            }).optional();
+            continue;
         }
-        
-        // Step 3: Apply default password regex if field is password and no custom regex specified
-        if (fieldName.toLowerCase().includes('password') && 
-            fieldProps.regex === undefined && 
-            zodValidator._def.type === 'string') {
-            const defaultPasswordRegex = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&#])[A-Za-z\d@$!%*?&#]{8,}$/;
-            const message = `${fieldName} must contain at least one lowercase letter, one uppercase letter, one number, and one special character (@$!%*?&#).`;
-            zodValidator = zodValidator.regex(defaultPasswordRegex, { message });
+
+        zodSchemaObject[fieldName] = buildFieldValidator(fieldName, fieldProps, options);
+    }
+
+    return zodSchemaObject;
+};
+
+/**
+ * Adds fields to an object schema, or to every variant of a discriminated union
+ * @param {z.ZodTypeAny} schema - A schema built by createZodSchema
+ * @param {Object} shape - Zod validators keyed by field name
+ * @returns {z.ZodTypeAny} The extended schema
+ */
+const extendShape = (schema, shape) => {
+    if (schema._def.type === 'union') {
+        return z.discriminatedUnion(schema._def.discriminator, schema.options.map(option => option.extend(shape)), {
+            error: schema._def.error
+        });
+    }
+    return schema.extend(shape);
+};
+
+/**
+ * Builds the validator of the version key for a schema variant
+ * Request bodies may state the current version, stored documents hold any version.
+ * PATCH bodies cannot change it.
+ * @param {Object|null} versioning - A normalized versioning declaration
+ * @param {string} variant - Schema variant
+ * @param {Object} options - Builder options, for the message
+ * @returns {Object} Zod validators keyed by field name
+ */
+const getVersionShape = (versioning, variant, options) => {
+    if (!versioning || variant === 'update') {
+        return {};
+    }
+    if (variant === 'output') {
+        return { [versioning.key]: z.number().int().optional() };
+    }
+
+    const message = zodMessage('enum', { values: [versioning.version] }, getMessageContext(versioning.key, {}, options));
+    return { [versioning.key]: z.literal(versioning.version, { error: message }).optional() };
+};
+
+/**
+ * Upgrades request bodies written for an older definition version before they are validated
+ * Only full bodies (create and replace) are upgraded, since migrations expect whole documents.
+ * Bodies without the version key are taken to be current.
+ * @param {z.ZodTypeAny} schema - The schema of the current version
+ * @param {Object|null} versioning - A normalized versioning declaration
+ * @param {string} variant - Schema variant
+ * @returns {z.ZodTypeAny} The schema, accepting older versions when `acceptOlder` is set
+ */
+const acceptOlderVersions = (schema, versioning, variant) => {
+    if (!versioning || !versioning.acceptOlder || (variant !== 'create' && variant !== 'replace')) {
+        return schema;
+    }
+
+    return z.preprocess((data, ctx) => {
+        const version = data && typeof data === 'object' ? data[versioning.key] : undefined;
+        // Other values are left to the version key's own check
+        if (!Number.isInteger(version) || version < 1 || version >= versioning.version) {
+            return data;
         }
-        
-        // Step 4: Make field optional if it has a default value and is not explicitly required
-        if (fieldProps.default !== undefined && fieldProps.required !== true) {
-            zodValidator = zodValidator.optional();
+        try {
+            return migrateData(data, versioning, versioning.version);
+        } catch (error) {
+            ctx.addIssue({ code: 'custom', message: error.message, path: [versioning.key], input: version });
+            return data;
         }
-        
-        zodSchemaObject[fieldName] = zodValidator;
+    }, schema);
+};
+
+/**
+ * Creates a Zod schema from a schema definition object
+ * @param {Object} schemaDefinition - The schema definition object
+ * @param {Object} options - Additional options for schema creation
+ * @param {boolean} options.strictMode - Reject unknown keys (shorthand for `unknownKeys: 'strict'`)
+ * @param {string} options.unknownKeys - Unknown-key policy: 'strip' (default), 'strict' or 'passthrough'
+ * @param {Object} options.customMessages - Message overrides keyed by "field.rule" (e.g. 'age.min')
+ * @param {string} options.locale - Locale of the message bundle (default: 'en')
+ * @param {string} options.variant - Schema variant: 'create' (default), 'update', 'replace' or 'output'
+ * @param {boolean} options.coerce - Convert strings to numbers, booleans, Dates and ObjectIds before validating
+ * @param {Object} options.refinements - Cross-field rules keyed by name, `{ check, path, message, fields }`
+ * @param {Object} options.discriminator - Variants keyed by a discriminator field, `{ key, variants }`
+ * @param {Object} options.versioning - Definition version and migrations, `{ version, key, migrations, acceptOlder }`
+ * @param {Function} options.resolveRef - `(ref, fieldName) => schema` of a populated `ref` target; ref fields
+ *   then accept an ObjectId or that document (see createModelRegistry)
+ * @returns {z.ZodTypeAny} A Zod schema object or a union of the variants, upgrading older
+ * versions first when `versioning.acceptOlder` is set
+ */
+export const createZodSchema = (schemaDefinition, options = {}) => {
+    const { variant = 'create', discriminator, refinements } = options;
+    if (!SCHEMA_VARIANTS.includes(variant)) {
+        throw new Error(`Invalid variant: ${variant}`);
+    }
+
+    const policy = resolveUnknownKeys(options);
+    const versioning = options.versioning ? normalizeVersioning(options.versioning, schemaDefinition) : null;
+    const versionShape = getVersionShape(versioning, variant, options);
+    if (!discriminator) {
+        const shape = { ...buildObjectShape(schemaDefinition, options), ...versionShape };
+        return acceptOlderVersions(applyRefinements(createObject(shape, policy), refinements, variant), versioning, variant);
     }
 
-    return z.object(zodSchemaObject);
-};
\ No newline at end of file
+    // Each variant holds the shared fields plus its own, tagged with a literal Zod can switch on
+    const { key, variants } = normalizeDiscriminator(discriminator);
+    const baseDefinition = omitDiscriminatorKey(schemaDefinition, key);
+    const values = variants.map(({ value }) => value);
+    return acceptOlderVersions(z.discriminatedUnion(key, variants.map(({ value, definition }) => {
+        const shape = { [key]: z.literal(value), ...buildObjectShape({ ...baseDefinition, ...definition }, options), ...versionShape };
+        return applyRefinements(createObject(shape, policy), refinements, variant);
+    }), { error: zodMessage('enum', { values }, getMessageContext(key, {}, options)) }), versioning, variant);
+};
+
+/**
+ * Resolves the document fields Mongoose adds (_id, timestamps, version key) as Zod validators
+ * @param {Object} schemaOptions - Mongoose schema options, as passed to createMongooseSchema
+ * @returns {Object} Zod validators keyed by field name
+ */
+const getSystemFields = (schemaOptions = {}) => {
+    const { idKey, timestampKeys, versionKey } = resolveSystemFields(schemaOptions);
+    const systemFields = {};
+
+    if (idKey) {
+        systemFields[idKey] = objectIdOutput;
+    }
+
+    timestampKeys.forEach(key => {
+        systemFields[key] = z.date();
+    });
+
+    if (versionKey) {
+        systemFields[versionKey] = z.number().int().optional();
+    }
+
+    return systemFields;
+};
+
+/**
+ * Creates the Zod schema variants an API needs from one schema definition
+ * - create: required fields enforced, defaults applied (POST bodies)
+ * - update: every field optional, no defaults applied (PATCH bodies)
+ * - replace: the full shape with defaults applied (PUT bodies)
+ * - output: stored documents, including _id, timestamps and the version key
+ * @param {Object} schemaDefinition - The schema definition object
+ * @param {Object} options - Options passed to createZodSchema
+ * @param {Object} options.schemaOptions - Mongoose schema options, used for the output system fields
+ * @returns {{ create: z.ZodObject, update: z.ZodObject, replace: z.ZodObject, output: z.ZodObject }} Zod schemas
+ */
+export const createZodSchemas = (schemaDefinition, options = {}) => {
+    const { schemaOptions = {} } = options;
+
+    return {
+        create: createZodSchema(schemaDefinition, { ...options, variant: 'create' }),
+        update: createZodSchema(schemaDefinition, { ...options, variant: 'update' }),
+        replace: createZodSchema(schemaDefinition, { ...options, variant: 'replace' }),
+        output: extendShape(createZodSchema(schemaDefinition, { ...options, variant: 'output' }), getSystemFields(schemaOptions))
+    };
+};
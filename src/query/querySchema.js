@@ -0,0 +1,406 @@
+import { z } from 'zod';
+import { normalizeFieldProps, resolveSystemFields, getTypeFamily } from '../utils/fieldUtils.js';
+import { COERCERS } from '../utils/coercion.js';
+import {
+    FILTER_OPERATORS,
+    LIST_OPERATORS,
+    RESERVED_QUERY_PARAMS,
+    resolveFilterOperators,
+    isSortableField
+} from '../utils/queryOperators.js';
+import { createZodSchema } from '../models/zodSchema.js';
+import { createMessage, getMessageContext } from '../messages/messageCatalog.js';
+
+const DEFAULT_LIMIT = 20;
+const DEFAULT_MAX_LIMIT = 100;
+
+/**
+ * Most values an `in`, `nin` or `all` filter accepts
+ */
+const MAX_LIST_VALUES = 100;
+
+/**
+ * Longest `contains` search term
+ */
+const MAX_SEARCH_LENGTH = 100;
+
+/**
+ * Matches the bracket syntax of flat query parsers: "age[gte]"
+ */
+const BRACKET_PATTERN = /^([^[\]]+)\[([^[\]]+)\]$/;
+
+/**
+ * Lists the filterable and sortable paths of a definition, including nested objects and arrays of objects
+ * @param {Object} schemaDefinition - The schema definition object
+ * @param {string} prefix - Dotted path of the level
+ * @param {Map} fields - Collects `{ operators, sortable, operandProps }` per dotted path
+ * @returns {Map} The collected fields
+ */
+const collectQueryFields = (schemaDefinition, prefix = '', fields = new Map()) => {
+    Object.entries(schemaDefinition).forEach(([fieldName, definition]) => {
+        const path = prefix ? `${prefix}.${fieldName}` : fieldName;
+        const fieldProps = normalizeFieldProps(definition);
+
+        let operators;
+        let sortable;
+        try {
+            operators = resolveFilterOperators(fieldProps);
+            sortable = isSortableField(fieldProps);
+        } catch (error) {
+            throw new Error(`Field "${path}": ${error.message}`);
+        }
+        if (operators.length > 0 || sortable) {
+            if (RESERVED_QUERY_PARAMS.includes(path)) {
+                throw new Error(`Field "${path}" cannot be filtered or sorted, its name is a reserved query parameter`);
+            }
+            // Array filters compare the items, so values are validated as items
+            const operandProps = getTypeFamily(fieldProps.type) === 'array' ? normalizeFieldProps(fieldProps.items) : fieldProps;
+            fields.set(path, { operators, sortable, operandProps });
+        }
+
+        const itemProps = fieldProps.items ? normalizeFieldProps(fieldProps.items) : null;
+        const nestedDefinition = fieldProps.schema || itemProps?.schema;
+        if (nestedDefinition) {
+            collectQueryFields(nestedDefinition, path, fields);
+        }
+    });
+    return fields;
+};
+
+/**
+ * Adds the fields Mongoose manages (_id, timestamps), which can be filtered and sorted by unless the definition says otherwise
+ * @param {Map} fields - Fields collected from the definition
+ * @param {Object} schemaDefinition - The schema definition object
+ * @param {Object} schemaOptions - Mongoose schema options
+ */
+const addSystemFields = (fields, schemaDefinition, schemaOptions) => {
+    const { idKey, timestampKeys } = resolveSystemFields(schemaOptions);
+    const systemFields = [
+        ...(idKey ? [[idKey, { type: 'ObjectId' }, FILTER_OPERATORS.objectid]] : []),
+        ...timestampKeys.map(key => [key, { type: 'Date' }, FILTER_OPERATORS.date])
+    ];
+
+    systemFields.forEach(([key, operandProps, operators]) => {
+        if (schemaDefinition[key] === undefined) {
+            fields.set(key, { operators, sortable: true, operandProps });
+        }
+    });
+};
+
+/**
+ * Splits comma-separated lists, so `role[in]=admin,user` and repeated parameters both become arrays
+ * @param {*} value - The raw parameter value
+ * @returns {*} An array of values, or the value unchanged
+ */
+const splitList = (value) => {
+    if (typeof value === 'string') {
+        return value.split(',').map(item => item.trim()).filter(item => item !== '');
+    }
+    if (Array.isArray(value)) {
+        return value.flatMap(splitList);
+    }
+    return value;
+};
+
+/**
+ * Builds the validator of a filter value, using the field's own type with query-string coercion
+ * Only the type and enum apply: bounds and patterns describe stored values, not search terms.
+ * @param {string} path - Dotted path of the field
+ * @param {Object} operandProps - The field definition (or its items for arrays)
+ * @param {Object} options - Message options
+ * @returns {z.ZodTypeAny} Zod schema for one value
+ */
+const createOperandSchema = (path, operandProps, options) => {
+    const { type, enum: values } = operandProps;
+    const operandDefinition = { [path]: { type, ...(Array.isArray(values) ? { enum: values } : {}), required: true } };
+    const { locale, customMessages } = options;
+    return createZodSchema(operandDefinition, { locale, customMessages, coerce: true, variant: 'replace' }).shape[path];
+};
+
+/**
+ * Creates the message helper of a parameter, resolving catalog messages as Zod error functions
+ * @param {Object} messageContext - Context from getMessageContext
+ * @returns {Function} Message helper `(key, params) => error function`
+ */
+const createMessageHelper = (messageContext) => (key, params) => {
+    const render = createMessage(key, params, messageContext);
+    return (issue) => render(issue.input);
+};
+
+/**
+ * Builds the validator of one operator of a field
+ * @param {string} operator - The operator
+ * @param {z.ZodTypeAny} operand - The field's value validator
+ * @param {Object} messageContext - Message context of the field
+ * @returns {z.ZodTypeAny} Zod schema for the operator's argument
+ */
+const createOperatorSchema = (operator, operand, messageContext) => {
+    const message = createMessageHelper(messageContext);
+    if (LIST_OPERATORS.includes(operator)) {
+        return z.preprocess(splitList, z.array(operand)
+            .min(1, { error: message('min.items', { min: 1 }) })
+            .max(MAX_LIST_VALUES, { error: message('max.items', { max: MAX_LIST_VALUES }) }));
+    }
+
+    switch (operator) {
+        case 'exists':
+            return z.preprocess((value, ctx) => COERCERS.boolean(value, ctx, messageContext), z.boolean({ error: message('type', { type: 'boolean' }) }));
+        case 'contains':
+            return z.string({ error: message('type', { type: 'string' }) })
+                .trim()
+                .min(1, { error: message('minlength', { minlength: 1 }) })
+                .max(MAX_SEARCH_LENGTH, { error: message('maxlength', { maxlength: MAX_SEARCH_LENGTH }) });
+        default:
+            return operand;
+    }
+};
+
+/**
+ * Builds the validator of a positive integer parameter (page, limit)
+ * @param {Object} messageContext - Message context of the parameter
+ * @param {number} max - Upper bound, if any
+ * @returns {z.ZodTypeAny} Zod schema
+ */
+const createIntegerParam = (messageContext, max) => {
+    const message = createMessageHelper(messageContext);
+    let schema = z.number({ error: message('type', { type: 'integer' }) })
+        .int({ error: message('type', { type: 'integer' }) })
+        .min(1, { error: message('min', { min: 1 }) });
+    if (max !== undefined) {
+        schema = schema.max(max, { error: message('max', { max }) });
+    }
+    return z.preprocess((value, ctx) => COERCERS.number(value, ctx, messageContext), schema);
+};
+
+/**
+ * Converts a sort parameter ("-createdAt,name") into a Mongo sort object
+ * @param {Array<string>} entries - Sort entries, `-` marking descending order
+ * @returns {Object} Sort directions keyed by field, in order
+ */
+const toSortObject = (entries) => {
+    return Object.fromEntries(entries.map(entry => (entry.startsWith('-')
+        ? [entry.slice(1), -1]
+        : [entry.replace(/^\+/, ''), 1])));
+};
+
+/**
+ * Creates a Zod schema for the query string of a list endpoint
+ *
+ * Fields opt in with `filterable` (true, or a list of operators) and `sortable` in the definition.
+ * Filters use bracket operators (`age[gte]=18`, `role[in]=admin,user`, `name[contains]=ann`);
+ * a bare value (`role=admin`) means `eq`. `sort` lists fields, `-` marking descending order
+ * (`sort=-createdAt,name`), and `page`/`limit` paginate. Both Express query parsers are supported.
+ * Parsing yields `{ filters, sort, page, limit }`, which toMongoQuery turns into a Mongo query.
+ *
+ * @param {Object} schemaDefinition - The schema definition object
+ * @param {Object} options - Query options
+ * @param {number} options.defaultLimit - Page size when `limit` is not given (default: 20)
+ * @param {number} options.maxLimit - Largest accepted `limit` (default: 100)
+ * @param {string} options.defaultSort - Sort used when `sort` is not given, e.g. '-createdAt'
+ * @param {string} options.unknownKeys - 'strict' (default) rejects parameters that are not filters, 'strip' ignores them
+ * @param {Object} options.schemaOptions - Mongoose schema options; _id and the timestamps can be filtered and sorted by
+ * @param {Object} options.customMessages - Message overrides keyed by "field.rule"
+ * @param {string} options.locale - Locale of the message bundle (default: 'en')
+ * @returns {z.ZodTypeAny} Zod schema for `req.query`
+ */
+export const createQuerySchema = (schemaDefinition, options = {}) => {
+    const {
+        defaultLimit = DEFAULT_LIMIT,
+        maxLimit = DEFAULT_MAX_LIMIT,
+        defaultSort,
+        unknownKeys = 'strict',
+        schemaOptions = {}
+    } = options;
+
+    if (unknownKeys !== 'strict' && unknownKeys !== 'strip') {
+        throw new Error(`Invalid unknownKeys policy for query strings: ${unknownKeys} (expected strict or strip)`);
+    }
+    if (!Number.isInteger(maxLimit) || maxLimit < 1 || !Number.isInteger(defaultLimit) || defaultLimit < 1 || defaultLimit > maxLimit) {
+        throw new Error('defaultLimit and maxLimit must be positive integers, with defaultLimit no greater than maxLimit');
+    }
+
+    const fields = collectQueryFields(schemaDefinition);
+    addSystemFields(fields, schemaDefinition, schemaOptions);
+    const contextFor = (path) => getMessageContext(path, {}, options);
+
+    const shape = {};
+    fields.forEach(({ operators, operandProps }, path) => {
+        if (operators.length === 0) {
+            return;
+        }
+        const operand = createOperandSchema(path, operandProps, options);
+        shape[path] = z.object(Object.fromEntries(operators.map(operator => [
+            operator,
+            createOperatorSchema(operator, operand, contextFor(path)).optional()
+        ]))).optional();
+    });
+
+    const sortableFields = [...fields.keys()].filter(path => fields.get(path).sortable);
+    if (defaultSort !== undefined) {
+        const unknownSort = splitList(defaultSort).map(entry => entry.replace(/^[-+]/, '')).filter(path => !sortableFields.includes(path));
+        if (unknownSort.length > 0) {
+            throw new Error(`defaultSort uses fields that are not sortable: ${unknownSort.join(', ')}`);
+        }
+    }
+
+    const sortMessage = createMessageHelper(contextFor('sort'));
+    shape.sort = z.preprocess(splitList, z.array(z.string().refine(
+        entry => sortableFields.includes(entry.replace(/^[-+]/, '')),
+        { error: sortMessage('sortable', { fields: sortableFields }) }
+    ))).optional();
+    shape.page = createIntegerParam(contextFor('page')).default(1);
+    shape.limit = createIntegerParam(contextFor('limit'), maxLimit).default(defaultLimit);
+
+    // Parameters are grouped by field before validation, so unknown fields and operators are reported by path
+    const groupFilters = (query, ctx) => {
+        if (!query || typeof query !== 'object' || Array.isArray(query)) {
+            return query;
+        }
+
+        const grouped = {};
+        const report = (path, input, message) => {
+            ctx.addIssue({ code: 'unrecognized_keys', keys: [path[path.length - 1]], path, input, message });
+        };
+
+        Object.entries(query).forEach(([key, value]) => {
+            if (RESERVED_QUERY_PARAMS.includes(key)) {
+                grouped[key] = value;
+                return;
+            }
+
+            const match = BRACKET_PATTERN.exec(key);
+            const path = match ? match[1] : key;
+            const operators = match
+                ? { [match[2]]: value }
+                : (value && typeof value === 'object' && !Array.isArray(value) ? value : { eq: value });
+
+            const field = fields.get(path);
+            if (!field || field.operators.length === 0) {
+                if (unknownKeys === 'strict') {
+                    report([path], value, createMessage('filterable', {}, contextFor(path))(value));
+                }
+                return;
+            }
+
+            Object.entries(operators).forEach(([operator, operand]) => {
+                if (!field.operators.includes(operator)) {
+                    report([path, operator], operand, createMessage('filterable.operator', {
+                        operator,
+                        operators: field.operators
+                    }, contextFor(path))(operand));
+                    return;
+                }
+                grouped[path] = { ...grouped[path], [operator]: operand };
+            });
+        });
+        return grouped;
+    };
+
+    return z.preprocess(groupFilters, z.object(shape)).transform(({ sort, page, limit, ...filters }) => ({
+        filters: Object.fromEntries(Object.entries(filters).filter(([, operators]) => operators !== undefined)),
+        sort: toSortObject(sort ?? (defaultSort !== undefined ? splitList(defaultSort) : [])),
+        page,
+        limit
+    }));
+};
+
+/**
+ * Checks that a filter value is a plain value, not an object that MongoDB would read as operators
+ * @param {*} value - The value
+ * @returns {boolean} True for strings, numbers, booleans, BigInts, Dates, ObjectIds and Decimal128 values
+ */
+const isSafeValue = (value) => {
+    if (value === null || ['string', 'number', 'boolean', 'bigint'].includes(typeof value)) {
+        return true;
+    }
+    return value instanceof Date ||
+        typeof value.toHexString === 'function' ||
+        value._bsontype === 'Decimal128' ||
+        value._bsontype === 'Binary';
+};
+
+/**
+ * Checks that a path names a field rather than an operator
+ * @param {string} path - Dotted path
+ * @returns {boolean} True when no segment is empty or starts with "$"
+ */
+const isSafePath = (path) => {
+    return typeof path === 'string' && path.split('.').every(segment => segment !== '' && !segment.startsWith('$'));
+};
+
+/**
+ * Escapes a search term for use in a regular expression
+ * @param {string} value - The search term
+ * @returns {string} The escaped term
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Translates a parsed query (the output of a createQuerySchema schema) into a MongoDB query
+ *
+ * Only the known operators are translated and every value must be a plain value, so the result is
+ * safe to pass to `find()` even when the input did not come from the schema: anything else throws.
+ *
+ * @param {Object} query - `{ filters, sort, page, limit }`
+ * @returns {{ filter: Object, sort: Object, skip: number, limit: number }} Arguments for find/sort/skip/limit
+ */
+export const toMongoQuery = (query = {}) => {
+    const { filters = {}, sort = {}, page = 1, limit = DEFAULT_LIMIT } = query;
+    const filter = {};
+
+    Object.entries(filters).forEach(([path, operators]) => {
+        if (!isSafePath(path)) {
+            throw new Error(`Invalid filter field "${path}"`);
+        }
+
+        const condition = {};
+        Object.entries(operators).forEach(([operator, value]) => {
+            if (value === undefined) {
+                return;
+            }
+
+            const values = LIST_OPERATORS.includes(operator) ? value : [value];
+            if (!Array.isArray(values) || !values.every(isSafeValue)) {
+                throw new Error(`Invalid value for filter "${path}[${operator}]"`);
+            }
+
+            switch (operator) {
+                case 'eq':
+                case 'ne':
+                case 'gt':
+                case 'gte':
+                case 'lt':
+                case 'lte':
+                case 'in':
+                case 'nin':
+                case 'all':
+                    condition[`$${operator}`] = value;
+                    break;
+                case 'exists':
+                    condition.$exists = value === true;
+                    break;
+                case 'contains':
+                    condition.$regex = escapeRegex(String(value));
+                    condition.$options = 'i';
+                    break;
+                default:
+                    throw new Error(`Unsupported filter operator "${operator}"`);
+            }
+        });
+
+        if (Object.keys(condition).length > 0) {
+            filter[path] = condition;
+        }
+    });
+
+    Object.entries(sort).forEach(([path, direction]) => {
+        if (!isSafePath(path) || (direction !== 1 && direction !== -1)) {
+            throw new Error(`Invalid sort "${path}"`);
+        }
+    });
+    if (!Number.isInteger(page) || page < 1 || !Number.isInteger(limit) || limit < 1) {
+        throw new Error('page and limit must be positive integers');
+    }
+
+    return { filter, sort, skip: (page - 1) * limit, limit };
+};
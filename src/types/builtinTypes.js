@@ -0,0 +1,327 @@
+import mongoose from 'mongoose';
+import { z } from 'zod';
+
+const OBJECT_ID_REGEX = /^[0-9a-fA-F]{24}$/;
+
+/**
+ * Plain decimal notation accepted for Decimal128 fields ("12", "-0.5", "1999.99")
+ */
+export const DECIMAL_PATTERN = /^[-+]?\d+(\.\d+)?$/;
+
+/**
+ * Checks whether a value is a BSON value of the given type (Decimal128, Binary, ...)
+ * @param {*} value - The value to check
+ * @param {string} bsonType - The BSON type name
+ * @returns {boolean} True when the value is of that BSON type
+ */
+const isBsonValue = (value, bsonType) => value != null && value._bsontype === bsonType;
+
+/**
+ * Checks whether a value is binary data as stored documents hold it
+ * Buffers, BSON Binary values and the `{ type: 'Buffer', data }` shape produced by toJSON are accepted.
+ * @param {*} value - The value to check
+ * @returns {boolean} True when the value holds binary data
+ */
+const isBinaryValue = (value) => Buffer.isBuffer(value) ||
+    isBsonValue(value, 'Binary') ||
+    (value != null && value.type === 'Buffer' && Array.isArray(value.data));
+
+/**
+ * Counts the digits of a decimal string
+ * @param {string} value - A string matching DECIMAL_PATTERN
+ * @returns {{ precision: number, scale: number }} Significant digits and digits after the point
+ */
+const countDecimalDigits = (value) => {
+    const [integerPart, fractionPart = ''] = value.replace(/^[-+]/, '').split('.');
+    const integerDigits = integerPart.replace(/^0+/, '').length;
+    return { precision: integerDigits + fractionPart.length, scale: fractionPart.length };
+};
+
+/**
+ * Adds min/max checks on a measured value (byte length, numeric value) to a Zod schema
+ * @param {z.ZodTypeAny} schema - The Zod schema
+ * @param {Object} fieldProps - The field definition holding `min` and `max`
+ * @param {Function} measure - Returns the measured value of a parsed input
+ * @param {Function} message - The zod context's message helper
+ * @param {string} unit - Message key suffix for the measured unit ('bytes'), if any
+ * @returns {z.ZodTypeAny} The Zod schema with the bounds applied
+ */
+const withBounds = (schema, fieldProps, measure, message, unit) => {
+    const messageKey = (kind) => (unit ? `${kind}.${unit}` : kind);
+    let bounded = schema;
+    if (fieldProps.min !== undefined) {
+        bounded = bounded.refine((value) => measure(value) >= fieldProps.min, {
+            error: message(messageKey('min'), { min: fieldProps.min })
+        });
+    }
+    if (fieldProps.max !== undefined) {
+        bounded = bounded.refine((value) => measure(value) <= fieldProps.max, {
+            error: message(messageKey('max'), { max: fieldProps.max })
+        });
+    }
+    return bounded;
+};
+
+/**
+ * Matches ObjectIds as they come out of Mongoose documents (instances) or JSON (hex strings)
+ */
+export const objectIdOutput = z.union([
+    z.string().regex(OBJECT_ID_REGEX, 'Invalid ObjectId format'),
+    z.custom((value) => value != null && typeof value.toHexString === 'function', 'Invalid ObjectId')
+]);
+
+/**
+ * JSON Schema for ObjectId hex strings
+ * @returns {Object} JSON Schema
+ */
+export const objectIdJsonSchema = () => ({ type: 'string', format: 'objectid', pattern: OBJECT_ID_REGEX.source });
+
+/**
+ * Map values are strings unless the definition says otherwise
+ */
+const DEFAULT_MAP_VALUE = { type: 'String' };
+
+/**
+ * Creates the check reporting map keys Mongoose cannot store (starting with "$" or containing ".")
+ * @param {Function} keyMessage - Zod error function for the 'mapKey' message
+ * @returns {Function} Zod superRefine callback `(value, ctx)`
+ */
+const createMapKeyCheck = (keyMessage) => (value, ctx) => {
+    Object.keys(value)
+        .filter(key => key.startsWith('$') || key.includes('.'))
+        .forEach(key => ctx.addIssue({
+            code: 'custom',
+            message: keyMessage({ input: key }),
+            path: [key],
+            input: key
+        }));
+};
+
+/**
+ * Formats a string literal type for TypeScript
+ * @param {string} value - The literal value
+ * @returns {string} TypeScript literal type
+ */
+export const formatLiteral = (value) => `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+
+/**
+ * Registers the built-in types
+ *
+ * Every factory receives the field definition and a context from the generator calling it:
+ * - mongoose: `{ fieldName, options, buildItems(definition), buildSubdocument(fieldProps), message(key, params) }`
+ * - zod: `{ fieldName, options, variant, buildItems(definition), buildObject(fieldProps), message(key, params) }`
+ * - jsonSchema: `{ fieldName, options, variant, buildItems(definition), buildObject(fieldProps) }`
+ * - bsonSchema: `{ fieldName, options, buildItems(definition), buildObject(fieldProps) }`
+ * - typescript: `{ shape, buildItems(definition), buildObject(fieldProps), useMongooseType(name) }`
+ *
+ * `message` resolves a catalog message for the field (see createMessage): the zod helper returns
+ * an error function for Zod's `error` parameter, the mongoose helper a Mongoose message string.
+ *
+ * @param {Function} registerType - The registry's registerType function
+ */
+export const registerBuiltinTypes = (registerType) => {
+    registerType('string', {
+        aliases: [String],
+        mongoose: String,
+        zod: () => z.string(),
+        jsonSchema: { type: 'string' },
+        bsonSchema: { bsonType: 'string' },
+        typescript: (fieldProps) => (Array.isArray(fieldProps.enum) && fieldProps.enum.length > 0
+            ? fieldProps.enum.map(formatLiteral).join(' | ')
+            : 'string')
+    });
+
+    registerType('number', {
+        aliases: [Number],
+        mongoose: Number,
+        zod: () => z.number(),
+        jsonSchema: { type: 'number' },
+        // Stored numbers may be doubles or integers, the alias matches every numeric BSON type
+        bsonSchema: { bsonType: 'number' },
+        typescript: 'number'
+    });
+
+    registerType('boolean', {
+        aliases: [Boolean],
+        mongoose: Boolean,
+        zod: () => z.boolean(),
+        jsonSchema: { type: 'boolean' },
+        bsonSchema: { bsonType: 'bool' },
+        typescript: 'boolean'
+    });
+
+    registerType('date', {
+        aliases: [Date],
+        mongoose: Date,
+        zod: () => z.date(),
+        jsonSchema: { type: 'string', format: 'date-time' },
+        bsonSchema: { bsonType: 'date' },
+        typescript: 'Date'
+    });
+
+    registerType('array', {
+        aliases: [Array],
+        // Items are full field definitions, so objects, nested arrays and per-item rules all work
+        mongoose: (fieldProps, context) => {
+            if (!fieldProps.items) {
+                return Array;
+            }
+            const itemConfig = context.buildItems(fieldProps.items);
+            // Mongoose reads the discriminators of document arrays from the array path
+            if (itemConfig.discriminators) {
+                const { discriminators, ...itemPathConfig } = itemConfig;
+                return { type: [itemPathConfig], discriminators };
+            }
+            return [itemConfig];
+        },
+        zod: (fieldProps, context) => z.array(fieldProps.items ? context.buildItems(fieldProps.items) : z.any()),
+        jsonSchema: (fieldProps, context) => (fieldProps.items
+            ? { type: 'array', items: context.buildItems(fieldProps.items) }
+            : { type: 'array' }),
+        bsonSchema: (fieldProps, context) => (fieldProps.items
+            ? { bsonType: 'array', items: context.buildItems(fieldProps.items) }
+            : { bsonType: 'array' }),
+        typescript: (fieldProps, context) => `Array<${fieldProps.items ? context.buildItems(fieldProps.items) : 'unknown'}>`
+    });
+
+    registerType('object', {
+        aliases: [Object],
+        // Nested definitions become real subdocuments, plain objects stay Mixed
+        mongoose: (fieldProps, context) => (fieldProps.schema
+            ? context.buildSubdocument(fieldProps)
+            : mongoose.Schema.Types.Mixed),
+        zod: (fieldProps, context) => context.buildObject(fieldProps),
+        jsonSchema: (fieldProps, context) => context.buildObject(fieldProps),
+        bsonSchema: (fieldProps, context) => context.buildObject(fieldProps),
+        typescript: (fieldProps, context) => context.buildObject(fieldProps)
+    });
+
+    registerType('objectid', {
+        aliases: ['object_id', mongoose.Schema.Types.ObjectId, mongoose.Types.ObjectId],
+        mongoose: mongoose.Schema.Types.ObjectId,
+        // ObjectId is a string with a fixed length of 24 characters; stored documents hold instances
+        zod: (fieldProps, context) => (context.variant === 'output'
+            ? objectIdOutput
+            : z.string().regex(OBJECT_ID_REGEX, { error: context.message('type', { type: 'objectid' }) })),
+        jsonSchema: objectIdJsonSchema,
+        bsonSchema: { bsonType: 'objectId' },
+        // Request bodies carry hex strings, documents hold ObjectId instances
+        typescript: (fieldProps, context) => (context.shape === 'document' ? context.useMongooseType('ObjectId') : 'string')
+    });
+
+    registerType('mixed', {
+        aliases: [mongoose.Schema.Types.Mixed],
+        mongoose: mongoose.Schema.Types.Mixed,
+        zod: () => z.any(),
+        jsonSchema: {},
+        bsonSchema: {},
+        typescript: 'unknown'
+    });
+
+    registerType('map', {
+        aliases: [Map],
+        // `of` is a full field definition for the values (String when omitted)
+        mongoose: (fieldProps, context) => ({ type: Map, of: context.buildItems(fieldProps.of ?? DEFAULT_MAP_VALUE) }),
+        zod: (fieldProps, context) => {
+            const valueSchema = context.buildItems(fieldProps.of ?? DEFAULT_MAP_VALUE);
+            const record = z.record(z.string(), valueSchema).superRefine(createMapKeyCheck(context.message('mapKey')));
+            // Stored documents hold a Map, toJSON flattens it to an object
+            return context.variant === 'output' ? z.union([z.map(z.string(), valueSchema), record]) : record;
+        },
+        jsonSchema: (fieldProps, context) => ({
+            type: 'object',
+            additionalProperties: context.buildItems(fieldProps.of ?? DEFAULT_MAP_VALUE)
+        }),
+        bsonSchema: (fieldProps, context) => ({
+            bsonType: 'object',
+            additionalProperties: context.buildItems(fieldProps.of ?? DEFAULT_MAP_VALUE)
+        }),
+        typescript: (fieldProps, context) => {
+            const valueType = context.buildItems(fieldProps.of ?? DEFAULT_MAP_VALUE);
+            return context.shape === 'document' ? `Map<string, ${valueType}>` : `Record<string, ${valueType}>`;
+        }
+    });
+
+    registerType('decimal128', {
+        aliases: ['decimal', mongoose.Schema.Types.Decimal128, mongoose.Types.Decimal128],
+        mongoose: mongoose.Schema.Types.Decimal128,
+        // Amounts travel as strings so no precision is lost to floating point
+        zod: (fieldProps, context) => {
+            if (context.variant === 'output') {
+                return z.union([
+                    z.string().regex(DECIMAL_PATTERN),
+                    z.custom((value) => isBsonValue(value, 'Decimal128'), 'Invalid Decimal128')
+                ]);
+            }
+
+            const { message } = context;
+            let schema = z.string().regex(DECIMAL_PATTERN, { error: message('type', { type: 'decimal128' }) });
+            if (fieldProps.precision !== undefined) {
+                schema = schema.refine((value) => countDecimalDigits(value).precision <= fieldProps.precision, {
+                    error: message('precision', { precision: fieldProps.precision })
+                });
+            }
+            if (fieldProps.scale !== undefined) {
+                schema = schema.refine((value) => countDecimalDigits(value).scale <= fieldProps.scale, {
+                    error: message('scale', { scale: fieldProps.scale })
+                });
+            }
+            return withBounds(schema, fieldProps, Number, message);
+        },
+        jsonSchema: { type: 'string', format: 'decimal', pattern: DECIMAL_PATTERN.source },
+        bsonSchema: { bsonType: 'decimal' },
+        typescript: (fieldProps, context) => (context.shape === 'document' ? context.useMongooseType('Decimal128') : 'string')
+    });
+
+    registerType('buffer', {
+        aliases: [Buffer, mongoose.Schema.Types.Buffer],
+        mongoose: Buffer,
+        // JSON bodies carry base64, which is decoded so min/max count bytes
+        zod: (fieldProps, context) => {
+            if (context.variant === 'output') {
+                return z.custom(isBinaryValue, 'Invalid binary data');
+            }
+
+            const error = context.message('base64');
+            const schema = z.union([z.instanceof(Buffer), z.base64({ error })], { error })
+                .transform((value) => (Buffer.isBuffer(value) ? value : Buffer.from(value, 'base64')));
+            return withBounds(schema, fieldProps, (value) => value.length, context.message, 'bytes');
+        },
+        jsonSchema: { type: 'string', contentEncoding: 'base64' },
+        bsonSchema: { bsonType: 'binData' },
+        typescript: (fieldProps, context) => (context.shape === 'document' ? 'Buffer' : 'string | Buffer')
+    });
+
+    registerType('uuid', {
+        aliases: [mongoose.Schema.Types.UUID],
+        mongoose: mongoose.Schema.Types.UUID,
+        // Documents return UUIDs as strings, toObject() without getters keeps the BSON Binary
+        zod: (fieldProps, context) => (context.variant === 'output'
+            ? z.union([z.uuid(), z.custom(isBinaryValue, 'Invalid UUID')])
+            : z.uuid({ error: context.message('type', { type: 'uuid' }) })),
+        jsonSchema: { type: 'string', format: 'uuid' },
+        // Stored as BSON Binary (subtype 4)
+        bsonSchema: { bsonType: 'binData' },
+        typescript: 'string'
+    });
+
+    registerType('bigint', {
+        aliases: [BigInt, mongoose.Schema.Types.BigInt],
+        mongoose: mongoose.Schema.Types.BigInt,
+        // JSON has no bigint literal, so integer strings and numbers are always coerced (see COERCERS.bigint)
+        zod: (fieldProps, context) => withBounds(z.bigint(), fieldProps, (value) => value, context.message),
+        jsonSchema: { type: 'string', format: 'int64', pattern: '^[-+]?\\d+$' },
+        bsonSchema: { bsonType: 'long' },
+        typescript: 'bigint'
+    });
+
+    registerType('int32', {
+        aliases: [mongoose.Schema.Types.Int32],
+        family: 'number',
+        mongoose: mongoose.Schema.Types.Int32,
+        zod: () => z.int32(),
+        jsonSchema: { type: 'integer', format: 'int32' },
+        bsonSchema: { bsonType: 'int' },
+        typescript: 'number'
+    });
+};
@@ -0,0 +1,110 @@
+import { registerBuiltinTypes } from './builtinTypes.js';
+
+/**
+ * Registered types keyed by lowercase name
+ */
+const typesByName = new Map();
+
+/**
+ * Registered types keyed by constructor (String, Number, mongoose.Schema.Types.ObjectId, ...)
+ */
+const typesByConstructor = new Map();
+
+/**
+ * Wraps a static value in a factory; arrow functions and method shorthands are kept as factories
+ * Constructors (String, Number, SchemaTypes) have a prototype and are treated as static values.
+ * @param {*} value - A static value or a factory `(fieldProps, context) => value`
+ * @param {boolean} clone - Return a fresh copy of static objects on every call
+ * @returns {Function|undefined} Factory function
+ */
+const toFactory = (value, clone = false) => {
+    if (value === undefined) {
+        return undefined;
+    }
+    if (typeof value === 'function' && !value.prototype) {
+        return value;
+    }
+    return clone ? () => structuredClone(value) : () => value;
+};
+
+/**
+ * Registers a field type that can be used anywhere in a definition, including as array items
+ * @param {string} name - Type name, matched case-insensitively (e.g. 'slug', 'money')
+ * @param {Object} definition - How each layer represents the type
+ * @param {*|Function} definition.mongoose - Mongoose type (String, a SchemaType, a Schema), a path
+ *   config object `{ type, ...pathOptions }`, or a function `(fieldProps, context) => either`
+ * @param {z.ZodTypeAny|Function} definition.zod - Zod schema, or a function `(fieldProps, context) => schema`
+ * @param {Object|Function} definition.jsonSchema - JSON Schema, or a function `(fieldProps, context) => schema`
+ * @param {Object|Function} definition.bsonSchema - MongoDB `$jsonSchema` (`{ bsonType }`), or a function `(fieldProps, context) => schema`
+ * @param {string|Function} definition.typescript - TypeScript type, or a function `(fieldProps, context) => type`
+ * @param {string} definition.family - Built-in type whose rules apply (e.g. 'string' enables minlength/regex)
+ * @param {Array} definition.aliases - Extra names or constructors that resolve to this type
+ * @param {Object} registerOptions - Registration options
+ * @param {boolean} registerOptions.override - Replace an existing type with the same name (default: false)
+ * @returns {Object} The registered type
+ */
+export const registerType = (name, definition = {}, registerOptions = {}) => {
+    const { override = false } = registerOptions;
+
+    if (typeof name !== 'string' || name.trim() === '') {
+        throw new Error('Type name must be a non-empty string');
+    }
+    if (definition.mongoose === undefined || definition.zod === undefined) {
+        throw new Error(`Type "${name}" must define both a mongoose and a zod representation`);
+    }
+
+    const key = name.toLowerCase();
+    if (typesByName.has(key) && !override) {
+        throw new Error(`Type "${name}" is already registered`);
+    }
+
+    const { family = key, aliases = [] } = definition;
+    // Custom types fall back to the generators of the built-in type they behave like
+    const fallback = typesByName.get(family);
+
+    const registeredType = {
+        name: key,
+        family,
+        mongoose: toFactory(definition.mongoose),
+        zod: toFactory(definition.zod),
+        jsonSchema: toFactory(definition.jsonSchema, true) || fallback?.jsonSchema || (() => ({})),
+        bsonSchema: toFactory(definition.bsonSchema, true) || fallback?.bsonSchema || (() => ({})),
+        typescript: toFactory(definition.typescript) || fallback?.typescript || (() => 'unknown')
+    };
+
+    typesByName.set(key, registeredType);
+    aliases.forEach(alias => {
+        if (typeof alias === 'string') {
+            typesByName.set(alias.toLowerCase(), registeredType);
+        } else if (typeof alias === 'function') {
+            typesByConstructor.set(alias, registeredType);
+        }
+    });
+
+    return registeredType;
+};
+
+/**
+ * Resolves the `type` of a field definition to its registered type
+ * @param {*} type - A type name (case-insensitive) or constructor
+ * @returns {Object|null} The registered type, or null when the type is unknown
+ */
+export const resolveType = (type) => {
+    if (typeof type === 'string') {
+        return typesByName.get(type.toLowerCase()) || null;
+    }
+    if (typeof type === 'function') {
+        return typesByConstructor.get(type) || null;
+    }
+    return null;
+};
+
+/**
+ * Lists the names of all registered types (aliases excluded)
+ * @returns {Array<string>} Type names
+ */
+export const getRegisteredTypes = () => {
+    return [...new Set([...typesByName.values()].map(registeredType => registeredType.name))];
+};
+
+registerBuiltinTypes(registerType);
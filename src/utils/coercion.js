@@ -0,0 +1,179 @@
+import { z } from 'zod';
+import { createMessage } from '../messages/messageCatalog.js';
+
+const NUMBER_PATTERN = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+const EPOCH_PATTERN = /^-?\d+$/;
+const INTEGER_PATTERN = /^[-+]?\d+$/;
+const ISO_DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+const TRUE_VALUES = ['true', '1'];
+const FALSE_VALUES = ['false', '0'];
+
+/**
+ * Reports a coercion failure on the Zod context with a catalog message and aborts the field
+ * @param {Object} ctx - Zod refinement context
+ * @param {*} value - The rejected input
+ * @param {string} key - Message key ("coerce.number", "coerce.date", ...)
+ * @param {Object} messageContext - Context from getMessageContext
+ * @returns {symbol} z.NEVER
+ */
+const reject = (ctx, value, key, messageContext) => {
+    ctx.addIssue({ code: 'custom', message: createMessage(key, {}, messageContext)(value), input: value });
+    return z.NEVER;
+};
+
+/**
+ * Converts numeric strings ("25", "-1.5", "1e3") to numbers
+ * @param {*} value - The input value
+ * @param {Object} ctx - Zod refinement context
+ * @param {Object} messageContext - Context from getMessageContext, for the error messages
+ * @returns {*} The coerced value
+ */
+const coerceNumber = (value, ctx, messageContext = {}) => {
+    if (typeof value !== 'string') {
+        return value;
+    }
+
+    const trimmed = value.trim();
+    // Number('') is 0 and Number('0x10') is 16, so only plain decimal notation is accepted
+    if (!NUMBER_PATTERN.test(trimmed)) {
+        return reject(ctx, value, 'coerce.number', messageContext);
+    }
+
+    return Number(trimmed);
+};
+
+/**
+ * Converts "true"/"false"/"1"/"0" (and the numbers 1/0) to booleans
+ * @param {*} value - The input value
+ * @param {Object} ctx - Zod refinement context
+ * @param {Object} messageContext - Context from getMessageContext, for the error messages
+ * @returns {*} The coerced value
+ */
+const coerceBoolean = (value, ctx, messageContext = {}) => {
+    if (typeof value === 'number') {
+        if (value === 1 || value === 0) {
+            return value === 1;
+        }
+        return reject(ctx, value, 'coerce.boolean', messageContext);
+    }
+    if (typeof value !== 'string') {
+        return value;
+    }
+
+    const normalized = value.trim().toLowerCase();
+    if (TRUE_VALUES.includes(normalized)) {
+        return true;
+    }
+    if (FALSE_VALUES.includes(normalized)) {
+        return false;
+    }
+
+    // Unlike Boolean("false"), anything else is an error rather than true
+    return reject(ctx, value, 'coerce.boolean', messageContext);
+};
+
+/**
+ * Converts ISO 8601 strings and epoch milliseconds (number or digit string) to Dates
+ * @param {*} value - The input value
+ * @param {Object} ctx - Zod refinement context
+ * @param {Object} messageContext - Context from getMessageContext, for the error messages
+ * @returns {*} The coerced value
+ */
+const coerceDate = (value, ctx, messageContext = {}) => {
+    if (typeof value === 'number') {
+        return Number.isFinite(value) ? new Date(value) : reject(ctx, value, 'coerce.date', messageContext);
+    }
+    if (typeof value !== 'string') {
+        return value;
+    }
+
+    const trimmed = value.trim();
+    if (EPOCH_PATTERN.test(trimmed)) {
+        return new Date(Number(trimmed));
+    }
+
+    const match = ISO_DATE_PATTERN.exec(trimmed);
+    if (!match) {
+        return reject(ctx, value, 'coerce.date', messageContext);
+    }
+
+    const [, year, month, day, hours, , , offset] = match;
+    // A date-time without an offset would silently depend on the server's timezone
+    if (hours !== undefined && offset === undefined) {
+        return reject(ctx, value, 'coerce.timezone', messageContext);
+    }
+
+    // Date rolls invalid days over (2024-02-31 becomes March 2nd), so check the calendar first
+    const daysInMonth = new Date(Date.UTC(Number(year), Number(month), 0)).getUTCDate();
+    const date = new Date(trimmed);
+    if (Number(month) < 1 || Number(month) > 12 || Number(day) < 1 || Number(day) > daysInMonth || Number.isNaN(date.getTime())) {
+        return reject(ctx, value, 'coerce.date', messageContext);
+    }
+
+    return date;
+};
+
+/**
+ * Converts ObjectId instances to their hex string
+ * @param {*} value - The input value
+ * @returns {*} The coerced value
+ */
+const coerceObjectId = (value) => {
+    if (value != null && typeof value === 'object' && typeof value.toHexString === 'function') {
+        return value.toHexString();
+    }
+    return typeof value === 'string' ? value.trim() : value;
+};
+
+/**
+ * Converts integer strings and safe integers to BigInts
+ * @param {*} value - The input value
+ * @param {Object} ctx - Zod refinement context
+ * @param {Object} messageContext - Context from getMessageContext, for the error messages
+ * @returns {*} The coerced value
+ */
+const coerceBigInt = (value, ctx, messageContext = {}) => {
+    if (typeof value === 'number') {
+        // Larger numbers have already lost precision when the JSON was parsed
+        return Number.isSafeInteger(value)
+            ? BigInt(value)
+            : reject(ctx, value, 'coerce.safeInteger', messageContext);
+    }
+    if (typeof value !== 'string') {
+        return value;
+    }
+
+    const trimmed = value.trim();
+    if (!INTEGER_PATTERN.test(trimmed)) {
+        return reject(ctx, value, 'coerce.integer', messageContext);
+    }
+
+    return BigInt(trimmed);
+};
+
+/**
+ * Converts finite numbers and Decimal128 values to decimal strings
+ * @param {*} value - The input value
+ * @returns {*} The coerced value
+ */
+const coerceDecimal = (value) => {
+    if (typeof value === 'number' && Number.isFinite(value)) {
+        return String(value);
+    }
+    if (value != null && value._bsontype === 'Decimal128') {
+        return value.toString();
+    }
+    return typeof value === 'string' ? value.trim() : value;
+};
+
+/**
+ * Coercion functions keyed by type family, called as `(value, ctx, messageContext)` from z.preprocess
+ */
+export const COERCERS = {
+    number: coerceNumber,
+    boolean: coerceBoolean,
+    date: coerceDate,
+    objectid: coerceObjectId,
+    bigint: coerceBigInt,
+    decimal128: coerceDecimal
+};
@@ -0,0 +1,66 @@
+/**
+ * Validates and normalizes a discriminator declaration
+ *
+ * A discriminator splits one definition into variants stored side by side:
+ * `{ key: 'kind', variants: { email: { to: {...} }, sms: { phone: {...} } } }`.
+ * The definition it is declared on holds the fields shared by every variant.
+ *
+ * @param {Object} discriminator - The discriminator declaration
+ * @returns {{ key: string, modelName: string|undefined, variants: Array<{ value: string, definition: Object }> }} Normalized discriminator
+ */
+export const normalizeDiscriminator = (discriminator) => {
+    if (!discriminator || typeof discriminator !== 'object' || Array.isArray(discriminator)) {
+        throw new Error('discriminator must be an object with a key and variants');
+    }
+
+    const { key, variants, modelName } = discriminator;
+    if (typeof key !== 'string' || key === '') {
+        throw new Error('discriminator.key must be a non-empty string');
+    }
+    if (!variants || typeof variants !== 'object' || Array.isArray(variants) || Object.keys(variants).length === 0) {
+        throw new Error('discriminator.variants must map each value to its definition');
+    }
+    if (modelName !== undefined && typeof modelName !== 'string') {
+        throw new Error('discriminator.modelName must be a string');
+    }
+
+    return {
+        key,
+        modelName,
+        variants: Object.entries(variants).map(([value, definition]) => {
+            if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+                throw new Error(`Discriminator variant "${value}" must be a schema definition object`);
+            }
+            if (definition[key] !== undefined) {
+                throw new Error(`Discriminator variant "${value}" cannot define the discriminator key "${key}"`);
+            }
+            return { value, definition };
+        })
+    };
+};
+
+/**
+ * Removes the discriminator key from the shared definition, since the builders manage it
+ * @param {Object} schemaDefinition - The shared (base) definition
+ * @param {string} key - The discriminator key
+ * @returns {Object} The definition without the key
+ */
+export const omitDiscriminatorKey = (schemaDefinition, key) => {
+    const { [key]: omitted, ...baseDefinition } = schemaDefinition;
+    return baseDefinition;
+};
+
+/**
+ * Builds the Mongoose model name of a variant
+ * Discriminator models share the connection's model names, so the base model name prefixes them
+ * to avoid clashes between collections that use the same values ("email" for both notifications and contacts).
+ * @param {string} modelName - The base model name
+ * @param {string} value - The variant value
+ * @returns {string} Model name, e.g. 'NotificationEmail'
+ */
+export const getVariantModelName = (modelName, value) => {
+    if (typeof modelName !== 'string' || modelName === '') {
+        throw new Error(`discriminator.modelName is required to name the variant models (e.g. modelName: 'Notification' names "${value}" Notification${value.charAt(0).toUpperCase()}${value.slice(1)})`);
+    }
+    return `${modelName}${value.charAt(0).toUpperCase()}${value.slice(1)}`;
+};
@@ -0,0 +1,231 @@
+import { resolveType } from '../types/typeRegistry.js';
+
+/**
+ * Schema variants that can be derived from one definition
+ */
+export const SCHEMA_VARIANTS = ['create', 'update', 'replace', 'output'];
+
+/**
+ * Strong password rule applied to string fields named like "password" that have no `regex`
+ */
+export const DEFAULT_PASSWORD_REGEX = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&#])[A-Za-z\d@$!%*?&#]{8,}$/;
+
+/**
+ * Email rule enforced in the database layers (Mongoose validator and MongoDB `$jsonSchema`)
+ */
+export const EMAIL_REGEX = /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/;
+
+/**
+ * Picks the message key of a `regex` rule, so common patterns get a helpful message
+ * Email, password, phone and URL patterns are recognized by field name or pattern.
+ * @param {string} fieldName - The field name
+ * @param {RegExp|string} regex - The pattern
+ * @returns {string} Message key, e.g. 'regex.email' or 'regex'
+ */
+export const getRegexMessageKey = (fieldName, regex) => {
+    const name = fieldName.toLowerCase();
+    const pattern = String(regex);
+    if (name.includes('email') || pattern.includes('@')) {
+        return 'regex.email';
+    }
+    if (name.includes('password') || pattern.includes('(?=.*\\d)')) {
+        return 'regex.password';
+    }
+    if (name.includes('phone') || pattern.includes('\\d')) {
+        return 'regex.phone';
+    }
+    if (name.includes('url') || pattern.includes('http')) {
+        return 'regex.url';
+    }
+    return 'regex';
+};
+
+/**
+ * Normalizes the array shorthand (`tags: [{ type: String }]`) into a regular array field definition
+ * @param {Object|Array} fieldProps - The field definition
+ * @returns {Object} Field definition object
+ */
+export const normalizeFieldProps = (fieldProps) => {
+    if (!Array.isArray(fieldProps)) {
+        return fieldProps;
+    }
+
+    // `[]` and `[{ enum: [...] }]` default to string items, `[[...]]` nests arrays
+    const [itemProps = {}] = fieldProps;
+    return {
+        type: 'Array',
+        items: Array.isArray(itemProps) ? normalizeFieldProps(itemProps) : { type: 'String', ...itemProps }
+    };
+};
+
+/**
+ * Maps a field type (registered name or constructor) to the built-in type whose rules it follows
+ * @param {*} type - The `type` value of a field definition
+ * @returns {string|null} Type family, or null when the type is not registered
+ */
+export const getTypeFamily = (type) => {
+    const registeredType = resolveType(type);
+    return registeredType ? registeredType.family : null;
+};
+
+/**
+ * Resolves the names of the fields Mongoose adds to every stored document
+ * @param {Object} schemaOptions - Mongoose schema options, as passed to createMongooseSchema
+ * @returns {{ idKey: string|null, timestampKeys: Array<string>, versionKey: string|null }} Field names
+ */
+export const resolveSystemFields = (schemaOptions = {}) => {
+    const { _id = true, timestamps = true, versionKey = '__v' } = schemaOptions;
+    const timestampKeys = [];
+
+    if (timestamps) {
+        const { createdAt = 'createdAt', updatedAt = 'updatedAt' } = timestamps === true ? {} : timestamps;
+        if (createdAt) {
+            timestampKeys.push(createdAt === true ? 'createdAt' : createdAt);
+        }
+        if (updatedAt) {
+            timestampKeys.push(updatedAt === true ? 'updatedAt' : updatedAt);
+        }
+    }
+
+    return {
+        idKey: _id !== false ? '_id' : null,
+        timestampKeys,
+        versionKey: versionKey !== false ? versionKey : null
+    };
+};
+
+/**
+ * Supported unknown-key policies for objects
+ * - strip: unknown keys are silently removed
+ * - strict: unknown keys are rejected
+ * - passthrough: unknown keys are kept
+ */
+export const UNKNOWN_KEY_POLICIES = ['strip', 'strict', 'passthrough'];
+
+/**
+ * Resolves the unknown-key policy for one level of a definition
+ * @param {Object} options - Builder options
+ * @param {string} options.unknownKeys - Explicit policy ('strip' | 'strict' | 'passthrough')
+ * @param {boolean} options.strictMode - Shorthand for `unknownKeys: 'strict'`
+ * @returns {string} The unknown-key policy
+ */
+export const resolveUnknownKeys = (options = {}) => {
+    const { unknownKeys, strictMode = false } = options;
+    const policy = unknownKeys || (strictMode ? 'strict' : 'strip');
+
+    if (!UNKNOWN_KEY_POLICIES.includes(policy)) {
+        throw new Error(`Invalid unknownKeys policy: ${policy}`);
+    }
+
+    return policy;
+};
+
+/**
+ * Applies a nested object's own `unknownKeys` setting, which also covers its descendants,
+ * and its own `refinements` and `discriminator`
+ * Versioning belongs to the top-level document, so nested levels never carry a version key.
+ * @param {Object} fieldProps - The object field definition
+ * @param {Object} options - Builder options for the enclosing level
+ * @returns {Object} Builder options for the nested level
+ */
+export const getNestedOptions = (fieldProps, options = {}) => {
+    // Cross-field rules and variants belong to the object that declares them and are never inherited
+    const nestedOptions = {
+        ...options,
+        refinements: fieldProps.refinements,
+        discriminator: fieldProps.discriminator,
+        versioning: undefined
+    };
+    if (fieldProps.unknownKeys) {
+        nestedOptions.unknownKeys = fieldProps.unknownKeys;
+    }
+    return nestedOptions;
+};
+
+/**
+ * Checks whether clients may send a field (`readOnly` and `private` fields are server-managed)
+ * @param {Object} fieldProps - The field definition
+ * @returns {boolean} True when the field is accepted in input
+ */
+export const isWritableField = (fieldProps) => {
+    return fieldProps.readOnly !== true && fieldProps.private !== true;
+};
+
+/**
+ * Checks whether a field may be returned to clients (`writeOnly` and `private` fields never are)
+ * @param {Object} fieldProps - The field definition
+ * @returns {boolean} True when the field is included in output
+ */
+export const isReadableField = (fieldProps) => {
+    return fieldProps.writeOnly !== true && fieldProps.private !== true;
+};
+
+/**
+ * Builds a comparable key for an array item so duplicates can be detected by value
+ * @param {*} item - The array item (primitive, Date, ObjectId, object or Mongoose subdocument)
+ * @returns {string} Comparison key
+ */
+const getItemKey = (item) => {
+    if (item instanceof Date) {
+        return `date:${item.getTime()}`;
+    }
+    if (item && typeof item.toHexString === 'function') {
+        return `objectid:${item.toHexString()}`;
+    }
+    if (item && typeof item.toObject === 'function') {
+        // Mongoose subdocuments and arrays
+        return getItemKey(item.toObject({ depopulate: true }));
+    }
+    if (Array.isArray(item)) {
+        return `[${item.map(getItemKey).join(',')}]`;
+    }
+    if (item && typeof item === 'object') {
+        // Generated subdocument _ids would make every item unique, so they are ignored
+        const entries = Object.keys(item)
+            .filter(key => key !== '_id')
+            .sort()
+            .map(key => `${JSON.stringify(key)}:${getItemKey(item[key])}`);
+        return `{${entries.join(',')}}`;
+    }
+    return `${typeof item}:${String(item)}`;
+};
+
+/**
+ * Checks that an array contains no duplicate items, comparing objects by value
+ * @param {Array} items - The array to check
+ * @returns {boolean} True when every item is unique
+ */
+export const hasUniqueItems = (items = []) => {
+    return new Set(Array.from(items, getItemKey)).size === items.length;
+};
+
+/**
+ * Normalizes the `validate` property of a field into a list of validators
+ * Accepts a function, a `{ validator, message, type }` object, or an array of either.
+ * @param {Function|Object|Array} validate - The field's `validate` property
+ * @returns {Array<{ validator: Function, message: string|Function|undefined, type: string }>} Validators
+ */
+export const normalizeValidators = (validate) => {
+    if (validate === undefined) {
+        return [];
+    }
+
+    return (Array.isArray(validate) ? validate : [validate]).map((entry, index) => {
+        const validatorEntry = typeof entry === 'function' ? { validator: entry } : entry;
+        if (!validatorEntry || typeof validatorEntry.validator !== 'function') {
+            throw new Error(`validate[${index}] must be a function or an object with a validator function`);
+        }
+        if (validatorEntry.message !== undefined &&
+            typeof validatorEntry.message !== 'string' &&
+            typeof validatorEntry.message !== 'function') {
+            throw new Error(`validate[${index}].message must be a string or a function`);
+        }
+
+        return {
+            validator: validatorEntry.validator,
+            message: validatorEntry.message,
+            // Mongoose reports custom validators with this kind unless a type is given
+            type: validatorEntry.type || 'user defined'
+        };
+    });
+};
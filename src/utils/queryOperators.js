@@ -0,0 +1,115 @@
+import { normalizeFieldProps, getTypeFamily } from './fieldUtils.js';
+
+const COMPARISON_OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'nin', 'exists'];
+const EQUALITY_OPERATORS = ['eq', 'ne', 'in', 'nin', 'exists'];
+
+/**
+ * Filter operators each type family supports
+ * - eq/ne/gt/gte/lt/lte: comparisons with one value
+ * - in/nin: one of (none of) a list of values
+ * - all: arrays holding every listed value
+ * - exists: whether the field is set
+ * - contains: case-insensitive substring match on strings
+ */
+export const FILTER_OPERATORS = {
+    string: [...EQUALITY_OPERATORS, 'contains'],
+    number: COMPARISON_OPERATORS,
+    date: COMPARISON_OPERATORS,
+    decimal128: COMPARISON_OPERATORS,
+    bigint: COMPARISON_OPERATORS,
+    boolean: ['eq', 'ne', 'exists'],
+    objectid: EQUALITY_OPERATORS,
+    uuid: EQUALITY_OPERATORS,
+    // Array filters match elements: `eq` finds arrays containing the value
+    array: [...EQUALITY_OPERATORS, 'all']
+};
+
+/**
+ * Operators that take a list of values
+ */
+export const LIST_OPERATORS = ['in', 'nin', 'all'];
+
+/**
+ * Query parameters that hold sorting and pagination, so no field can be filtered under these names
+ */
+export const RESERVED_QUERY_PARAMS = ['sort', 'page', 'limit'];
+
+/**
+ * Type families whose values have an order MongoDB can sort by
+ */
+const SORTABLE_FAMILIES = ['string', 'number', 'date', 'decimal128', 'bigint', 'boolean', 'objectid', 'uuid'];
+
+/**
+ * Names a field type in error messages
+ * @param {*} type - The `type` value of a field definition
+ * @returns {string} The type name
+ */
+const getTypeLabel = (type) => (typeof type === 'function' ? type.name : String(type));
+
+/**
+ * Resolves the filter operators a field supports from its type
+ * Enum strings have no `contains`, and arrays need scalar items.
+ * @param {Object} fieldProps - The normalized field definition
+ * @returns {Array<string>} Operators, empty for types that cannot be filtered
+ */
+const getAvailableOperators = (fieldProps) => {
+    const family = getTypeFamily(fieldProps.type);
+    if (family === 'array') {
+        const itemProps = normalizeFieldProps(fieldProps.items ?? {});
+        const itemFamily = getTypeFamily(itemProps.type);
+        return itemFamily && itemFamily !== 'array' && FILTER_OPERATORS[itemFamily] ? FILTER_OPERATORS.array : [];
+    }
+    if (family === 'string' && Array.isArray(fieldProps.enum)) {
+        return FILTER_OPERATORS.string.filter(operator => operator !== 'contains');
+    }
+    return FILTER_OPERATORS[family] || [];
+};
+
+/**
+ * Resolves the operators a field's `filterable` flag allows
+ * `filterable: true` allows every operator of the field's type, a list allows only those.
+ * @param {Object} fieldProps - The normalized field definition
+ * @returns {Array<string>} Allowed operators, empty when the field is not filterable
+ */
+export const resolveFilterOperators = (fieldProps) => {
+    const { filterable } = fieldProps;
+    if (filterable === undefined || filterable === false) {
+        return [];
+    }
+
+    const available = getAvailableOperators(fieldProps);
+    if (available.length === 0) {
+        throw new Error(`Fields of type ${getTypeLabel(fieldProps.type)} cannot be filtered`);
+    }
+    if (filterable === true) {
+        return available;
+    }
+    if (!Array.isArray(filterable) || filterable.length === 0) {
+        throw new Error('"filterable" must be true or a non-empty array of operators');
+    }
+
+    const unsupported = filterable.filter(operator => !available.includes(operator));
+    if (unsupported.length > 0) {
+        throw new Error(`Unsupported filter operators for ${getTypeLabel(fieldProps.type)} fields: ${unsupported.join(', ')} (supported: ${available.join(', ')})`);
+    }
+    return [...new Set(filterable)];
+};
+
+/**
+ * Checks a field's `sortable` flag
+ * @param {Object} fieldProps - The normalized field definition
+ * @returns {boolean} True when the field may be sorted by
+ */
+export const isSortableField = (fieldProps) => {
+    const { sortable } = fieldProps;
+    if (sortable === undefined || sortable === false) {
+        return false;
+    }
+    if (sortable !== true) {
+        throw new Error('"sortable" must be a boolean');
+    }
+    if (!SORTABLE_FAMILIES.includes(getTypeFamily(fieldProps.type))) {
+        throw new Error(`Fields of type ${getTypeLabel(fieldProps.type)} cannot be sorted by`);
+    }
+    return true;
+};
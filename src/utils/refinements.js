@@ -0,0 +1,70 @@
+/**
+ * Reads a value at a dotted path ("address.zip") from plain data
+ * @param {Object} data - The data to read from
+ * @param {Array<string>} path - Path segments
+ * @returns {*} The value, or undefined when any segment is missing
+ */
+export const getValueAtPath = (data, path) => {
+    return path.reduce((value, key) => (value == null ? undefined : value[key]), data);
+};
+
+/**
+ * Validates and normalizes the cross-field rules of an object
+ *
+ * Rules are declared once, keyed by name:
+ * `{ passwordsMatch: { check: (data) => data.password === data.confirmPassword, path: 'confirmPassword', message: 'Passwords do not match' } }`
+ *
+ * @param {Object} refinements - Rules keyed by name
+ * @returns {Array<Object>} Rules with `name`, `check`, `message`, `path` (segments) and `fields` (segments per field)
+ */
+export const normalizeRefinements = (refinements) => {
+    if (refinements === undefined) {
+        return [];
+    }
+    if (!refinements || typeof refinements !== 'object' || Array.isArray(refinements)) {
+        throw new Error('refinements must be an object of rules keyed by name');
+    }
+
+    return Object.entries(refinements).map(([name, rule]) => {
+        if (!rule || typeof rule.check !== 'function') {
+            throw new Error(`Refinement "${name}" must define a check function`);
+        }
+        if (typeof rule.path !== 'string' || rule.path === '') {
+            throw new Error(`Refinement "${name}" must define the path its error is reported on`);
+        }
+        if (typeof rule.message !== 'string') {
+            throw new Error(`Refinement "${name}" must define a message`);
+        }
+        if (rule.fields !== undefined && !Array.isArray(rule.fields)) {
+            throw new Error(`Refinement "${name}" fields must be an array of paths`);
+        }
+
+        return {
+            name,
+            check: rule.check,
+            message: rule.message,
+            path: rule.path.split('.'),
+            fields: (rule.fields || []).map(field => field.split('.'))
+        };
+    });
+};
+
+/**
+ * Decides whether a rule applies to data of the given schema variant
+ * Stored documents are not re-checked, and partial (PATCH) bodies are only checked
+ * when they contain every field the rule lists in `fields`.
+ * @param {Object} rule - A normalized rule
+ * @param {Object} data - The parsed data
+ * @param {string} variant - Schema variant
+ * @returns {boolean} True when the rule should run
+ */
+export const shouldApplyRefinement = (rule, data, variant) => {
+    switch (variant) {
+        case 'output':
+            return false;
+        case 'update':
+            return rule.fields.length > 0 && rule.fields.every(field => getValueAtPath(data, field) !== undefined);
+        default:
+            return true;
+    }
+};
@@ -0,0 +1,203 @@
+import { createHash } from 'node:crypto';
+
+const DEFAULT_MAX_SIZE = 100;
+
+/**
+ * Built schemas keyed by the structural hashes of their definition and options, least recently used first
+ */
+const entries = new Map();
+
+/**
+ * Structural hashes of the definitions already seen, so a definition object is only hashed once
+ */
+let hashesByDefinition = new WeakMap();
+
+/**
+ * Ids of functions and other objects that are only equal to themselves (constructors, defaults
+ * like `Date.now`, validators, Schema instances, ObjectIds)
+ */
+const identityIds = new WeakMap();
+const symbolIds = new Map();
+let nextIdentityId = 1;
+
+let maxSize = DEFAULT_MAX_SIZE;
+const stats = { hits: 0, misses: 0, evictions: 0 };
+
+/**
+ * Returns the id of a value compared by identity
+ * @param {Object|Function|symbol} value - The value
+ * @returns {number} An id unique to the value
+ */
+const getIdentityId = (value) => {
+    const ids = typeof value === 'symbol' ? symbolIds : identityIds;
+    if (!ids.has(value)) {
+        ids.set(value, nextIdentityId++);
+    }
+    return ids.get(value);
+};
+
+/**
+ * Checks whether a value is a plain object or array, which is compared by content
+ * @param {*} value - The value
+ * @returns {boolean} True for arrays and objects created by literals or Object.create(null)
+ */
+const isStructural = (value) => {
+    if (Array.isArray(value)) {
+        return true;
+    }
+    const prototype = Object.getPrototypeOf(value);
+    return prototype === Object.prototype || prototype === null;
+};
+
+/**
+ * Serializes a value so that two values get the same text only when schemas built from them are the same
+ * Unlike JSON.stringify, RegExps and Dates keep their content, undefined values and non-finite numbers
+ * are kept, and functions and class instances are compared by identity. Key order is kept, since it
+ * orders the fields of the generated schemas.
+ * @param {*} value - The value
+ * @param {Set} ancestors - Objects being serialized, to cut cycles
+ * @returns {string} Serialized value
+ */
+const serialize = (value, ancestors = new Set()) => {
+    switch (typeof value) {
+        case 'string':
+            return JSON.stringify(value);
+        case 'number':
+            return Object.is(value, -0) ? 'n:-0' : `n:${value}`;
+        case 'bigint':
+            return `b:${value}`;
+        case 'boolean':
+            return value ? 'true' : 'false';
+        case 'undefined':
+            return 'undefined';
+        case 'symbol':
+        case 'function':
+            return `#${getIdentityId(value)}`;
+    }
+
+    if (value === null) {
+        return 'null';
+    }
+    if (value instanceof RegExp) {
+        return `r:${value.toString()}`;
+    }
+    if (value instanceof Date) {
+        return `d:${value.getTime()}`;
+    }
+    if (!isStructural(value) || ancestors.has(value)) {
+        return `#${getIdentityId(value)}`;
+    }
+
+    ancestors.add(value);
+    const serialized = Array.isArray(value)
+        ? `[${value.map(item => serialize(item, ancestors)).join(',')}]`
+        : `{${Object.keys(value).map(key => `${JSON.stringify(key)}:${serialize(value[key], ancestors)}`).join(',')}}`;
+    ancestors.delete(value);
+    return serialized;
+};
+
+/**
+ * Computes the structural hash of a value
+ * @param {*} value - The value
+ * @returns {string} Hex digest
+ */
+const hashValue = (value) => {
+    return createHash('sha1').update(serialize(value)).digest('hex');
+};
+
+/**
+ * Computes the structural hash of a definition, reusing the one computed for the same object
+ * @param {Object} schemaDefinition - The schema definition object
+ * @returns {string} Hex digest
+ */
+const hashDefinition = (schemaDefinition) => {
+    if (!schemaDefinition || typeof schemaDefinition !== 'object') {
+        return hashValue(schemaDefinition);
+    }
+    if (!hashesByDefinition.has(schemaDefinition)) {
+        hashesByDefinition.set(schemaDefinition, hashValue(schemaDefinition));
+    }
+    return hashesByDefinition.get(schemaDefinition);
+};
+
+/**
+ * Drops the least recently used entries until the cache fits its size
+ */
+const evict = () => {
+    while (entries.size > maxSize) {
+        entries.delete(entries.keys().next().value);
+        stats.evictions++;
+    }
+};
+
+/**
+ * Returns the cached schemas of a definition and options, building and caching them on a miss
+ *
+ * Definitions are hashed once per object, so passing the same definition again costs one lookup.
+ * Equal definitions that are different objects share an entry. A definition changed in place after
+ * it was cached keeps its first hash: build a new object, or call clearSchemaCache().
+ * `build` only runs on a miss, so checks that must run on every call (validateDefinition) belong before the lookup.
+ *
+ * @param {Object} schemaDefinition - The schema definition object
+ * @param {Object} options - Options the schemas are built with
+ * @param {Function} build - Builds the schemas on a miss
+ * @returns {*} The cached or built schemas
+ */
+export const getCachedSchemas = (schemaDefinition, options, build) => {
+    const key = `${hashDefinition(schemaDefinition)}:${hashValue(options)}`;
+
+    if (entries.has(key)) {
+        const cached = entries.get(key);
+        // Re-inserting moves the entry to the most recently used end
+        entries.delete(key);
+        entries.set(key, cached);
+        stats.hits++;
+        return cached;
+    }
+
+    stats.misses++;
+    const result = build();
+    entries.set(key, result);
+    evict();
+    return result;
+};
+
+/**
+ * Empties the schema cache and resets its statistics
+ * Needed after registering or overriding types and locales that cached schemas already use.
+ */
+export const clearSchemaCache = () => {
+    entries.clear();
+    hashesByDefinition = new WeakMap();
+    stats.hits = 0;
+    stats.misses = 0;
+    stats.evictions = 0;
+};
+
+/**
+ * Sets how many built schemas the cache keeps
+ * @param {Object} cacheOptions - Cache options
+ * @param {number} cacheOptions.maxSize - Most entries kept, least recently used ones being dropped first (default: 100)
+ */
+export const configureSchemaCache = (cacheOptions = {}) => {
+    const { maxSize: size = DEFAULT_MAX_SIZE } = cacheOptions;
+    if (!Number.isInteger(size) || size < 0) {
+        throw new Error('Cache maxSize must be a non-negative integer');
+    }
+    maxSize = size;
+    evict();
+};
+
+/**
+ * Reports how the schema cache performs
+ * @returns {{ size: number, maxSize: number, hits: number, misses: number, evictions: number, hitRate: number }} Statistics
+ */
+export const getSchemaCacheStats = () => {
+    const lookups = stats.hits + stats.misses;
+    return {
+        size: entries.size,
+        maxSize,
+        ...stats,
+        hitRate: lookups === 0 ? 0 : stats.hits / lookups
+    };
+};
@@ -0,0 +1,143 @@
+/**
+ * Field that stores the definition version a document was written with
+ * Mongoose's own `__v` counts edits for optimistic concurrency, so it cannot be reused.
+ */
+export const DEFAULT_VERSION_KEY = 'schemaVersion';
+
+/**
+ * Version of documents stored before the definition was versioned
+ */
+const INITIAL_VERSION = 1;
+
+/**
+ * Validates and normalizes a versioning declaration
+ *
+ * Migrations are keyed by the version they upgrade to, so `2` upgrades a version 1 document:
+ * `{ version: 3, migrations: { 2: (doc) => ..., 3: (doc) => ... } }`.
+ * Every step from version 2 to the current version needs a migration.
+ *
+ * @param {Object} versioning - The versioning declaration
+ * @param {Object} schemaDefinition - The definition it belongs to, which must not define the version key
+ * @returns {{ version: number, key: string, acceptOlder: boolean, migrations: Array<{ version: number, migrate: Function }> }} Normalized versioning
+ */
+export const normalizeVersioning = (versioning, schemaDefinition = {}) => {
+    if (!versioning || typeof versioning !== 'object' || Array.isArray(versioning)) {
+        throw new Error('versioning must be an object with a version and migrations');
+    }
+
+    const { version, key = DEFAULT_VERSION_KEY, migrations = {}, acceptOlder = false } = versioning;
+    if (!Number.isInteger(version) || version < INITIAL_VERSION) {
+        throw new Error('versioning.version must be a positive integer');
+    }
+    if (typeof key !== 'string' || key === '' || key === '_id' || key === '__v') {
+        throw new Error('versioning.key must be a field name other than _id and __v');
+    }
+    if (schemaDefinition[key] !== undefined) {
+        throw new Error(`Field "${key}" holds the schema version and cannot be defined`);
+    }
+    if (!migrations || typeof migrations !== 'object' || Array.isArray(migrations)) {
+        throw new Error('versioning.migrations must map each version to the function that upgrades to it');
+    }
+    if (typeof acceptOlder !== 'boolean') {
+        throw new Error('versioning.acceptOlder must be a boolean');
+    }
+
+    Object.entries(migrations).forEach(([target, migrate]) => {
+        const targetVersion = Number(target);
+        if (!Number.isInteger(targetVersion) || targetVersion <= INITIAL_VERSION || targetVersion > version) {
+            throw new Error(`Migration "${target}" must target a version from ${INITIAL_VERSION + 1} to ${version}`);
+        }
+        if (typeof migrate !== 'function') {
+            throw new Error(`Migration to version ${target} must be a function`);
+        }
+    });
+
+    const steps = [];
+    for (let target = INITIAL_VERSION + 1; target <= version; target++) {
+        if (migrations[target] === undefined) {
+            throw new Error(`Missing migration from version ${target - 1} to ${target}`);
+        }
+        steps.push({ version: target, migrate: migrations[target] });
+    }
+
+    return { version, key, acceptOlder, migrations: steps };
+};
+
+/**
+ * Reads the version a document was written with
+ * @param {Object} data - The document
+ * @param {Object} versioning - A normalized versioning declaration
+ * @param {number} fallbackVersion - Version of documents without the version key (default: 1)
+ * @returns {number} The document's version
+ */
+export const getDocumentVersion = (data, versioning, fallbackVersion = INITIAL_VERSION) => {
+    const storedVersion = data[versioning.key];
+    if (storedVersion === undefined || storedVersion === null) {
+        return fallbackVersion;
+    }
+    if (!Number.isInteger(storedVersion) || storedVersion < INITIAL_VERSION) {
+        throw new Error(`Invalid ${versioning.key} "${storedVersion}"`);
+    }
+    if (storedVersion > versioning.version) {
+        throw new Error(`Document version ${storedVersion} is newer than the definition (version ${versioning.version})`);
+    }
+    return storedVersion;
+};
+
+/**
+ * Lists the migrations that upgrade a document from the given version
+ * @param {Object} versioning - A normalized versioning declaration
+ * @param {number} fromVersion - The document's version
+ * @returns {Array<{ version: number, migrate: Function }>} Migrations, in order
+ */
+export const getPendingMigrations = (versioning, fromVersion) => {
+    return versioning.migrations.filter(step => step.version > fromVersion);
+};
+
+/**
+ * Runs one migration and stamps the version it upgraded to
+ * A migration may return the upgraded document or change the one it receives.
+ * @param {Object} data - The document
+ * @param {Object} step - The migration, `{ version, migrate }`
+ * @param {string} key - The version key
+ * @param {*} result - What the migration returned
+ * @returns {Object} The upgraded document
+ */
+export const completeMigration = (data, step, key, result) => {
+    const upgraded = result === undefined ? data : result;
+    if (!upgraded || typeof upgraded !== 'object' || Array.isArray(upgraded)) {
+        throw new Error(`Migration to version ${step.version} must return the upgraded document`);
+    }
+    return { ...upgraded, [key]: step.version };
+};
+
+/**
+ * Runs the pending migrations of a document in order
+ * @param {Object} data - The document, as plain data
+ * @param {Object} versioning - A normalized versioning declaration
+ * @param {number} fallbackVersion - Version of documents without the version key
+ * @returns {Object} The upgraded document, or the same document when it is current
+ */
+export const migrateData = (data, versioning, fallbackVersion = INITIAL_VERSION) => {
+    return getPendingMigrations(versioning, getDocumentVersion(data, versioning, fallbackVersion)).reduce((document, step) => {
+        const result = step.migrate(document);
+        if (result && typeof result.then === 'function') {
+            throw new Error(`Migration to version ${step.version} is asynchronous, so only migrateCollection can run it`);
+        }
+        return completeMigration(document, step, versioning.key, result);
+    }, data);
+};
+
+/**
+ * Upgrades a document to the current version, e.g. one read with `.lean()`
+ * Migrations run synchronously here; use migrateCollection for asynchronous ones.
+ * @param {Object} data - The document, as plain data
+ * @param {Object} versioning - The versioning declaration, `{ version, key, migrations }`
+ * @param {Object} options - Upgrade options
+ * @param {number} options.fallbackVersion - Version of documents without the version key (default: 1)
+ * @returns {Object} The upgraded document, or the same document when it is current
+ */
+export const upgradeDocument = (data, versioning, options = {}) => {
+    const { fallbackVersion = INITIAL_VERSION } = options;
+    return migrateData(data, normalizeVersioning(versioning), fallbackVersion);
+};
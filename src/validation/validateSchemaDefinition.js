@@ -0,0 +1,422 @@
+import { normalizeFieldProps, getTypeFamily, normalizeValidators, UNKNOWN_KEY_POLICIES } from '../utils/fieldUtils.js';
+import { normalizeRefinements } from '../utils/refinements.js';
+import { normalizeDiscriminator } from '../utils/discriminators.js';
+import { normalizeVersioning } from '../utils/versioning.js';
+import { getMessageKeys, getLocales } from '../messages/messageCatalog.js';
+import { resolveFilterOperators, isSortableField } from '../utils/queryOperators.js';
+
+/**
+ * Properties understood by the schema builders
+ */
+const KNOWN_PROPERTIES = [
+    'type', 'required', 'unique', 'minlength', 'minLength', 'maxlength', 'maxLength',
+    'min', 'max', 'default', 'ref', 'items', 'uniqueItems', 'email', 'enum', 'regex', 'match',
+    'select', 'sparse', 'index', 'text', 'immutable', 'transform', 'get', 'set', 'schema', '_id',
+    'unknownKeys', 'coerce', 'readOnly', 'writeOnly', 'private', 'of', 'precision', 'scale',
+    'refinements', 'discriminator', 'validate', 'messages', 'filterable', 'sortable'
+];
+
+/**
+ * Type families each property applies to; properties not listed apply to every type
+ */
+const PROPERTY_TYPES = {
+    minlength: ['string'],
+    maxlength: ['string'],
+    email: ['string'],
+    regex: ['string'],
+    enum: ['string'],
+    min: ['number', 'date', 'array', 'decimal128', 'bigint', 'buffer'],
+    max: ['number', 'date', 'array', 'decimal128', 'bigint', 'buffer'],
+    precision: ['decimal128'],
+    scale: ['decimal128'],
+    of: ['map'],
+    items: ['array'],
+    uniqueItems: ['array'],
+    schema: ['object'],
+    _id: ['object'],
+    unknownKeys: ['object'],
+    refinements: ['object'],
+    discriminator: ['object']
+};
+
+/**
+ * Type families whose property rules are known; custom types with their own family are not checked
+ */
+const CHECKED_FAMILIES = [
+    'string', 'number', 'boolean', 'date', 'array', 'object', 'objectid', 'map',
+    'decimal128', 'buffer', 'uuid', 'bigint'
+];
+
+/**
+ * Properties that are ignored (warning) rather than contradictory (error) on other types
+ */
+const INCOMPATIBLE_IS_ERROR = ['email', 'regex', 'enum'];
+
+/**
+ * Computes the Levenshtein distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Edit distance
+ */
+const editDistance = (a, b) => {
+    const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+        let previous = row[0];
+        row[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const current = row[j];
+            row[j] = Math.min(
+                row[j] + 1,
+                row[j - 1] + 1,
+                previous + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+            previous = current;
+        }
+    }
+
+    return row[b.length];
+};
+
+/**
+ * Finds the closest known property name for a likely typo
+ * @param {string} propName - The unknown property name
+ * @returns {string|undefined} Suggested property name
+ */
+const suggestProperty = (propName) => {
+    let best;
+    let bestDistance = Infinity;
+
+    for (const known of KNOWN_PROPERTIES) {
+        const distance = editDistance(propName.toLowerCase(), known.toLowerCase());
+        if (distance < bestDistance) {
+            best = known;
+            bestDistance = distance;
+        }
+    }
+
+    return bestDistance <= 2 ? best : undefined;
+};
+
+/**
+ * Checks whether a value is a usable numeric bound for the given type family
+ * @param {*} value - The bound value
+ * @param {string} family - The field's type family
+ * @returns {boolean} True when the bound is valid
+ */
+const isValidBound = (value, family) => {
+    switch (family) {
+        case 'date':
+            return value instanceof Date || typeof value === 'number';
+        case 'bigint':
+            return typeof value === 'bigint' || Number.isInteger(value);
+        case 'buffer':
+            return Number.isInteger(value) && value >= 0;
+        default:
+            return typeof value === 'number' && !Number.isNaN(value);
+    }
+};
+
+/**
+ * Describes the bounds accepted by isValidBound, for error messages
+ * @param {string} family - The field's type family
+ * @returns {string} Description of a valid bound
+ */
+const describeBound = (family) => {
+    switch (family) {
+        case 'date':
+            return 'date or timestamp';
+        case 'bigint':
+            return 'bigint or integer';
+        case 'buffer':
+            return 'non-negative integer (bytes)';
+        default:
+            return 'number';
+    }
+};
+
+/**
+ * Lints a schema definition without building any schemas
+ *
+ * Walks the definition (including nested `schema`, `items` and `of` definitions and discriminator variants) and reports
+ * unknown properties, unsupported types and contradictory rules. Paths are dotted and point
+ * at the offending property, e.g. `address.city.minLenght` or `lineItems.items.sku.type`.
+ *
+ * @param {Object} schemaDefinition - The schema definition object
+ * @param {Object} options - Builder options declared outside the definition
+ * @param {Object} options.discriminator - Top-level discriminator, whose variants are linted too
+ * @param {Object} options.refinements - Top-level cross-field rules
+ * @param {string} options.locale - Message locale, which should be registered
+ * @param {Object} options.versioning - Definition version and migrations, which must cover every version
+ * @returns {{ valid: boolean, errors: Array, warnings: Array }} Lint result
+ */
+export const validateSchemaDefinition = (schemaDefinition, options = {}) => {
+    const errors = [];
+    const warnings = [];
+
+    const report = (list, severity) => (path, code, message) => {
+        list.push({ path, code, message, severity });
+    };
+    const error = report(errors, 'error');
+    const warn = report(warnings, 'warning');
+
+    const lintField = (fieldPath, definition) => {
+        if (!definition || typeof definition !== 'object') {
+            error(fieldPath, 'invalid_field', 'Field definition must be an object');
+            return;
+        }
+
+        const fieldProps = normalizeFieldProps(definition);
+
+        if (fieldProps.type === undefined) {
+            error(`${fieldPath}.type`, 'missing_type', 'Field is missing a type');
+            return;
+        }
+
+        const family = getTypeFamily(fieldProps.type);
+        if (!family) {
+            error(`${fieldPath}.type`, 'unknown_type', `Invalid type: ${String(fieldProps.type)}`);
+            return;
+        }
+
+        for (const [rawPropName, propValue] of Object.entries(fieldProps)) {
+            const propPath = `${fieldPath}.${rawPropName}`;
+
+            if (!KNOWN_PROPERTIES.includes(rawPropName)) {
+                const suggestion = suggestProperty(rawPropName);
+                error(propPath, 'unknown_property', suggestion
+                    ? `Unknown property "${rawPropName}" (did you mean "${suggestion}"?)`
+                    : `Unknown property "${rawPropName}"`);
+                continue;
+            }
+
+            // Aliases share the rules of their canonical property
+            const propName = { minLength: 'minlength', maxLength: 'maxlength', match: 'regex' }[rawPropName] || rawPropName;
+            const allowedTypes = PROPERTY_TYPES[propName];
+            if (allowedTypes && CHECKED_FAMILIES.includes(family) && !allowedTypes.includes(family)) {
+                const message = `"${rawPropName}" does not apply to ${family} fields`;
+                if (INCOMPATIBLE_IS_ERROR.includes(propName)) {
+                    error(propPath, 'incompatible_property', message);
+                } else {
+                    warn(propPath, 'ignored_property', `${message} and is ignored`);
+                }
+                continue;
+            }
+
+            switch (propName) {
+                case 'minlength':
+                case 'maxlength':
+                    if (!Number.isInteger(propValue) || propValue < 0) {
+                        error(propPath, 'invalid_value', `"${rawPropName}" must be a non-negative integer`);
+                    }
+                    break;
+                case 'min':
+                case 'max':
+                    if (!isValidBound(propValue, family)) {
+                        error(propPath, 'invalid_value', `"${rawPropName}" must be a ${describeBound(family)}`);
+                    }
+                    break;
+                case 'enum':
+                    if (!Array.isArray(propValue) || propValue.length === 0) {
+                        error(propPath, 'invalid_value', '"enum" must be a non-empty array');
+                    } else if (propValue.some(value => typeof value !== 'string')) {
+                        error(propPath, 'invalid_value', '"enum" values must be strings');
+                    }
+                    break;
+                case 'regex':
+                    if (typeof propValue === 'string') {
+                        try {
+                            new RegExp(propValue);
+                        } catch (err) {
+                            error(propPath, 'invalid_regex', `Invalid regular expression: ${err.message}`);
+                        }
+                    } else if (!(propValue instanceof RegExp)) {
+                        error(propPath, 'invalid_value', `"${rawPropName}" must be a RegExp or a string`);
+                    }
+                    break;
+                case 'coerce':
+                    if (typeof propValue !== 'boolean') {
+                        error(propPath, 'invalid_value', '"coerce" must be a boolean');
+                    }
+                    break;
+                case 'readOnly':
+                case 'writeOnly':
+                case 'private':
+                    if (typeof propValue !== 'boolean') {
+                        error(propPath, 'invalid_value', `"${rawPropName}" must be a boolean`);
+                    }
+                    break;
+                case 'unknownKeys':
+                    if (!UNKNOWN_KEY_POLICIES.includes(propValue)) {
+                        error(propPath, 'invalid_value', `"unknownKeys" must be one of: ${UNKNOWN_KEY_POLICIES.join(', ')}`);
+                    }
+                    break;
+                case 'schema':
+                    if (!propValue || typeof propValue !== 'object' || Array.isArray(propValue)) {
+                        error(propPath, 'invalid_value', '"schema" must be a schema definition object');
+                    } else {
+                        lintDefinition(propValue, fieldPath);
+                    }
+                    break;
+                case 'precision':
+                case 'scale':
+                    if (!Number.isInteger(propValue) || propValue < 0) {
+                        error(propPath, 'invalid_value', `"${rawPropName}" must be a non-negative integer`);
+                    }
+                    break;
+                case 'refinements':
+                    try {
+                        normalizeRefinements(propValue);
+                    } catch (err) {
+                        error(propPath, 'invalid_value', err.message);
+                    }
+                    break;
+                case 'discriminator':
+                    lintDiscriminator(propValue, propPath);
+                    break;
+                case 'validate':
+                    try {
+                        normalizeValidators(propValue);
+                    } catch (err) {
+                        error(propPath, 'invalid_value', err.message);
+                    }
+                    break;
+                case 'messages':
+                    lintMessages(propValue, propPath);
+                    break;
+                case 'filterable':
+                    try {
+                        resolveFilterOperators(fieldProps);
+                    } catch (err) {
+                        error(propPath, 'invalid_value', err.message);
+                    }
+                    break;
+                case 'sortable':
+                    try {
+                        isSortableField(fieldProps);
+                    } catch (err) {
+                        error(propPath, 'invalid_value', err.message);
+                    }
+                    break;
+                case 'items':
+                case 'of':
+                    lintField(propPath, propValue);
+                    break;
+            }
+        }
+
+        // Contradictory combinations
+        if (fieldProps.readOnly === true && fieldProps.writeOnly === true) {
+            error(`${fieldPath}.writeOnly`, 'conflicting_visibility', 'A field cannot be both readOnly and writeOnly');
+        }
+
+        const minlength = fieldProps.minlength ?? fieldProps.minLength;
+        const maxlength = fieldProps.maxlength ?? fieldProps.maxLength;
+        if (Number.isInteger(minlength) && Number.isInteger(maxlength) && minlength > maxlength) {
+            error(`${fieldPath}.minlength`, 'invalid_range', `minlength (${minlength}) is greater than maxlength (${maxlength})`);
+        }
+
+        if (Number.isInteger(fieldProps.precision) && Number.isInteger(fieldProps.scale) && fieldProps.scale > fieldProps.precision) {
+            error(`${fieldPath}.scale`, 'invalid_range', `scale (${fieldProps.scale}) is greater than precision (${fieldProps.precision})`);
+        }
+
+        const { min, max } = fieldProps;
+        if (isValidBound(min, family) && isValidBound(max, family) && Number(min) > Number(max)) {
+            error(`${fieldPath}.min`, 'invalid_range', `min (${Number(min)}) is greater than max (${Number(max)})`);
+        }
+
+        const defaultValue = fieldProps.default;
+        if (defaultValue !== undefined && typeof defaultValue !== 'function') {
+            if (Array.isArray(fieldProps.enum) && family === 'string' && !fieldProps.enum.includes(defaultValue)) {
+                error(`${fieldPath}.default`, 'default_not_in_enum', `Default value "${defaultValue}" is not one of: ${fieldProps.enum.join(', ')}`);
+            }
+            if (family === 'number' && typeof defaultValue === 'number' &&
+                ((typeof min === 'number' && defaultValue < min) || (typeof max === 'number' && defaultValue > max))) {
+                error(`${fieldPath}.default`, 'default_out_of_range', `Default value ${defaultValue} is outside the allowed range`);
+            }
+        }
+    };
+
+    const lintDefinition = (definition, prefix) => {
+        for (const [fieldName, fieldProps] of Object.entries(definition)) {
+            lintField(prefix ? `${prefix}.${fieldName}` : fieldName, fieldProps);
+        }
+    };
+
+    // Message overrides are keyed by rule, so unknown keys are most likely typos
+    const lintMessages = (messages, path) => {
+        if (!messages || typeof messages !== 'object' || Array.isArray(messages)) {
+            error(path, 'invalid_value', '"messages" must be an object of messages keyed by rule');
+            return;
+        }
+        const knownKeys = getMessageKeys().map(key => key.toLowerCase());
+        for (const [rule, message] of Object.entries(messages)) {
+            if (typeof message !== 'string' && typeof message !== 'function') {
+                error(`${path}.${rule}`, 'invalid_value', 'Messages must be strings or functions');
+            } else if (!knownKeys.includes(rule.toLowerCase())) {
+                warn(`${path}.${rule}`, 'unknown_message', `No rule reports a "${rule}" message, so it is never used`);
+            }
+        }
+    };
+
+    // Variant fields are reported under `<path>.variants.<value>`
+    const lintDiscriminator = (discriminator, path) => {
+        try {
+            normalizeDiscriminator(discriminator).variants.forEach(({ value, definition }) => {
+                lintDefinition(definition, `${path}.variants.${value}`);
+            });
+        } catch (err) {
+            error(path, 'invalid_value', err.message);
+        }
+    };
+
+    if (!schemaDefinition || typeof schemaDefinition !== 'object' || Array.isArray(schemaDefinition)) {
+        error('', 'invalid_definition', 'Schema definition must be an object');
+    } else {
+        lintDefinition(schemaDefinition, '');
+    }
+
+    if (options.discriminator !== undefined) {
+        lintDiscriminator(options.discriminator, 'discriminator');
+        // Top-level variants become models named after it, nested ones do not
+        if (options.discriminator && typeof options.discriminator === 'object' && options.discriminator.modelName === undefined) {
+            error('discriminator.modelName', 'missing_model_name', 'Top-level discriminators need a modelName to name the variant models');
+        }
+    }
+    if (options.locale !== undefined && !getLocales().includes(String(options.locale).toLowerCase())) {
+        warn('locale', 'unknown_locale', `Locale "${options.locale}" is not registered, messages fall back to its language or "en"`);
+    }
+    if (options.refinements !== undefined) {
+        try {
+            normalizeRefinements(options.refinements);
+        } catch (err) {
+            error('refinements', 'invalid_value', err.message);
+        }
+    }
+    if (options.versioning !== undefined) {
+        try {
+            normalizeVersioning(options.versioning, schemaDefinition || {});
+        } catch (err) {
+            error('versioning', 'invalid_value', err.message);
+        }
+    }
+
+    return { valid: errors.length === 0, errors, warnings };
+};
+
+/**
+ * Error thrown when a schema definition fails linting
+ */
+export class SchemaDefinitionError extends Error {
+    /**
+     * @param {Array} errors - Lint errors
+     * @param {Array} warnings - Lint warnings
+     */
+    constructor(errors, warnings = []) {
+        const details = errors.map(err => `  - ${err.path || '(root)'}: ${err.message}`).join('\n');
+        super(`Invalid schema definition:\n${details}`);
+        this.name = 'SchemaDefinitionError';
+        this.errors = errors;
+        this.warnings = warnings;
+    }
+}
@@ -0,0 +1,98 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { mkdtempSync, writeFileSync, readFileSync, existsSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const CLI = fileURLToPath(new URL('../../bin/cli.js', import.meta.url));
+let workDir;
+
+/**
+ * Runs the CLI in the scratch directory
+ * @param {Array<string>} args - Command line arguments
+ * @returns {{ status: number, stdout: string, stderr: string }} The finished process
+ */
+const run = (args) => spawnSync(process.execPath, [CLI, ...args], { cwd: workDir, encoding: 'utf8', timeout: 30000 });
+
+before(() => {
+    workDir = mkdtempSync(join(tmpdir(), 'schema-cli-'));
+    writeFileSync(join(workDir, 'user.mjs'), [
+        'export default { name: { type: \'String\', required: true }, address: { type: \'Object\', schema: { city: { type: \'String\' } } } };',
+        'export const admin = { level: { type: \'Number\' } };'
+    ].join('\n'));
+    writeFileSync(join(workDir, 'user-v2.mjs'), [
+        'export default { name: { type: \'String\', required: true }, address: { type: \'Object\', schema: { city: { type: \'String\', maxlength: 20 } } } };',
+        'export const admin = { level: { type: \'Number\' }, note: { type: \'String\', required: false } };'
+    ].join('\n'));
+});
+
+after(() => {
+    rmSync(workDir, { recursive: true, force: true });
+});
+
+test('types prints the declarations of the default or a named export', () => {
+    const result = run(['types', 'user.mjs', '--name', 'User']);
+    assert.equal(result.status, 0);
+    assert.match(result.stdout, /export interface UserInput \{/);
+
+    const named = run(['types', 'user.mjs', '--name', 'Admin', '--export', 'admin']);
+    assert.match(named.stdout, /export interface AdminInput \{\n {4}level: number;/);
+});
+
+test('--subdocument-ids takes no value, so the module path stays positional', () => {
+    const result = run(['types', '--subdocument-ids', 'user.mjs', '--name', 'User']);
+
+    assert.equal(result.status, 0, result.stderr);
+    assert.match(result.stdout, /city: string;\n {8}_id: Types\.ObjectId;/);
+});
+
+test('inline flag values keep everything after the first =', () => {
+    const result = run(['types', 'user.mjs', '--name=User', '--out=types/a=b.d.ts']);
+
+    assert.equal(result.status, 0, result.stderr);
+    assert.ok(existsSync(join(workDir, 'types', 'a=b.d.ts')));
+    assert.match(readFileSync(join(workDir, 'types', 'a=b.d.ts'), 'utf8'), /export interface UserDocument/);
+});
+
+test('missing arguments and unknown commands print the usage and exit 1', () => {
+    const missingName = run(['types', 'user.mjs']);
+    assert.equal(missingName.status, 1);
+    assert.match(missingName.stderr, /^Usage: mongoose-zod-schema-builder/);
+
+    assert.equal(run(['publish']).status, 1);
+    assert.equal(run([]).status, 0);
+    assert.match(run(['types', 'missing.mjs', '--name', 'User']).stderr, /Cannot find module/);
+});
+
+test('diff lists changes and exits 2 when one of them is breaking', () => {
+    const result = run(['diff', 'user.mjs', 'user-v2.mjs']);
+
+    assert.equal(result.status, 2, result.stderr);
+    assert.match(result.stdout, /^BREAKING {4} {2}address\.city {2}maxlength_tightened {2}maxlength 20 was added$/m);
+    assert.match(result.stdout, /1 change\(s\), 1 breaking\n$/);
+});
+
+test('diff compares named exports and exits 0 without breaking changes', () => {
+    const named = run(['diff', 'user.mjs', 'user-v2.mjs', '--export', 'admin']);
+    assert.equal(named.status, 0, named.stderr);
+    assert.match(named.stdout, /^non-breaking {2}note {2}field_added/);
+
+    // --old-export and --new-export override --export
+    const same = run(['diff', 'user.mjs', 'user.mjs', '--export', 'missing', '--old-export', 'admin', '--new-export', 'admin']);
+    assert.equal(same.status, 0);
+    assert.equal(same.stdout, 'No changes\n');
+});
+
+test('--json takes no value, so both module paths stay positional', () => {
+    const result = run(['diff', '--json', 'user.mjs', 'user-v2.mjs']);
+
+    assert.equal(result.status, 2, result.stderr);
+    const { breaking, changes } = JSON.parse(result.stdout);
+    assert.equal(breaking, true);
+    assert.deepEqual(changes.map(({ path, code, severity }) => ({ path, code, severity })), [
+        { path: 'address.city', code: 'maxlength_tightened', severity: 'breaking' }
+    ]);
+    assert.equal(run(['diff', 'user.mjs']).status, 1);
+});
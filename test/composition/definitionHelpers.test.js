@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extend, pick, omit, merge, partial, rename } from '../../src/composition/definitionHelpers.js';
+import { createSchemas } from '../../index.js';
+
+const addressBlock = {
+    address: {
+        type: 'Object',
+        schema: {
+            street: { type: 'String', required: true },
+            city: { type: 'String', required: true },
+            zip: { type: 'String' }
+        }
+    }
+};
+
+const auditBlock = {
+    createdBy: { type: 'ObjectId', readOnly: true },
+    updatedBy: { type: 'ObjectId', readOnly: true }
+};
+
+const baseUserDefinition = {
+    name: { type: 'String', required: true },
+    email: { type: 'String', required: true },
+    lineItems: { type: 'Array', items: { type: 'Object', schema: { sku: { type: 'String' }, qty: { type: 'Number' } } } }
+};
+
+const userDefinition = merge(baseUserDefinition, addressBlock, auditBlock);
+
+/**
+ * Lists the field names of a definition level
+ * @param {Object} definition - The definition level
+ * @returns {Array<string>} Field names in order
+ */
+const fieldsOf = (definition) => Object.keys(definition);
+
+test('merge combines blocks, keeping identical fields once and merging nested schemas', () => {
+    assert.deepEqual(fieldsOf(userDefinition), ['name', 'email', 'lineItems', 'address', 'createdBy', 'updatedBy']);
+
+    const withCountry = merge(userDefinition, { name: { type: String, required: true } }, {
+        address: { type: 'Object', schema: { city: { type: 'String', required: true }, country: { type: 'String' } } }
+    });
+    assert.deepEqual(fieldsOf(withCountry.address.schema), ['street', 'city', 'zip', 'country']);
+});
+
+test('merge lists every conflicting path', () => {
+    assert.throws(
+        () => merge(userDefinition, { name: { type: 'Number' }, address: { type: 'Object', schema: { zip: { type: 'Number' } } } }),
+        /Cannot merge definitions, these fields are defined differently: name, address\.zip/
+    );
+});
+
+test('extend adds and replaces fields, at dot paths too, keeping positions', () => {
+    const extended = extend(userDefinition, {
+        name: { type: 'String', required: false },
+        'address.zip': { type: 'String', regex: /^\d{5}$/ },
+        'lineItems.price': { type: 'Number' },
+        permissions: { type: 'Array', items: { type: 'String' } }
+    });
+
+    assert.equal(fieldsOf(extended)[0], 'name');
+    assert.equal(extended.name.required, false);
+    assert.ok(extended.address.schema.zip.regex);
+    assert.deepEqual(fieldsOf(extended.lineItems.items.schema), ['sku', 'qty', 'price']);
+    assert.equal(fieldsOf(extended).at(-1), 'permissions');
+    // The input is never changed
+    assert.equal(userDefinition.name.required, true);
+    assert.equal(userDefinition.address.schema.zip.regex, undefined);
+});
+
+test('pick and omit keep or remove fields and sub-fields', () => {
+    const publicProfile = pick(userDefinition, ['address.city', 'name']);
+    assert.deepEqual(fieldsOf(publicProfile), ['name', 'address']);
+    assert.deepEqual(fieldsOf(publicProfile.address.schema), ['city']);
+
+    const signup = omit(userDefinition, ['createdBy', 'updatedBy', 'address.zip', 'lineItems.qty']);
+    assert.deepEqual(fieldsOf(signup), ['name', 'email', 'lineItems', 'address']);
+    assert.deepEqual(fieldsOf(signup.address.schema), ['street', 'city']);
+    assert.deepEqual(fieldsOf(signup.lineItems.items.schema), ['sku']);
+
+    assert.throws(() => pick(userDefinition, ['nmae']), /Cannot pick unknown field "nmae"/);
+    assert.throws(() => omit(userDefinition, ['address.zpi']), /Cannot omit unknown field "address\.zpi"/);
+});
+
+test('partial makes the listed fields, or every top-level field, optional', () => {
+    const draft = partial(userDefinition, ['email', 'address.city']);
+    assert.equal(draft.email.required, false);
+    assert.equal(draft.address.schema.city.required, false);
+    assert.equal(draft.name.required, true);
+
+    assert.ok(Object.values(partial(userDefinition)).every(field => field.required === false));
+    assert.throws(() => partial(userDefinition, ['phone']), /Cannot make unknown field "phone" optional/);
+});
+
+test('rename renames in place or moves fields to another object', () => {
+    const legacy = rename(userDefinition, { name: 'fullName', 'address.zip': 'address.postalCode' });
+    assert.deepEqual(fieldsOf(legacy).slice(0, 2), ['fullName', 'email']);
+    assert.deepEqual(fieldsOf(legacy.address.schema), ['street', 'city', 'postalCode']);
+
+    const moved = rename(userDefinition, { email: 'address.email' });
+    assert.equal(moved.email, undefined);
+    assert.deepEqual(moved.address.schema.email, userDefinition.email);
+
+    assert.throws(() => rename(userDefinition, { phone: 'mobile' }), /Cannot rename unknown field "phone"/);
+    assert.throws(() => rename(userDefinition, { name: 'email' }), /the field already exists/);
+});
+
+test('composed definitions feed straight into createSchemas', () => {
+    const { zodSchema, mongooseSchema } = createSchemas(pick(userDefinition, ['name', 'address.city']), { enableCache: false });
+
+    assert.deepEqual(zodSchema.parse({ name: 'Ada', address: { city: 'London', street: 'x' } }), { name: 'Ada', address: { city: 'London' } });
+    assert.equal(mongooseSchema.path('address').schema.path('street'), undefined);
+});
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffDefinitions } from '../../src/diff/diffDefinitions.js';
+
+/**
+ * Lists the changes of a diff as "severity path code" strings
+ * @param {Object} result - The diffDefinitions result
+ * @returns {Array<string>} One entry per change
+ */
+const summarize = ({ changes }) => changes.map(({ severity, path, code }) => `${severity} ${path} ${code}`);
+
+const userDefinition = {
+    name: { type: 'String', required: false, maxlength: 100 },
+    role: { type: 'String', enum: ['user', 'admin', 'guest'] },
+    age: { type: 'Number' },
+    email: { type: 'String' },
+    nickname: { type: 'String' },
+    address: { type: 'Object', schema: { city: { type: 'String' } } }
+};
+
+test('classifies the breaking changes the request lists', () => {
+    const result = diffDefinitions(userDefinition, {
+        name: { type: 'String', required: true, maxlength: 50 },
+        role: { type: 'String', enum: ['user', 'admin', 'owner'] },
+        age: { type: 'String' },
+        email: { type: 'String', unique: true },
+        bio: { type: 'String', required: false },
+        address: { type: 'Object', schema: { city: { type: 'String', maxlength: 80 } } }
+    });
+
+    assert.equal(result.breaking, true);
+    assert.deepEqual(summarize(result), [
+        'breaking name required_added',
+        'breaking name maxlength_tightened',
+        'breaking role enum_value_removed',
+        'non-breaking role enum_value_added',
+        'breaking age type_changed',
+        'breaking email unique_added',
+        'breaking nickname field_removed',
+        'breaking address.city maxlength_tightened',
+        'non-breaking bio field_added'
+    ]);
+    assert.equal(result.changes[1].message, 'maxlength was tightened from 100 to 50');
+    assert.deepEqual(result.changes[2], {
+        path: 'role',
+        code: 'enum_value_removed',
+        severity: 'breaking',
+        message: 'Enum values removed: guest',
+        before: ['user', 'admin', 'guest'],
+        after: ['user', 'admin', 'owner']
+    });
+});
+
+test('loosened rules and optional fields are not breaking', () => {
+    const result = diffDefinitions(userDefinition, {
+        ...userDefinition,
+        name: { type: 'String', required: false, maxlength: 200 },
+        bio: { type: 'String', required: false }
+    });
+
+    assert.equal(result.breaking, false);
+    assert.deepEqual(summarize(result), ['non-breaking name maxlength_loosened', 'non-breaking bio field_added']);
+});
+
+test('identical definitions and equivalent type spellings have no changes', () => {
+    assert.deepEqual(diffDefinitions(userDefinition, userDefinition), { breaking: false, changes: [] });
+    assert.deepEqual(diffDefinitions({ name: { type: 'String' } }, { name: { type: String } }).changes, []);
+});
+
+test('new required fields without a default break existing documents and clients', () => {
+    const result = diffDefinitions(userDefinition, { ...userDefinition, tenant: { type: 'String', required: true } });
+
+    assert.equal(result.breaking, true);
+    assert.deepEqual(summarize(result), ['breaking tenant required_field_added']);
+});
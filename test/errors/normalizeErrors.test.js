@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { normalizeErrors } from '../../src/errors/normalizeErrors.js';
+import { createZodSchema } from '../../src/models/zodSchema.js';
+
+test('dispatches Zod and Mongoose errors to the same shape', () => {
+    const zodError = createZodSchema({ name: { type: 'String', required: true } }).safeParse({}).error;
+    const castError = new mongoose.Error.CastError('Number', 'x', 'age');
+
+    const [zodEntry] = normalizeErrors(zodError);
+    const [mongooseEntry] = normalizeErrors(castError);
+    assert.deepEqual(Object.keys(zodEntry), ['field', 'message', 'code', 'value', 'type']);
+    assert.deepEqual(Object.keys(mongooseEntry), Object.keys(zodEntry));
+    assert.equal(zodEntry.field, 'name');
+    assert.equal(mongooseEntry.field, 'age');
+    assert.equal(normalizeErrors({ code: 11000, keyValue: { email: 'a' } })[0].code, 'duplicate_key');
+});
+
+test('returns null for errors that are not data errors', () => {
+    assert.equal(normalizeErrors(new Error('connection lost')), null);
+    assert.equal(normalizeErrors(undefined), null);
+});
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createJsonSchema, createOpenApiComponents } from '../../src/exporters/jsonSchema.js';
+
+const userDefinition = {
+    name: { type: 'String', required: true, minlength: 2 },
+    age: { type: 'Number', min: 0, required: false },
+    tags: { type: 'Array', items: { type: 'String' }, max: 3, uniqueItems: true },
+    owner: { type: 'ObjectId', ref: 'User' },
+    address: { type: 'Object', schema: { city: { type: 'String' } } },
+    joinedAt: { type: 'Date', default: Date.now },
+    role: { type: 'String', enum: ['user', 'admin'], default: 'user' },
+    secret: { type: 'String', writeOnly: true }
+};
+
+test('exports a draft 2020-12 schema with the field rules', () => {
+    const schema = createJsonSchema(userDefinition, { title: 'User' });
+
+    assert.equal(schema.$schema, 'https://json-schema.org/draft/2020-12/schema');
+    assert.equal(schema.title, 'User');
+    assert.deepEqual(schema.properties.name, { type: 'string', minLength: 2 });
+    assert.deepEqual(schema.properties.age, { type: 'number', minimum: 0 });
+    assert.deepEqual(schema.properties.tags, { type: 'array', items: { type: 'string' }, maxItems: 3, uniqueItems: true });
+    assert.equal(schema.properties.owner['x-ref'], 'User');
+    assert.deepEqual(schema.properties.address.required, ['city']);
+    assert.deepEqual(schema.properties.role, { type: 'string', enum: ['user', 'admin'], default: 'user' });
+    assert.deepEqual(schema.required, ['name', 'tags', 'owner', 'address', 'secret']);
+});
+
+test('function defaults have no static value and are left out', () => {
+    assert.deepEqual(createJsonSchema(userDefinition).properties.joinedAt, { type: 'string', format: 'date-time' });
+});
+
+test('the output variant adds system fields and drops write-only ones', () => {
+    const schema = createJsonSchema(userDefinition, { variant: 'output' });
+
+    assert.equal(schema.properties.secret, undefined);
+    assert.deepEqual(schema.required.slice(-3), ['_id', 'createdAt', 'updatedAt']);
+    assert.deepEqual(schema.properties.__v, { type: 'integer' });
+    assert.throws(() => createJsonSchema(userDefinition, { variant: 'patch' }), /Invalid variant: patch/);
+});
+
+test('regex patterns keep only flags JSON Schema can express', () => {
+    const pattern = (regex) => createJsonSchema({ code: { type: 'String', regex } }).properties.code.pattern;
+
+    assert.equal(pattern(/^abc$/u), '^abc$');
+    assert.equal(pattern('^a+$'), '^a+$');
+    assert.throws(() => pattern(/^abc$/i), /Field "code": regex \/\^abc\$\/i uses the "i" flag/);
+});
+
+test('a match pattern on a password field is combined with the password rule', () => {
+    const { properties } = createJsonSchema({
+        password: { type: 'String', match: /^[!-~]+$/ },
+        passwordHint: { type: 'String', regex: /^.{0,20}$/ },
+        newPassword: { type: 'String' }
+    });
+
+    assert.equal(properties.password.pattern, undefined);
+    assert.equal(properties.password.allOf.length, 2);
+    assert.deepEqual(properties.password.allOf[0], { pattern: '^[!-~]+$' });
+    assert.equal(properties.passwordHint.pattern, '^.{0,20}$');
+    assert.equal(properties.newPassword.pattern, properties.password.allOf[1].pattern);
+});
+
+test('OpenAPI components hold the create, update and stored shapes', () => {
+    const { schemas } = createOpenApiComponents(userDefinition, { name: 'User' });
+
+    assert.deepEqual(Object.keys(schemas), ['UserCreate', 'UserUpdate', 'User']);
+    assert.equal(schemas.UserCreate.$schema, undefined);
+    assert.equal(schemas.UserUpdate.required, undefined);
+    assert.ok(schemas.User.required.includes('_id'));
+    assert.throws(() => createOpenApiComponents(userDefinition), /requires a component name/);
+});
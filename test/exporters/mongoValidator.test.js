@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMongoValidator } from '../../src/exporters/mongoValidator.js';
+
+const userDefinition = {
+    name: { type: 'String', required: true, minlength: 2, maxlength: 50, regex: /^[A-Z]/ },
+    role: { type: 'String', enum: ['user', 'admin'], default: 'user' },
+    age: { type: 'Number', min: 0, required: false },
+    total: { type: 'Decimal128', required: false },
+    sequence: { type: 'BigInt', required: false },
+    owner: { type: 'ObjectId', ref: 'User', required: false },
+    avatar: { type: 'Buffer', required: false },
+    tags: { type: 'Array', items: { type: 'String' }, max: 5, uniqueItems: true, required: false },
+    address: { type: 'Object', required: false, schema: { city: { type: 'String', required: true } } },
+    scores: { type: 'Map', of: { type: 'Number' }, required: false }
+};
+
+const { $jsonSchema } = createMongoValidator(userDefinition, { title: 'User' });
+
+test('fields map to BSON types, and optional ones also accept null', () => {
+    const bsonTypes = Object.fromEntries(Object.entries($jsonSchema.properties).map(([name, property]) => [name, property.bsonType]));
+
+    assert.deepEqual(bsonTypes, {
+        _id: 'objectId',
+        createdAt: 'date',
+        updatedAt: 'date',
+        __v: 'number',
+        name: 'string',
+        role: ['string', 'null'],
+        age: ['number', 'null'],
+        total: ['decimal', 'null'],
+        sequence: ['long', 'null'],
+        owner: ['objectId', 'null'],
+        avatar: ['binData', 'null'],
+        tags: ['array', 'null'],
+        address: ['object', 'null'],
+        scores: ['object', 'null']
+    });
+    assert.equal($jsonSchema.title, 'User');
+    assert.equal($jsonSchema.bsonType, 'object');
+});
+
+test('required lists, enums, patterns and bounds are exported', () => {
+    assert.deepEqual($jsonSchema.required, ['name']);
+    assert.deepEqual($jsonSchema.properties.name, { bsonType: 'string', minLength: 2, maxLength: 50, pattern: '^[A-Z]' });
+    assert.deepEqual($jsonSchema.properties.role.enum, ['user', 'admin', null]);
+    assert.equal($jsonSchema.properties.age.minimum, 0);
+});
+
+test('nested objects, arrays and maps carry their own schemas', () => {
+    assert.deepEqual($jsonSchema.properties.address.properties, { city: { bsonType: 'string' } });
+    assert.deepEqual($jsonSchema.properties.address.required, ['city']);
+    assert.deepEqual($jsonSchema.properties.tags.items, { bsonType: 'string' });
+    assert.equal($jsonSchema.properties.tags.maxItems, 5);
+    assert.equal($jsonSchema.properties.tags.uniqueItems, true);
+    assert.deepEqual($jsonSchema.properties.scores.additionalProperties, { bsonType: 'number' });
+});
+
+test('system fields follow schemaOptions and strict mode rejects unknown fields', () => {
+    const validator = createMongoValidator({ name: { type: 'String' } }, {
+        strictMode: true,
+        schemaOptions: { timestamps: false, versionKey: false }
+    });
+
+    assert.deepEqual(validator, {
+        $jsonSchema: {
+            bsonType: 'object',
+            properties: { _id: { bsonType: 'objectId' }, name: { bsonType: ['string', 'null'] } },
+            additionalProperties: false
+        }
+    });
+    assert.equal($jsonSchema.additionalProperties, undefined);
+});
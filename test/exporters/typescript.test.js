@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateTypeDeclarations } from '../../src/exporters/typescript.js';
+
+const userDefinition = {
+    name: { type: 'String', required: true },
+    age: { type: 'Number', required: false },
+    role: { type: 'String', enum: ['user', 'admin'], default: 'user' },
+    tags: [{ type: 'String' }],
+    owner: { type: 'ObjectId', ref: 'User' },
+    address: { type: 'Object', schema: { city: { type: 'String' } } },
+    createdBy: { type: 'String', readOnly: true }
+};
+
+/**
+ * Extracts one interface body from generated declarations
+ * @param {string} source - The generated source
+ * @param {string} name - The interface name
+ * @returns {string} The lines between its braces
+ */
+const getInterface = (source, name) => {
+    const match = new RegExp(`export interface ${name} \\{\\n([\\s\\S]*?)\\n\\}`).exec(source);
+    assert.ok(match, `interface ${name} is missing`);
+    return match[1];
+};
+
+test('emits an Input and a Document interface', () => {
+    const source = generateTypeDeclarations(userDefinition, { name: 'User' });
+
+    assert.match(source, /^\/\/ Generated by mongoose-zod-schema-builder/);
+    assert.match(source, /import type \{ Types \} from 'mongoose';/);
+    const input = getInterface(source, 'UserInput');
+    assert.match(input, /^ {4}name: string;$/m);
+    assert.match(input, /^ {4}age\?: number;$/m);
+    assert.match(input, /^ {4}role\?: 'user' \| 'admin';$/m);
+    assert.match(input, /^ {4}tags: Array<string>;$/m);
+    assert.match(input, /\/\*\* References User \*\/\n {4}owner: string;/);
+    assert.doesNotMatch(input, /createdBy/);
+
+    const document = getInterface(source, 'UserDocument');
+    assert.match(document, /^ {4}owner: Types\.ObjectId;$/m);
+    assert.match(document, /^ {4}createdBy: string;$/m);
+    assert.match(document, /^ {4}_id: Types\.ObjectId;\n {4}createdAt: Date;\n {4}updatedAt: Date;\n {4}__v\?: number;$/m);
+});
+
+test('nested subdocuments get an _id only with subdocumentIds', () => {
+    const withoutIds = getInterface(generateTypeDeclarations(userDefinition, { name: 'User' }), 'UserDocument');
+    const withIds = getInterface(generateTypeDeclarations(userDefinition, { name: 'User', subdocumentIds: true }), 'UserDocument');
+
+    assert.match(withoutIds, /address: \{\n {8}city: string;\n {4}\};/);
+    assert.match(withIds, /address: \{\n {8}city: string;\n {8}_id: Types\.ObjectId;\n {4}\};/);
+});
+
+test('header and system fields follow the options', () => {
+    const source = generateTypeDeclarations({ name: { type: 'String' } }, { name: 'Tag', header: false, schemaOptions: { timestamps: false } });
+
+    assert.doesNotMatch(source, /Generated by/);
+    assert.doesNotMatch(getInterface(source, 'TagDocument'), /createdAt/);
+});
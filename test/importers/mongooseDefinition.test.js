@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { definitionFromMongooseSchema } from '../../src/importers/mongooseDefinition.js';
+import { createSchemas } from '../../index.js';
+
+/**
+ * Builds the legacy user schema the tests convert
+ * @returns {mongoose.Schema} The schema
+ */
+const createLegacySchema = () => {
+    const schema = new mongoose.Schema({
+        name: { type: String, required: true, trim: true, minlength: [2, 'Too short'] },
+        email: { type: String, match: /^\S+@\S+$/ },
+        role: { type: String, enum: ['user', 'admin'], default: 'user' },
+        age: { type: Number, min: 0, max: 150 },
+        joinedAt: { type: Date, default: Date.now },
+        manager: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        tags: [String],
+        address: new mongoose.Schema({ city: { type: String, required: true } }, { _id: false }),
+        profile: { bio: String },
+        scores: { type: Map, of: Number }
+    }, { strict: 'throw', timestamps: true });
+    schema.pre('save', function hashPassword() {});
+    schema.virtual('label').get(function () {
+        return this.name;
+    });
+    return schema;
+};
+
+test('paths, subdocuments, arrays, maps and their rules are converted', () => {
+    const { definition } = definitionFromMongooseSchema(createLegacySchema());
+
+    assert.deepEqual(definition.name, { type: 'String', required: true, minlength: 2, messages: { minlength: 'Too short' } });
+    assert.deepEqual(definition.email, { type: 'String', regex: /^\S+@\S+$/, required: false });
+    assert.deepEqual(definition.role, { type: 'String', enum: ['user', 'admin'], default: 'user', required: false });
+    assert.deepEqual(definition.age, { type: 'Number', min: 0, max: 150, required: false });
+    assert.equal(definition.joinedAt.default, Date.now);
+    assert.deepEqual(definition.manager, { type: 'ObjectId', ref: 'User', required: false });
+    assert.deepEqual(definition.tags, { type: 'Array', items: { type: 'String' }, required: false });
+    assert.deepEqual(definition.address.schema, { city: { type: 'String', required: true } });
+    assert.deepEqual(definition.profile.schema, { bio: { type: 'String', required: false } });
+    assert.deepEqual(definition.scores, { type: 'Map', of: { type: 'Number' }, required: false });
+});
+
+test('schema options become builder options and the rest is reported', () => {
+    const { options, report } = definitionFromMongooseSchema(createLegacySchema());
+
+    assert.deepEqual(options.schemaOptions, { timestamps: true });
+    assert.equal(options.unknownKeys, 'strict');
+    assert.equal(typeof options.virtuals.label.get, 'function');
+    assert.deepEqual(report.map(({ path, code }) => `${path} ${code}`), ['name unsupported_option', ' middleware']);
+    assert.equal(report[0].message, 'Option "trim" has no definition equivalent and was dropped');
+});
+
+test('the converted definition round-trips through createSchemas', () => {
+    const { definition, options } = definitionFromMongooseSchema(createLegacySchema());
+    const { zodSchema, mongooseSchema } = createSchemas(definition, { ...options, enableCache: false });
+
+    const result = zodSchema.safeParse({ name: 'A', role: 'root', address: {} });
+    assert.deepEqual(result.error.issues.map(issue => `${issue.path.join('.')}: ${issue.message}`), [
+        'name: Too short',
+        'role: role must be one of: user, admin',
+        'address.city: city is required'
+    ]);
+
+    const parsed = zodSchema.parse({ name: 'Ada', address: { city: 'London' } });
+    assert.equal(parsed.role, 'user');
+    assert.ok(parsed.joinedAt instanceof Date);
+
+    assert.equal(mongooseSchema.get('strict'), 'throw');
+    assert.equal(mongooseSchema.path('address').instance, 'Embedded');
+    assert.equal(mongooseSchema.path('scores').instance, 'Map');
+});
+
+test('models with discriminators become a discriminator option named after the model', () => {
+    const Notice = mongoose.createConnection().model('Notice', new mongoose.Schema({ title: String }, { discriminatorKey: 'kind' }));
+    Notice.discriminator('NoticeEmail', new mongoose.Schema({ to: String }), 'email');
+    Notice.discriminator('NoticeSms', new mongoose.Schema({ phone: String }), 'sms');
+
+    const { definition, options, report } = definitionFromMongooseSchema(Notice);
+    assert.deepEqual(definition, { title: { type: 'String', required: false } });
+    assert.deepEqual(options.discriminator, {
+        key: 'kind',
+        modelName: 'Notice',
+        variants: { email: { to: { type: 'String', required: false } }, sms: { phone: { type: 'String', required: false } } }
+    });
+    assert.deepEqual(report, []);
+});
+
+test('discriminator names without a shared prefix fall back to the model name and are reported', () => {
+    const Alert = mongoose.createConnection().model('Alert', new mongoose.Schema({ title: String }));
+    Alert.discriminator('AlertEmail', new mongoose.Schema({ to: String }), 'email');
+    Alert.discriminator('Sms', new mongoose.Schema({ phone: String }), 'sms');
+
+    const fromModel = definitionFromMongooseSchema(Alert);
+    assert.equal(fromModel.options.discriminator.modelName, 'Alert');
+    assert.deepEqual(fromModel.report.map(({ code, message }) => `${code}: ${message}`), [
+        'discriminator_names: Discriminator model names (AlertEmail, Sms) do not share one prefix and will be named after Alert'
+    ]);
+
+    const fromSchema = definitionFromMongooseSchema(Alert.schema);
+    assert.equal(fromSchema.options.discriminator.modelName, undefined);
+    assert.match(fromSchema.report[0].message, /set discriminator\.modelName before building/);
+});
+
+test('only schemas and models are accepted', () => {
+    assert.throws(() => definitionFromMongooseSchema({}), /needs a mongoose\.Schema or a model/);
+});
@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { createSchemas } from '../../index.js';
+import {
+    registerLocale,
+    getLocales,
+    getMessageKeys,
+    resolveLocale,
+    formatMessage,
+    createMessage
+} from '../../src/messages/messageCatalog.js';
+
+// Locales are global, so this file registers its own
+registerLocale('xm', { required: '{field} fehlt', min: '{field} muss mindestens {min} sein' });
+
+const userDefinition = {
+    age: { type: 'Number', min: 18 },
+    username: {
+        type: 'String',
+        minlength: 3,
+        messages: { minlength: 'Usernames need {minlength}+ characters, "{value}" is too short' }
+    },
+    tags: { type: 'Array', items: { type: 'String' }, max: 2, uniqueItems: true },
+    email: { type: 'String', regex: /^\S+@\S+$/ }
+};
+
+const invalidUser = { age: 5, username: 'ab', tags: ['a', 'a', 'b'], email: 'nope' };
+
+/**
+ * Lists the messages of both layers for the invalid user, as "path: message" strings
+ * @param {Object} options - Builder options
+ * @returns {{ zod: Array<string>, mongoose: Array<string> }} Messages per layer
+ */
+const collectMessages = (options) => {
+    const { zodSchema, mongooseSchema } = createSchemas(userDefinition, { enableCache: false, ...options });
+    const User = mongoose.createConnection().model('CatalogUser', mongooseSchema);
+
+    return {
+        zod: zodSchema.safeParse(invalidUser).error.issues.map(issue => `${issue.path.join('.')}: ${issue.message}`),
+        mongoose: Object.values(new User(invalidUser).validateSync().errors).map(error => `${error.path}: ${error.message}`)
+    };
+};
+
+test('both layers word each rule the same way', () => {
+    const messages = collectMessages({});
+
+    assert.deepEqual(messages.mongoose, [
+        'age: age must be at least 18',
+        'username: Usernames need 3+ characters, "ab" is too short',
+        'tags: tags must have at most 2 items',
+        'email: email must be a valid email address'
+    ]);
+    assert.deepEqual(messages.zod.filter(message => !message.includes('duplicate')), messages.mongoose);
+    assert.ok(messages.zod.includes('tags: tags must not contain duplicate items'));
+});
+
+test('locales, with regional fallback, and customMessages apply to both layers', () => {
+    const messages = collectMessages({ locale: 'xm-AT', customMessages: { 'tags.uniqueItems': 'Tags must be unique' } });
+
+    assert.equal(messages.zod[0], 'age: age muss mindestens 18 sein');
+    assert.equal(messages.mongoose[0], 'age: age muss mindestens 18 sein');
+    assert.ok(messages.zod.includes('tags: Tags must be unique'));
+    // Keys the bundle leaves out fall back to English, and field messages still win
+    assert.equal(messages.zod[1], 'username: Usernames need 3+ characters, "ab" is too short');
+    assert.equal(messages.zod[2], 'tags: tags must have at most 2 items');
+});
+
+test('createMessage looks up field messages, then customMessages, then the locale', () => {
+    const context = { fieldName: 'tags', locale: 'xm' };
+
+    assert.equal(createMessage('min.items', { min: 2 }, context)(), 'tags muss mindestens 2 sein');
+    assert.equal(createMessage('min.items', { min: 2 }, { ...context, customMessages: { 'tags.min': 'custom {min}' } })(), 'custom 2');
+    assert.equal(createMessage('min.items', { min: 2 }, { ...context, messages: { MIN: 'own {min}' }, customMessages: { 'tags.min': 'custom' } })(), 'own 2');
+    assert.equal(createMessage('enum', { values: ['a', 'b'] }, { fieldName: 'role' })('c'), 'role must be one of: a, b');
+    assert.equal(createMessage('required', {}, { fieldName: 'age', locale: 'unknown' })(), 'age is required');
+});
+
+test('formatMessage fills known placeholders, keeps unknown ones and calls functions', () => {
+    assert.equal(formatMessage('{field} is {value} {missing}', { field: 'a', value: 0 }), 'a is 0 {missing}');
+    assert.equal(formatMessage((params) => `${params.field}!`, { field: 'a' }), 'a!');
+});
+
+test('locales are registered, resolved and listed', () => {
+    assert.ok(getLocales().includes('xm'));
+    assert.equal(resolveLocale('XM'), 'xm');
+    assert.equal(resolveLocale('xm-AT'), 'xm');
+    assert.equal(resolveLocale('zz'), 'en');
+    assert.ok(['required', 'min.items', 'unique', 'coerce.number'].every(key => getMessageKeys().includes(key)));
+
+    assert.throws(() => registerLocale('', {}), /non-empty string/);
+});
@@ -0,0 +1,121 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { z } from 'zod';
+import { validateBody, validateQuery, validateParams, createValidationMiddleware } from '../../src/middleware/validation.js';
+import { registerLocale } from '../../src/messages/messageCatalog.js';
+
+const userDefinition = {
+    name: { type: 'String', required: true, minlength: 2 },
+    age: { type: 'Number', required: false }
+};
+
+/**
+ * Creates an Express-like response that records what is sent
+ * @returns {Object} The response, with `statusCode` and `body` once sent
+ */
+const createResponse = () => ({
+    statusCode: undefined,
+    body: undefined,
+    status(code) {
+        this.statusCode = code;
+        return this;
+    },
+    json(body) {
+        this.body = body;
+        return this;
+    }
+});
+
+/**
+ * Runs a middleware and reports how it finished
+ * @param {Function} middleware - The middleware
+ * @param {Object} req - The request
+ * @param {Object} res - The response
+ * @returns {Promise<{ nextCalled: boolean, nextError: * }>} Whether next was called, and with what
+ */
+const runMiddleware = async (middleware, req, res = createResponse()) => {
+    let nextCalled = false;
+    let nextError;
+    await middleware(req, res, (error) => {
+        nextCalled = true;
+        nextError = error;
+    });
+    return { nextCalled, nextError, res };
+};
+
+test('validateBody replaces the body with the parsed data', async () => {
+    const req = { body: { name: 'Ada', extra: true } };
+    const { nextCalled, nextError } = await runMiddleware(validateBody(userDefinition), req);
+
+    assert.equal(nextCalled, true);
+    assert.equal(nextError, undefined);
+    assert.deepEqual(req.body, { name: 'Ada' });
+});
+
+test('invalid bodies get a 400 with normalized errors', async () => {
+    const { nextCalled, res } = await runMiddleware(validateBody(userDefinition), { body: { name: 'A', age: 'old' } });
+
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.success, false);
+    assert.equal(res.body.message, 'Validation failed');
+    assert.deepEqual(res.body.errors.map(error => error.field), ['name', 'age']);
+    assert.equal(res.body.errors[0].message, 'name must be at least 2 characters long');
+});
+
+test('query and params are coerced and replaced even behind a getter', async () => {
+    const req = {};
+    Object.defineProperty(req, 'query', { get: () => ({ name: 'Ada', age: '36' }), configurable: true });
+    await runMiddleware(validateQuery(userDefinition), req);
+    assert.deepEqual(req.query, { name: 'Ada', age: 36 });
+
+    const params = { params: { id: '7' } };
+    await runMiddleware(validateParams({ id: { type: 'Number', required: true } }), params);
+    assert.deepEqual(params.params, { id: 7 });
+});
+
+test('status, envelope and onError customize the failure', async () => {
+    const custom = validateBody(userDefinition, { status: 422, envelope: (errors) => ({ problems: errors.length }) });
+    const { res } = await runMiddleware(custom, { body: {} });
+    assert.equal(res.statusCode, 422);
+    assert.deepEqual(res.body, { problems: 1 });
+
+    let handled;
+    const handler = validateBody(userDefinition, { onError: (errors, req, res, next, zodError) => { handled = { errors, zodError }; } });
+    await runMiddleware(handler, { body: {} });
+    assert.equal(handled.errors[0].field, 'name');
+    assert.ok(handled.zodError instanceof z.ZodError);
+});
+
+test('plain Node responses get a JSON body', async () => {
+    const headers = {};
+    let sent;
+    const res = { setHeader: (name, value) => { headers[name] = value; }, end: (body) => { sent = body; } };
+    await runMiddleware(validateBody(userDefinition), { body: {} }, res);
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(headers['Content-Type'], 'application/json');
+    assert.equal(JSON.parse(sent).errors[0].field, 'name');
+});
+
+test('built schemas are used as they are and throwing validators go to next', async () => {
+    const req = { body: { code: 'x' } };
+    await runMiddleware(validateBody(z.object({ code: z.string() })), req);
+    assert.deepEqual(req.body, { code: 'x' });
+
+    const throwing = validateBody(z.object({ code: z.string().refine(() => { throw new Error('boom'); }) }));
+    const { nextError } = await runMiddleware(throwing, { body: { code: 'x' } });
+    assert.equal(nextError.message, 'boom');
+});
+
+test('a locale function picks the messages per request', async () => {
+    registerLocale('x-middleware', { required: '{field} fehlt' });
+    const middleware = createValidationMiddleware('body', userDefinition, { locale: (req) => req.language });
+
+    const german = await runMiddleware(middleware, { body: {}, language: 'x-middleware' });
+    assert.equal(german.res.body.errors[0].message, 'name fehlt');
+    const fallback = await runMiddleware(middleware, { body: {}, language: 'unknown' });
+    assert.equal(fallback.res.body.errors[0].message, 'name is required');
+
+    assert.throws(() => validateBody(z.object({}), { locale: () => 'en' }), /per-request locale needs a schema definition/);
+});
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyCollectionValidator } from '../../src/migrations/applyCollectionValidator.js';
+
+const validator = { $jsonSchema: { bsonType: 'object' } };
+
+/**
+ * Creates a database stand-in that records createCollection and command calls
+ * @param {Array<string>} collectionNames - Collections that already exist
+ * @param {Object} createError - Error thrown by createCollection, if any
+ * @returns {Object} The database, with its recorded `calls`
+ */
+const createDatabase = (collectionNames = [], createError) => {
+    const calls = [];
+    return {
+        calls,
+        listCollections: ({ name }) => ({ toArray: async () => collectionNames.filter(existing => existing === name).map(existing => ({ name: existing })) }),
+        createCollection: async (name, options) => {
+            calls.push(['createCollection', name, options]);
+            if (createError) {
+                throw createError;
+            }
+        },
+        command: async (command) => {
+            calls.push(['command', command]);
+            return { ok: 1 };
+        }
+    };
+};
+
+test('creates missing collections with the validator', async () => {
+    const db = createDatabase();
+
+    const result = await applyCollectionValidator(db, 'users', validator);
+    assert.deepEqual(result, { collectionName: 'users', validationLevel: 'strict', validationAction: 'error', action: 'created' });
+    assert.deepEqual(db.calls, [['createCollection', 'users', { validator, validationLevel: 'strict', validationAction: 'error' }]]);
+});
+
+test('modifies existing collections with collMod, also from a Mongoose connection', async () => {
+    const db = createDatabase(['users']);
+
+    const result = await applyCollectionValidator({ db }, 'users', validator, { validationLevel: 'moderate', validationAction: 'warn' });
+    assert.equal(result.action, 'modified');
+    assert.deepEqual(db.calls, [['command', { collMod: 'users', validator, validationLevel: 'moderate', validationAction: 'warn' }]]);
+});
+
+test('falls back to collMod when another process created the collection first', async () => {
+    const db = createDatabase([], Object.assign(new Error('Collection already exists'), { code: 48 }));
+
+    assert.equal((await applyCollectionValidator(db, 'users', validator)).action, 'modified');
+    await assert.rejects(
+        applyCollectionValidator(createDatabase([], Object.assign(new Error('not authorized'), { code: 13 })), 'users', validator),
+        /not authorized/
+    );
+});
+
+test('rejects invalid arguments before touching the database', async () => {
+    const db = createDatabase();
+
+    await assert.rejects(applyCollectionValidator({}, 'users', validator), /needs a MongoDB database or a Mongoose connection/);
+    await assert.rejects(applyCollectionValidator(db, '', validator), /Collection name must be a non-empty string/);
+    await assert.rejects(applyCollectionValidator(db, 'users', null), /Validator must be an object/);
+    await assert.rejects(applyCollectionValidator(db, 'users', validator, { validationLevel: 'loose' }), /Invalid validationLevel: loose/);
+    await assert.rejects(applyCollectionValidator(db, 'users', validator, { validationAction: 'ignore' }), /Invalid validationAction: ignore/);
+    assert.deepEqual(db.calls, []);
+});
@@ -0,0 +1,195 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { migrateCollection } from '../../src/migrations/migrateCollection.js';
+
+const versioning = {
+    version: 3,
+    migrations: {
+        2: (doc) => {
+            const { fullName = '', ...rest } = doc;
+            const [firstName, ...lastName] = fullName.split(' ');
+            return { ...rest, firstName, lastName: lastName.join(' ') };
+        },
+        3: async (doc) => ({ ...doc, status: doc.active === false ? 'inactive' : 'active' })
+    }
+};
+
+/**
+ * Checks a stored value against one filter condition, for the operators migrateCollection uses
+ * @param {*} value - The stored value
+ * @param {*} condition - A value (`null` also matching missing fields) or `{ $lt }`
+ * @returns {boolean} True when the value matches
+ */
+const matchesCondition = (value, condition) => {
+    if (condition === null) {
+        return value === undefined || value === null;
+    }
+    if (condition && typeof condition === 'object' && '$lt' in condition) {
+        return value !== undefined && value !== null && value < condition.$lt;
+    }
+    return value === condition;
+};
+
+/**
+ * Checks a document against a filter of `$and`, `$or` and field conditions
+ * @param {Object} document - The stored document
+ * @param {Object} filter - The MongoDB filter
+ * @returns {boolean} True when the document matches
+ */
+const matches = (document, filter) => {
+    return Object.entries(filter).every(([key, condition]) => {
+        switch (key) {
+            case '$and':
+                return condition.every(part => matches(document, part));
+            case '$or':
+                return condition.some(part => matches(document, part));
+            default:
+                return matchesCondition(document[key], condition);
+        }
+    });
+};
+
+/**
+ * Creates an in-memory stand-in for a MongoDB collection, holding copies of the given documents
+ * `find` yields copies, so migrations cannot change stored documents behind the collection's back.
+ * @param {Array<Object>} documents - The stored documents, each with an `_id`
+ * @returns {{ documents: Map, writes: Array, find: Function, bulkWrite: Function }} The collection
+ */
+const createMemoryCollection = (documents) => {
+    const stored = new Map(documents.map(document => [document._id, structuredClone(document)]));
+    const writes = [];
+
+    return {
+        documents: stored,
+        writes,
+        find: async function* (filter) {
+            for (const document of [...stored.values()]) {
+                if (matches(document, filter)) {
+                    yield structuredClone(document);
+                }
+            }
+        },
+        bulkWrite: async (operations) => {
+            writes.push(operations);
+            let matchedCount = 0;
+            operations.forEach(({ replaceOne: { filter, replacement } }) => {
+                const current = stored.get(filter._id);
+                if (current && matches(current, filter)) {
+                    stored.set(filter._id, structuredClone(replacement));
+                    matchedCount++;
+                }
+            });
+            return { matchedCount };
+        }
+    };
+};
+
+test('migrates every outdated document and leaves current ones alone', async () => {
+    const collection = createMemoryCollection([
+        { _id: 1, fullName: 'Ada Lovelace', active: false },
+        { _id: 2, firstName: 'Alan', schemaVersion: 2 },
+        { _id: 3, firstName: 'Grace', status: 'active', schemaVersion: 3 }
+    ]);
+
+    const totals = await migrateCollection(collection, versioning);
+
+    assert.deepEqual(totals, { scanned: 2, migrated: 2, skipped: 0, failed: [] });
+    assert.deepEqual(collection.documents.get(1), { _id: 1, active: false, firstName: 'Ada', lastName: 'Lovelace', status: 'inactive', schemaVersion: 3 });
+    assert.deepEqual(collection.documents.get(2), { _id: 2, firstName: 'Alan', status: 'active', schemaVersion: 3 });
+    assert.deepEqual(collection.documents.get(3), { _id: 3, firstName: 'Grace', status: 'active', schemaVersion: 3 });
+});
+
+test('writes in batches and reports progress after each one', async () => {
+    const collection = createMemoryCollection([1, 2, 3, 4, 5].map(_id => ({ _id, fullName: `User ${_id}` })));
+    const progress = [];
+
+    await migrateCollection(collection, versioning, {
+        batchSize: 2,
+        onProgress: (totals) => progress.push(totals.migrated)
+    });
+
+    assert.deepEqual(collection.writes.map(operations => operations.length), [2, 2, 1]);
+    assert.deepEqual(progress, [2, 4, 5]);
+});
+
+test('skips documents whose version changed after they were read', async () => {
+    const collection = createMemoryCollection([
+        { _id: 1, fullName: 'Ada Lovelace' },
+        { _id: 2, fullName: 'Alan Turing' }
+    ]);
+    const concurrent = {
+        ...versioning,
+        migrations: {
+            ...versioning.migrations,
+            2: (doc) => {
+                // Another process upgrades the stored document while this one migrates it
+                if (doc._id === 1) {
+                    collection.documents.set(1, { _id: 1, firstName: 'Augusta', status: 'active', schemaVersion: 3 });
+                }
+                return versioning.migrations[2](doc);
+            }
+        }
+    };
+
+    const totals = await migrateCollection(collection, concurrent);
+
+    assert.deepEqual(totals, { scanned: 2, migrated: 1, skipped: 1, failed: [] });
+    assert.equal(collection.documents.get(1).firstName, 'Augusta');
+    assert.equal(collection.documents.get(2).firstName, 'Alan');
+});
+
+test('reports documents whose migrations throw and leaves them as stored', async () => {
+    const collection = createMemoryCollection([
+        { _id: 1, fullName: 'Ada Lovelace' },
+        { _id: 2, fullName: 'Alan Turing' }
+    ]);
+    const failing = {
+        ...versioning,
+        migrations: {
+            ...versioning.migrations,
+            3: async (doc) => {
+                if (doc._id === 2) {
+                    throw new Error('No status for Alan');
+                }
+                return versioning.migrations[3](doc);
+            }
+        }
+    };
+
+    const totals = await migrateCollection(collection, failing);
+
+    assert.deepEqual(totals, { scanned: 2, migrated: 1, skipped: 0, failed: [{ _id: 2, message: 'No status for Alan' }] });
+    assert.equal(collection.documents.get(1).schemaVersion, 3);
+    assert.deepEqual(collection.documents.get(2), { _id: 2, fullName: 'Alan Turing' });
+});
+
+test('dryRun runs the migrations without writing anything', async () => {
+    const collection = createMemoryCollection([
+        { _id: 1, fullName: 'Ada Lovelace' },
+        { _id: 2, firstName: 'Alan', schemaVersion: 2 }
+    ]);
+
+    const totals = await migrateCollection(collection, versioning, { dryRun: true });
+
+    assert.deepEqual(totals, { scanned: 2, migrated: 2, skipped: 0, failed: [] });
+    assert.deepEqual(collection.writes, []);
+    assert.deepEqual(collection.documents.get(1), { _id: 1, fullName: 'Ada Lovelace' });
+});
+
+test('limits the migration to documents matching the filter', async () => {
+    const collection = createMemoryCollection([
+        { _id: 1, fullName: 'Ada Lovelace', team: 'a' },
+        { _id: 2, fullName: 'Alan Turing', team: 'b' }
+    ]);
+
+    const totals = await migrateCollection(collection, versioning, { filter: { team: 'a' } });
+
+    assert.equal(totals.migrated, 1);
+    assert.equal(collection.documents.get(1).schemaVersion, 3);
+    assert.equal(collection.documents.get(2).schemaVersion, undefined);
+});
+
+test('rejects targets without find and bulkWrite and invalid batch sizes', async () => {
+    await assert.rejects(migrateCollection({}, versioning), /find and bulkWrite/);
+    await assert.rejects(migrateCollection(createMemoryCollection([]), versioning, { batchSize: 0 }), /batchSize/);
+});
@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { createModelRegistry } from '../../src/models/modelRegistry.js';
+
+/**
+ * Registers a blog: users (who may have a manager), tags and posts by a required author
+ * @returns {Object} The registry
+ */
+const createBlogRegistry = () => createModelRegistry()
+    .register('User', {
+        name: { type: 'String', required: true },
+        manager: { type: 'ObjectId', ref: 'User', required: false }
+    })
+    .register('Tag', { label: { type: 'String', required: true } })
+    .register('Post', {
+        title: { type: 'String', required: true },
+        author: { type: 'ObjectId', ref: 'User', required: true },
+        tags: { type: 'Array', required: false, items: { type: 'ObjectId', ref: 'Tag' } }
+    });
+
+/**
+ * Creates the fields every stored document has
+ * @returns {Object} _id, timestamps and version key
+ */
+const storedFields = () => ({ _id: new mongoose.Types.ObjectId(), createdAt: new Date(), updatedAt: new Date(), __v: 0 });
+
+test('build compiles every model on the connection', () => {
+    const registry = createBlogRegistry();
+    const { models, schemas } = registry.build(mongoose.createConnection());
+
+    assert.deepEqual(registry.names(), ['User', 'Tag', 'Post']);
+    assert.deepEqual(Object.keys(models), ['User', 'Tag', 'Post']);
+    assert.equal(schemas.Post.path('author').options.ref, 'User');
+    assert.equal(models.Post.schema, schemas.Post);
+    assert.deepEqual(registry.getRefs('Post'), [
+        { path: 'author', ref: 'User', required: true },
+        { path: 'tags', ref: 'Tag', required: false }
+    ]);
+});
+
+test('unknown refs and cycles of required refs are reported and stop build', () => {
+    const registry = createModelRegistry()
+        .register('A', { b: { type: 'ObjectId', ref: 'B', required: true }, c: { type: 'ObjectId', ref: 'Nope' } })
+        .register('B', { a: { type: 'ObjectId', ref: 'A', required: true } });
+
+    assert.deepEqual(registry.checkRefs().map(({ model, path, code }) => `${model}.${path} ${code}`), [
+        'A.c unknown_ref',
+        'A.b required_ref_cycle'
+    ]);
+    assert.throws(() => registry.build(mongoose.createConnection()), (error) => {
+        assert.match(error.message, /A\.c references unknown model "Nope"/);
+        assert.match(error.message, /A\.b -> B\.a -> A/);
+        return true;
+    });
+});
+
+test('required self-references and non-empty arrays count as required', () => {
+    const self = createModelRegistry().register('Node', { parent: { type: 'ObjectId', ref: 'Node', required: true } });
+    assert.equal(self.checkRefs()[0].message, 'Required references form a cycle, so none of these documents can be created first: Node.parent -> Node');
+
+    const optionalSelf = createModelRegistry().register('Node', { parent: { type: 'ObjectId', ref: 'Node', required: false } });
+    assert.deepEqual(optionalSelf.checkRefs(), []);
+
+    const arrays = createModelRegistry()
+        .register('Team', { members: { type: 'Array', required: true, min: 1, items: { type: 'ObjectId', ref: 'Member' } } })
+        .register('Member', { team: { type: 'ObjectId', ref: 'Team', required: true } });
+    assert.deepEqual(arrays.checkRefs().map(problem => problem.code), ['required_ref_cycle']);
+});
+
+test('discriminator variant models can be referenced', () => {
+    const registry = createModelRegistry()
+        .register('Notification', { title: { type: 'String' } }, {
+            discriminator: { key: 'kind', variants: { email: { to: { type: 'String' } } } }
+        })
+        .register('Delivery', { notification: { type: 'ObjectId', ref: 'NotificationEmail', required: false } });
+
+    assert.deepEqual(registry.checkRefs(), []);
+    assert.throws(() => registry.register('NotificationEmail', {}), /Model "NotificationEmail" is already registered/);
+});
+
+test('registry Zod schemas accept an ObjectId or the populated document', () => {
+    const postSchemas = createBlogRegistry().createZodSchemas('Post');
+    const author = { ...storedFields(), name: 'Ada', manager: { ...storedFields(), name: 'Grace' } };
+
+    assert.equal(postSchemas.create.safeParse({ title: 'Hi', author: author._id.toString() }).success, true);
+    assert.equal(postSchemas.output.safeParse({ ...storedFields(), title: 'Hi', author, tags: [new mongoose.Types.ObjectId()] }).success, true);
+
+    const result = postSchemas.create.safeParse({ title: 'Hi', author: { _id: author._id } });
+    assert.deepEqual(result.error.issues.map(({ path, message }) => ({ path, message })), [
+        { path: ['author'], message: 'author must be an ObjectId or a valid User document' }
+    ]);
+});
+
+test('registration and build reject invalid input', () => {
+    const registry = createBlogRegistry();
+    const connection = mongoose.createConnection();
+    connection.model('Tag', new mongoose.Schema({}));
+
+    assert.throws(() => registry.register('Tag', {}), /Model "Tag" is already registered/);
+    assert.throws(() => registry.register('', {}), /non-empty string/);
+    assert.throws(() => registry.register('Empty'), /needs a schema definition object/);
+    assert.throws(() => registry.build({}), /needs a Mongoose connection/);
+    assert.throws(() => registry.build(connection), /Models already compiled on this connection: Tag/);
+    assert.throws(() => registry.createZodSchemas('Nope'), /Model "Nope" is not registered/);
+});
@@ -0,0 +1,142 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { createMongooseSchema, normalizeMongooseErrors } from '../../src/models/mongooseSchema.js';
+
+const connection = mongoose.createConnection();
+let modelCount = 0;
+
+/**
+ * Compiles a schema into a model of its own, on a connection that is never opened
+ * @param {mongoose.Schema} schema - The schema
+ * @returns {mongoose.Model} The model
+ */
+const compile = (schema) => connection.model(`Model${++modelCount}`, schema);
+
+test('the unknown-key policy becomes the Mongoose strict setting', () => {
+    const definition = { name: { type: 'String', required: true } };
+
+    assert.equal(createMongooseSchema(definition).get('strict'), true);
+    assert.equal(createMongooseSchema(definition, { strictMode: true }).get('strict'), 'throw');
+    assert.equal(createMongooseSchema(definition, { unknownKeys: 'passthrough' }).get('strict'), false);
+
+    const Strict = compile(createMongooseSchema(definition, { strictMode: true }));
+    assert.throws(() => new Strict({ name: 'Ada', extra: 1 }), /not in schema/);
+    const Loose = compile(createMongooseSchema(definition, { unknownKeys: 'passthrough' }));
+    assert.equal(new Loose({ name: 'Ada', extra: 1 }).get('extra'), 1);
+});
+
+test('nested objects get their own strict setting', () => {
+    const schema = createMongooseSchema({
+        meta: { type: 'Object', unknownKeys: 'passthrough', schema: { source: { type: 'String' } } }
+    }, { strictMode: true });
+
+    assert.equal(schema.path('meta').schema.get('strict'), false);
+});
+
+test('writeOnly and private fields are removed from toJSON and toObject at every level', () => {
+    const Model = compile(createMongooseSchema({
+        email: { type: 'String', required: true },
+        password: { type: 'String', writeOnly: true },
+        failedLogins: { type: 'Number', default: 0, private: true },
+        profile: { type: 'Object', schema: { bio: { type: 'String' }, secret: { type: 'String', private: true } } }
+    }, { schemaOptions: { toJSON: { transform: (doc, ret) => ({ ...ret, serialized: true }) } } }));
+    const user = new Model({ email: 'a@b.co', password: 'hash', profile: { bio: 'hi', secret: 's' } });
+
+    const json = user.toJSON();
+    assert.equal(json.password, undefined);
+    assert.equal(json.failedLogins, undefined);
+    assert.deepEqual(json.profile, { bio: 'hi' });
+    assert.equal(json.serialized, true);
+    assert.equal(user.toObject().password, undefined);
+    // Server code can still read them
+    assert.equal(user.password, 'hash');
+});
+
+test('normalizeMongooseErrors lists validation errors like normalizeZodErrors', () => {
+    const Model = compile(createMongooseSchema({
+        name: { type: 'String', required: true },
+        age: { type: 'Number', min: 18 },
+        role: { type: 'String', enum: ['user', 'admin'] },
+        address: { type: 'Object', schema: { city: { type: 'String', required: true } } }
+    }));
+    const error = new Model({ age: 'old', role: 'root', address: {} }).validateSync();
+
+    assert.deepEqual(normalizeMongooseErrors(error).map(({ field, code }) => `${field} ${code}`), [
+        'age invalid_type',
+        'name invalid_type',
+        'role invalid_value',
+        'address.city invalid_type'
+    ]);
+    const [cast] = normalizeMongooseErrors(error);
+    assert.equal(cast.message, 'age must be a valid number');
+    assert.equal(cast.value, 'old');
+    assert.equal(normalizeMongooseErrors(new Model({ name: 'Ada', age: 3 }).validateSync())[0].message, 'age must be at least 18');
+});
+
+test('normalizeMongooseErrors reports duplicate keys with the catalog message', () => {
+    const duplicate = Object.assign(new Error('E11000 duplicate key error'), {
+        code: 11000,
+        keyPattern: { email: 1 },
+        keyValue: { email: 'a@b.co' }
+    });
+
+    assert.deepEqual(normalizeMongooseErrors(duplicate), [
+        { field: 'email', message: 'email already exists', code: 'duplicate_key', value: 'a@b.co', type: 'unique' }
+    ]);
+    assert.equal(normalizeMongooseErrors(duplicate, { customMessages: { 'email.unique': '{value} is taken' } })[0].message, 'a@b.co is taken');
+
+    // Older servers only name the index
+    const legacy = { code: 11000, message: 'E11000 duplicate key error index: app.users.$org_id_1_email_-1 dup key: { }' };
+    assert.deepEqual(normalizeMongooseErrors(legacy).map(error => error.field), ['org_id', 'email']);
+});
+
+test('normalizeMongooseErrors handles cast and strict-mode errors and ignores others', () => {
+    const Model = compile(createMongooseSchema({ age: { type: 'Number' } }, { strictMode: true }));
+    let strictError;
+    try {
+        new Model({ extra: 1 });
+    } catch (error) {
+        strictError = error;
+    }
+
+    assert.deepEqual(normalizeMongooseErrors(strictError).map(({ field, code }) => `${field} ${code}`), ['extra unrecognized_keys']);
+    const castError = new mongoose.Error.CastError('Number', 'x', 'age');
+    assert.equal(normalizeMongooseErrors(castError)[0].code, 'invalid_type');
+    assert.deepEqual(normalizeMongooseErrors(new Error('network')), []);
+    assert.deepEqual(normalizeMongooseErrors(null), []);
+});
+
+test('custom validators join the email and regex validators in the validator array', async () => {
+    const takenUsernames = new Set(['ada']);
+    const schema = createMongooseSchema({
+        username: {
+            type: 'String',
+            required: true,
+            validate: [
+                { validator: (value) => !/\s/.test(value), message: 'username cannot contain spaces' },
+                { validator: async (value) => !takenUsernames.has(value), message: (props) => `${props.value} is already taken`, type: 'available' }
+            ]
+        },
+        email: { type: 'String', email: true, regex: /@example\.com$/ }
+    });
+    assert.equal(schema.path('email').validators.length, 2);
+    const User = compile(schema);
+
+    /**
+     * Validates a document and lists its errors as "path: message (kind)" strings
+     * @param {Object} data - Document data
+     * @returns {Promise<Array<string>>} One entry per error
+     */
+    const errorsOf = async (data) => {
+        const error = await new User(data).validate().catch(validationError => validationError);
+        return Object.values(error.errors).map(({ path, message, kind }) => `${path}: ${message} (${kind})`).sort();
+    };
+
+    assert.deepEqual(await errorsOf({ username: 'a b', email: 'ada@other.com' }), [
+        'email: email must be a valid email address (user defined)',
+        'username: username cannot contain spaces (user defined)'
+    ]);
+    assert.deepEqual(await errorsOf({ username: 'ada', email: 'ada@example.com' }), ['username: ada is already taken (available)']);
+    await new User({ username: 'bob', email: 'bob@example.com' }).validate();
+});
@@ -0,0 +1,182 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { createZodSchema, createZodSchemas } from '../../src/models/zodSchema.js';
+
+const userDefinition = {
+    name: { type: 'String', required: true },
+    role: { type: 'String', enum: ['user', 'admin'], default: 'user' },
+    address: {
+        type: 'Object',
+        required: true,
+        schema: {
+            city: { type: 'String', required: true },
+            zip: { type: 'String', default: '0000' }
+        }
+    },
+    lines: { type: 'Array', items: { type: 'Object', schema: { sku: { type: 'String', required: true }, qty: { type: 'Number', default: 1 } } } }
+};
+
+/**
+ * Lists the paths a failed parse reports
+ * @param {Object} result - A safeParse result
+ * @returns {Array<string>} Dotted paths
+ */
+const issuePaths = (result) => result.error.issues.map(issue => issue.path.join('.'));
+
+test('create requires fields and applies defaults', () => {
+    const { create } = createZodSchemas(userDefinition);
+
+    assert.deepEqual(issuePaths(create.safeParse({})), ['name', 'address', 'lines']);
+    assert.deepEqual(create.parse({ name: 'Ada', address: { city: 'London' }, lines: [{ sku: 'a' }] }), {
+        name: 'Ada',
+        role: 'user',
+        address: { city: 'London', zip: '0000' },
+        lines: [{ sku: 'a', qty: 1 }]
+    });
+});
+
+test('update makes every field optional at every level and never injects defaults', () => {
+    const { update } = createZodSchemas(userDefinition);
+
+    assert.deepEqual(update.parse({}), {});
+    assert.deepEqual(update.parse({ address: { zip: '1' } }), { address: { zip: '1' } });
+});
+
+test('update keeps array items whole, since arrays are replaced as a whole', () => {
+    const { update } = createZodSchemas(userDefinition);
+
+    assert.deepEqual(issuePaths(update.safeParse({ lines: [{}] })), ['lines.0.sku']);
+    assert.deepEqual(update.parse({ lines: [{ sku: 'a' }] }), { lines: [{ sku: 'a', qty: 1 }] });
+});
+
+test('replace requires the whole document, like create', () => {
+    const { replace } = createZodSchemas(userDefinition);
+
+    assert.deepEqual(issuePaths(replace.safeParse({ name: 'Ada' })), ['address', 'lines']);
+    assert.equal(replace.parse({ name: 'Ada', address: { city: 'London' }, lines: [] }).role, 'user');
+});
+
+test('output accepts stored documents with _id, timestamps and __v', () => {
+    const { output } = createZodSchemas(userDefinition);
+    const stored = {
+        _id: new mongoose.Types.ObjectId(),
+        name: 'Ada',
+        role: 'admin',
+        address: { city: 'London', zip: '1' },
+        lines: [],
+        createdAt: new Date(),
+        updatedAt: new Date(),
+        __v: 0
+    };
+
+    assert.equal(output.safeParse(stored).success, true);
+    assert.deepEqual(Object.keys(output.shape).slice(-4), ['_id', 'createdAt', 'updatedAt', '__v']);
+    // Stored documents are never filled in with defaults
+    assert.equal(output.parse({ ...stored, role: undefined }).role, undefined);
+});
+
+test('createZodSchema builds one variant and rejects unknown ones', () => {
+    assert.deepEqual(createZodSchema(userDefinition, { variant: 'update' }).parse({}), {});
+    assert.throws(() => createZodSchema(userDefinition, { variant: 'patch' }), /variant/);
+});
+
+test('unknown keys are stripped by default, rejected in strictMode and kept with passthrough', () => {
+    const definition = { name: { type: 'String', required: true } };
+    const input = { name: 'Ada', extra: 1 };
+
+    assert.deepEqual(createZodSchema(definition).parse(input), { name: 'Ada' });
+    const strict = createZodSchema(definition, { strictMode: true }).safeParse(input);
+    assert.equal(strict.success, false);
+    assert.equal(strict.error.issues[0].code, 'unrecognized_keys');
+    assert.deepEqual(createZodSchema(definition, { unknownKeys: 'passthrough' }).parse(input), input);
+    assert.throws(() => createZodSchema(definition, { unknownKeys: 'loose' }), /Invalid unknownKeys policy: loose/);
+});
+
+test('a nested unknownKeys policy overrides the enclosing one for its level and below', () => {
+    const definition = {
+        name: { type: 'String', required: true },
+        meta: {
+            type: 'Object',
+            unknownKeys: 'passthrough',
+            schema: { source: { type: 'String', required: true }, inner: { type: 'Object', schema: { a: { type: 'String', required: true } } } }
+        }
+    };
+    const schema = createZodSchema(definition, { strictMode: true });
+
+    assert.deepEqual(schema.parse({ name: 'Ada', meta: { source: 'api', tag: 1, inner: { a: 'x', b: 2 } } }), {
+        name: 'Ada',
+        meta: { source: 'api', tag: 1, inner: { a: 'x', b: 2 } }
+    });
+    assert.equal(schema.safeParse({ name: 'Ada', extra: 1, meta: { source: 'api', inner: { a: 'x' } } }).success, false);
+});
+
+test('writeOnly, readOnly and private fields flow in one direction only', () => {
+    const { create, update, output } = createZodSchemas({
+        email: { type: 'String', required: true },
+        password: { type: 'String', required: true, writeOnly: true, regex: /.+/ },
+        role: { type: 'String', enum: ['user', 'admin'], default: 'user', readOnly: true },
+        failedLogins: { type: 'Number', default: 0, private: true }
+    });
+
+    assert.deepEqual(create.parse({ email: 'a@b.co', password: 'x' }), { email: 'a@b.co', password: 'x' });
+    assert.deepEqual(create.safeParse({ email: 'a@b.co', password: 'x', role: 'admin' }).error.issues.map(issue => issue.message), [
+        'role is read-only and cannot be set'
+    ]);
+    assert.deepEqual(update.safeParse({ failedLogins: 0 }).error.issues.map(issue => issue.message), [
+        'failedLogins is private and cannot be set'
+    ]);
+    assert.deepEqual(Object.keys(output.shape).filter(key => !key.startsWith('_') && !key.endsWith('At')), ['email', 'role']);
+});
+
+test('custom validators run as refinements, async ones under parseAsync', async () => {
+    const takenUsernames = new Set(['ada']);
+    const { create, update, output } = createZodSchemas({
+        username: {
+            type: 'String',
+            required: true,
+            validate: [
+                { validator: (value) => !/\s/.test(value), message: 'username cannot contain spaces' },
+                { validator: async (value) => !takenUsernames.has(value), message: (props) => `${props.value} is already taken`, type: 'available' }
+            ]
+        },
+        code: {
+            type: 'String',
+            validate: (value) => {
+                if (value === 'x') {
+                    throw new Error('code x is banned');
+                }
+                return true;
+            }
+        }
+    });
+
+    /**
+     * Lists the issues of an async parse as "path: message (validator)" strings
+     * @param {Object} body - The input
+     * @returns {Promise<Array<string>>} One entry per issue
+     */
+    const issuesOf = async (body) => (await create.safeParseAsync(body)).error.issues
+        .map(issue => `${issue.path.join('.')}: ${issue.message} (${issue.params.validator})`);
+
+    assert.deepEqual(await issuesOf({ username: 'a b', code: 'y' }), ['username: username cannot contain spaces (user defined)']);
+    assert.deepEqual(await issuesOf({ username: 'ada', code: 'y' }), ['username: ada is already taken (available)']);
+    assert.deepEqual(await issuesOf({ username: 'bob', code: 'x' }), ['code: code x is banned (user defined)']);
+    assert.equal((await create.safeParseAsync({ username: 'bob', code: 'y' })).success, true);
+    assert.throws(() => create.safeParse({ username: 'bob', code: 'y' }), /parseAsync/);
+
+    // Missing values and stored documents are not validated
+    assert.equal((await update.safeParseAsync({})).success, true);
+    assert.equal((await output.safeParseAsync({ _id: new mongoose.Types.ObjectId(), username: 'a b', code: 'x', createdAt: new Date(), updatedAt: new Date(), __v: 0 })).success, true);
+});
+
+test('email, regex and custom validators on one field are all kept', () => {
+    const schema = createZodSchema({
+        email: { type: 'String', email: true, regex: /@example\.com$/, validate: (value) => !value.startsWith('admin@') }
+    });
+
+    assert.equal(schema.safeParse({ email: 'ada@example.com' }).success, true);
+    assert.equal(schema.safeParse({ email: 'not-an-email' }).error.issues[0].message, 'email must be a valid email address');
+    assert.equal(schema.safeParse({ email: 'ada@other.com' }).success, false);
+    assert.equal(schema.safeParse({ email: 'admin@example.com' }).error.issues[0].params.validator, 'user defined');
+});
@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createQuerySchema, toMongoQuery } from '../../src/query/querySchema.js';
+
+const userDefinition = {
+    name: { type: 'String', filterable: ['eq', 'contains'], sortable: true },
+    age: { type: 'Number', filterable: true, sortable: true },
+    role: { type: 'String', enum: ['user', 'admin'], filterable: ['eq', 'in'] },
+    tags: { type: 'Array', items: { type: 'String' }, filterable: ['all'] },
+    bio: { type: 'String' },
+    profile: { type: 'Object', schema: { city: { type: 'String', filterable: true } } }
+};
+
+const userQuery = createQuerySchema(userDefinition, { defaultSort: '-createdAt', maxLimit: 50 });
+
+/**
+ * Lists the issues of an invalid query string as "path: message" strings
+ * @param {Object} query - The parsed query string
+ * @returns {Array<string>} One entry per issue
+ */
+const issuesOf = (query) => userQuery.safeParse(query).error.issues.map(issue => `${issue.path.join('.')}: ${issue.message}`);
+
+test('query strings parse into typed filters, a sort and a page', () => {
+    const query = userQuery.parse({
+        'age[gte]': '18',
+        'role[in]': 'admin,user',
+        'name[contains]': 'a.b',
+        tags: { all: ['x', 'y'] },
+        'profile.city': 'Paris',
+        sort: '-age,name',
+        page: '2',
+        limit: '10'
+    });
+
+    assert.deepEqual(query, {
+        filters: {
+            age: { gte: 18 },
+            role: { in: ['admin', 'user'] },
+            name: { contains: 'a.b' },
+            tags: { all: ['x', 'y'] },
+            'profile.city': { eq: 'Paris' }
+        },
+        sort: { age: -1, name: 1 },
+        page: 2,
+        limit: 10
+    });
+});
+
+test('toMongoQuery builds the filter, sort and skip/limit', () => {
+    const query = userQuery.parse({ 'age[gte]': '18', 'role[in]': 'admin,user', 'name[contains]': 'a.b', sort: '-age', page: '3', limit: '10' });
+
+    assert.deepEqual(toMongoQuery(query), {
+        filter: { age: { $gte: 18 }, role: { $in: ['admin', 'user'] }, name: { $regex: 'a\\.b', $options: 'i' } },
+        sort: { age: -1 },
+        skip: 20,
+        limit: 10
+    });
+    assert.deepEqual(toMongoQuery(userQuery.parse({})), { filter: {}, sort: { createdAt: -1 }, skip: 0, limit: 20 });
+});
+
+test('operator injection and operators the field does not allow are rejected', () => {
+    assert.deepEqual(issuesOf({ 'age[$gt]': '1' }), ['age.$gt: age does not support the "$gt" filter (supported: eq, ne, gt, gte, lt, lte, in, nin, exists)']);
+    assert.deepEqual(issuesOf({ age: { $where: 'sleep(1000)' } }), ['age.$where: age does not support the "$where" filter (supported: eq, ne, gt, gte, lt, lte, in, nin, exists)']);
+    assert.deepEqual(issuesOf({ 'name[gt]': 'a' }), ['name.gt: name does not support the "gt" filter (supported: eq, contains)']);
+    assert.deepEqual(issuesOf({ bio: 'x' }), ['bio: bio cannot be filtered']);
+});
+
+test('values are checked with the field type and enum', () => {
+    assert.deepEqual(issuesOf({ 'age[gte]': 'abc' }), ['age.gte: age must be a number, received "abc"']);
+    assert.deepEqual(issuesOf({ 'role[in]': 'root' }), ['role.in.0: role must be one of: user, admin']);
+});
+
+test('sort fields, page and limit are limited', () => {
+    assert.deepEqual(issuesOf({ sort: 'bio' }), ['sort.0: Cannot sort by "bio" (sortable fields: name, age, _id, createdAt, updatedAt)']);
+    assert.deepEqual(issuesOf({ limit: '500' }), ['limit: limit must be at most 50']);
+    assert.deepEqual(issuesOf({ page: '0' }), ['page: page must be at least 1']);
+});
+
+test('unknownKeys: strip ignores parameters that are not filters', () => {
+    const query = createQuerySchema(userDefinition, { unknownKeys: 'strip' }).parse({ bio: 'x', foo: '1', age: '3' });
+
+    assert.deepEqual(query.filters, { age: { eq: 3 } });
+});
+
+test('toMongoQuery refuses hand-built filters that could inject operators', () => {
+    assert.throws(() => toMongoQuery({ filters: { age: { $gt: 1 } } }), /Unsupported filter operator "\$gt"/);
+    assert.throws(() => toMongoQuery({ filters: { $where: { eq: 1 } } }), /Invalid filter field "\$where"/);
+    assert.throws(() => toMongoQuery({ filters: { age: { eq: { $ne: 1 } } } }), /Invalid value for filter "age\[eq\]"/);
+});
+
+test('reserved query parameters cannot be field names', () => {
+    assert.throws(() => createQuerySchema({ sort: { type: 'String', filterable: true } }), /Field "sort" cannot be filtered or sorted/);
+});
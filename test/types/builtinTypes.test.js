@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { createSchemas } from '../../index.js';
+import { DECIMAL_PATTERN } from '../../src/types/builtinTypes.js';
+
+const invoiceDefinition = {
+    total: { type: 'Decimal128', precision: 12, scale: 2, min: 0 },
+    signature: { type: Buffer, min: 4, max: 4 },
+    deviceId: { type: 'UUID' },
+    sequence: { type: 'BigInt', min: 0 },
+    retries: { type: 'Int32', min: 0, max: 10 },
+    readings: { type: 'Map', of: { type: 'Number', min: 0 } }
+};
+
+const deviceId = '123e4567-e89b-42d3-a456-426614174000';
+
+const { zodSchema, zodSchemas, mongooseSchema } = createSchemas(invoiceDefinition, {
+    enableCache: false,
+    schemaOptions: { timestamps: false }
+});
+
+test('each type maps to its Mongoose schema type', () => {
+    const instances = Object.keys(invoiceDefinition).map(path => mongooseSchema.path(path).instance);
+
+    assert.deepEqual(instances, ['Decimal128', 'Buffer', 'UUID', 'BigInt', 'Int32', 'Map']);
+    assert.equal(mongooseSchema.path('readings').$__schemaType.instance, 'Number');
+});
+
+test('the Zod schema accepts the JSON forms and converts them', () => {
+    const parsed = zodSchema.parse({
+        total: '1999.99',
+        signature: Buffer.from('abcd').toString('base64'),
+        deviceId,
+        sequence: '9007199254740993',
+        retries: 3,
+        readings: { morning: 1.5 }
+    });
+
+    assert.equal(parsed.total, '1999.99');
+    assert.deepEqual(parsed.signature, Buffer.from('abcd'));
+    assert.equal(parsed.sequence, 9007199254740993n);
+    assert.deepEqual(parsed.readings, { morning: 1.5 });
+});
+
+test('the Zod schema enforces precision, scale, formats, bounds and Map keys', () => {
+    const result = zodSchema.safeParse({
+        total: '1.999',
+        signature: 'AAAA',
+        deviceId: 'not-a-uuid',
+        sequence: '-1',
+        retries: 11,
+        readings: { morning: -1, '$where': 1 }
+    });
+
+    assert.deepEqual(result.error.issues.map(issue => [issue.path.join('.'), issue.message]), [
+        ['total', 'total must have at most 2 decimal places'],
+        ['signature', 'signature must be at least 4 bytes'],
+        ['deviceId', 'deviceId must be a valid uuid'],
+        ['sequence', 'sequence must be at least 0'],
+        ['retries', 'retries must be at most 10'],
+        ['readings.morning', 'readings must be at least 0'],
+        ['readings.$where', 'Map key "$where" cannot start with "$" or contain "."']
+    ]);
+    assert.equal(zodSchema.safeParse({ total: '1234567890123' }).error.issues[0].message, 'total must have at most 12 digits');
+    assert.equal(zodSchema.safeParse({ retries: 2 ** 31 }).success, false);
+});
+
+test('Mongoose enforces min and max on values and Buffer sizes', () => {
+    const Invoice = mongoose.createConnection().model('BuiltinTypesInvoice', mongooseSchema);
+    const invoice = new Invoice({
+        total: '-1',
+        signature: Buffer.from('abc'),
+        deviceId,
+        sequence: -1n,
+        retries: 11,
+        readings: { morning: -1 }
+    });
+
+    const { errors } = invoice.validateSync();
+    assert.deepEqual(Object.entries(errors).map(([path, error]) => `${path}: ${error.message}`), [
+        'total: total must be at least 0',
+        'signature: signature must be at least 4 bytes',
+        'sequence: sequence must be at least 0',
+        'retries: retries must be at most 10',
+        'readings.morning: readings must be at least 0'
+    ]);
+    assert.equal(invoice.deviceId, deviceId);
+});
+
+test('the output schema accepts the BSON values stored documents hold', () => {
+    const result = zodSchemas.output.safeParse({
+        _id: new mongoose.Types.ObjectId(),
+        total: mongoose.Types.Decimal128.fromString('19.99'),
+        signature: Buffer.from('abcd'),
+        deviceId,
+        sequence: 5n,
+        retries: 1,
+        readings: new Map([['morning', 1]])
+    });
+
+    assert.equal(result.success, true);
+});
+
+test('DECIMAL_PATTERN only accepts plain decimal notation', () => {
+    assert.deepEqual(['12', '-0.5', '+1999.99'].map(value => DECIMAL_PATTERN.test(value)), [true, true, true]);
+    assert.deepEqual(['1e3', '.5', '1.', 'NaN', ''].map(value => DECIMAL_PATTERN.test(value)), [false, false, false, false, false]);
+});
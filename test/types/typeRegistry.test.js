@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { z } from 'zod';
+import { registerType, resolveType, getRegisteredTypes } from '../../src/types/typeRegistry.js';
+import { createZodSchema } from '../../src/models/zodSchema.js';
+import { createMongooseSchema } from '../../src/models/mongooseSchema.js';
+import { createJsonSchema } from '../../src/exporters/jsonSchema.js';
+import { generateTypeDeclarations } from '../../src/exporters/typescript.js';
+import { validateSchemaDefinition } from '../../src/validation/validateSchemaDefinition.js';
+
+class Slug {}
+
+registerType('test-slug', {
+    family: 'string',
+    mongoose: { type: String, lowercase: true, trim: true },
+    zod: () => z.string().regex(/^[a-z0-9-]+$/, 'Invalid slug'),
+    jsonSchema: { type: 'string', pattern: '^[a-z0-9-]+$' },
+    aliases: ['test-handle', Slug]
+});
+
+test('built-in types resolve by name, in any case, and by constructor', () => {
+    assert.equal(resolveType('String').name, 'string');
+    assert.equal(resolveType('OBJECTID').family, 'objectid');
+    assert.equal(resolveType(Number).name, 'number');
+    assert.equal(resolveType('nope'), null);
+    assert.equal(resolveType({}), null);
+    assert.ok(['string', 'number', 'boolean', 'date', 'array', 'object', 'objectid', 'mixed', 'map'].every(name => getRegisteredTypes().includes(name)));
+});
+
+test('registered types resolve by name, alias and constructor', () => {
+    assert.equal(resolveType('Test-Slug').name, 'test-slug');
+    assert.equal(resolveType('test-handle').name, 'test-slug');
+    assert.equal(resolveType(Slug).name, 'test-slug');
+    assert.ok(getRegisteredTypes().includes('test-slug'));
+    assert.ok(!getRegisteredTypes().includes('test-handle'));
+});
+
+test('registered types work in every builder, with the rules of their family', () => {
+    const definition = { handle: { type: 'test-slug', required: true, minlength: 3 }, aliases: [{ type: Slug }] };
+
+    const zodSchema = createZodSchema(definition);
+    assert.deepEqual(zodSchema.parse({ handle: 'my-page', aliases: ['a'] }), { handle: 'my-page', aliases: ['a'] });
+    assert.deepEqual(zodSchema.safeParse({ handle: 'ab', aliases: [] }).error.issues.map(issue => issue.message), [
+        'handle must be at least 3 characters long'
+    ]);
+    assert.equal(zodSchema.safeParse({ handle: 'My Page', aliases: [] }).error.issues[0].message, 'Invalid slug');
+
+    const mongooseSchema = createMongooseSchema(definition);
+    assert.equal(mongooseSchema.path('handle').instance, 'String');
+    assert.equal(mongooseSchema.path('handle').options.lowercase, true);
+    assert.equal(mongooseSchema.path('handle').options.minlength[0], 3);
+
+    assert.deepEqual(createJsonSchema(definition).properties.handle, { type: 'string', pattern: '^[a-z0-9-]+$', minLength: 3 });
+    assert.match(generateTypeDeclarations(definition, { name: 'Page' }), /handle: string;/);
+    assert.deepEqual(validateSchemaDefinition(definition).errors, []);
+});
+
+test('names cannot be registered twice unless overridden, and both layers are required', () => {
+    registerType('test-money', { mongoose: mongoose.Schema.Types.Decimal128, zod: z.string() });
+
+    assert.throws(() => registerType('Test-Money', { mongoose: String, zod: z.string() }), /Type "Test-Money" is already registered/);
+    registerType('test-money', { mongoose: String, zod: z.string(), typescript: 'string' }, { override: true });
+    assert.equal(createMongooseSchema({ price: { type: 'test-money' } }).path('price').instance, 'String');
+
+    assert.throws(() => registerType('test-half', { zod: z.string() }), /must define both a mongoose and a zod representation/);
+    assert.throws(() => registerType(' ', { mongoose: String, zod: z.string() }), /non-empty string/);
+});
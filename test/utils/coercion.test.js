@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { createZodSchema } from '../../src/models/zodSchema.js';
+import { registerLocale } from '../../src/messages/messageCatalog.js';
+
+const definition = {
+    age: { type: 'Number', required: false },
+    active: { type: 'Boolean', required: false },
+    birthday: { type: 'Date', required: false },
+    owner: { type: 'ObjectId', required: false }
+};
+
+/**
+ * Parses input with the coercing schema of the test definition
+ * @param {Object} input - The input
+ * @param {Object} options - Extra builder options
+ * @returns {Object} The safeParse result
+ */
+const coerce = (input, options = {}) => createZodSchema(definition, { coerce: true, ...options }).safeParse(input);
+
+test('converts query-string values to their field types', () => {
+    const owner = new mongoose.Types.ObjectId();
+    const result = coerce({ age: ' 25 ', active: 'false', birthday: '2024-02-29', owner });
+
+    assert.equal(result.success, true);
+    assert.equal(result.data.age, 25);
+    assert.equal(result.data.active, false);
+    assert.equal(result.data.birthday.toISOString(), '2024-02-29T00:00:00.000Z');
+    assert.equal(result.data.owner, owner.toHexString());
+    assert.equal(coerce({ active: 1, birthday: '1700000000000' }).data.birthday.getTime(), 1700000000000);
+});
+
+test('leaves values alone unless coercion is on, and a field setting wins', () => {
+    assert.equal(createZodSchema(definition).safeParse({ age: '25' }).success, false);
+
+    const fieldWins = createZodSchema({ age: { type: 'Number', coerce: false } }, { coerce: true });
+    assert.equal(fieldWins.safeParse({ age: '25' }).success, false);
+    const fieldOptIn = createZodSchema({ age: { type: 'Number', coerce: true } });
+    assert.equal(fieldOptIn.parse({ age: '25' }).age, 25);
+});
+
+test('rejects what would only be guessed at', () => {
+    const messages = (input) => coerce(input).error.issues.map(issue => issue.message);
+
+    assert.deepEqual(messages({ age: '0x10' }), ['age must be a number, received "0x10"']);
+    assert.deepEqual(messages({ active: 'yes' }), ['active must be "true", "false", "1" or "0", received "yes"']);
+    assert.deepEqual(messages({ birthday: '2024-02-31' }), ['birthday must be an ISO 8601 date or epoch milliseconds, received "2024-02-31"']);
+    assert.deepEqual(messages({ birthday: '2024-01-01T10:00' }), ['birthday must include a timezone offset (e.g. "Z" or "+02:00"), received "2024-01-01T10:00"']);
+});
+
+test('always converts BigInts, which JSON cannot hold', () => {
+    const schema = createZodSchema({ big: { type: 'BigInt', required: true } });
+
+    assert.equal(schema.parse({ big: '9007199254740993' }).big, 9007199254740993n);
+    assert.equal(schema.safeParse({ big: '1.5' }).error.issues[0].message, 'big must be an integer, received "1.5"');
+    assert.match(schema.safeParse({ big: 2 ** 60 }).error.issues[0].message, /within the safe range/);
+});
+
+test('coercion errors follow field messages, customMessages and locales', () => {
+    const fieldMessages = createZodSchema({ age: { type: 'Number', messages: { coerce: 'Age {value} is not a number' } } }, { coerce: true });
+    assert.equal(fieldMessages.safeParse({ age: 'x' }).error.issues[0].message, 'Age x is not a number');
+
+    const custom = coerce({ birthday: 'soon' }, { customMessages: { 'birthday.coerce.date': 'Pick a real date' } });
+    assert.equal(custom.error.issues[0].message, 'Pick a real date');
+
+    registerLocale('x-coerce', { 'coerce.number': '{field}: keine Zahl' });
+    assert.equal(coerce({ age: 'x' }, { locale: 'x-coerce' }).error.issues[0].message, 'age: keine Zahl');
+});
@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { createSchemas, createModelRegistry, validateSchemaDefinition } from '../../index.js';
+import { normalizeDiscriminator, getVariantModelName } from '../../src/utils/discriminators.js';
+
+const notificationDefinition = {
+    title: { type: 'String', required: true },
+    sentAt: { type: 'Date', required: false }
+};
+
+const variants = {
+    email: { to: { type: 'String', email: true, required: true }, subject: { type: 'String', required: false } },
+    sms: { phone: { type: 'String', required: true } }
+};
+
+const { zodSchemas, mongooseSchema } = createSchemas(notificationDefinition, {
+    enableCache: false,
+    discriminator: { key: 'kind', modelName: 'Notice', variants }
+});
+
+test('the Zod schemas are discriminated unions on the key', () => {
+    assert.deepEqual(zodSchemas.create.parse({ kind: 'sms', title: 'Code', phone: '+15550100' }), {
+        kind: 'sms', title: 'Code', phone: '+15550100'
+    });
+
+    const unknownKind = zodSchemas.create.safeParse({ kind: 'fax', title: 'Code' });
+    assert.deepEqual(unknownKind.error.issues.map(({ path, message }) => ({ path, message })), [
+        { path: ['kind'], message: 'kind must be one of: email, sms' }
+    ]);
+
+    const missingField = zodSchemas.create.safeParse({ kind: 'email', title: 'Hello' });
+    assert.deepEqual(missingField.error.issues.map(issue => issue.path), [['to']]);
+});
+
+test('PATCH bodies must carry the key to be checked against their variant', () => {
+    assert.deepEqual(zodSchemas.update.safeParse({ title: 'New' }).error.issues[0].path, ['kind']);
+    assert.equal(zodSchemas.update.safeParse({ kind: 'sms', phone: '+15550101' }).success, true);
+    assert.equal(zodSchemas.update.safeParse({ kind: 'sms', phone: 5 }).success, false);
+});
+
+test('Mongoose registers one discriminator model per variant, prefixed by modelName', () => {
+    const Notice = mongoose.createConnection().model('Notice', mongooseSchema);
+
+    assert.equal(mongooseSchema.options.discriminatorKey, 'kind');
+    assert.deepEqual(Object.keys(Notice.discriminators), ['NoticeEmail', 'NoticeSms']);
+
+    const sms = Notice.hydrate({ _id: new mongoose.Types.ObjectId(), kind: 'sms', title: 'Code', phone: '1' });
+    assert.equal(sms.constructor.modelName, 'NoticeSms');
+    assert.deepEqual(Object.keys(new Notice.discriminators.NoticeEmail({ title: 'Hello' }).validateSync().errors), ['to']);
+});
+
+test('top-level discriminators need a modelName, which the registry defaults', () => {
+    const discriminator = { key: 'kind', variants };
+
+    assert.throws(() => createSchemas(notificationDefinition, { enableCache: false, discriminator }), /discriminator\.modelName is required/);
+    assert.deepEqual(validateSchemaDefinition(notificationDefinition, { discriminator }).errors.map(({ path, code }) => `${path} ${code}`), [
+        'discriminator.modelName missing_model_name'
+    ]);
+
+    const registry = createModelRegistry();
+    registry.register('Alert', notificationDefinition, { discriminator });
+    const { models } = registry.build(mongoose.createConnection());
+    assert.deepEqual(Object.keys(models.Alert.discriminators), ['AlertEmail', 'AlertSms']);
+});
+
+test('nested subdocument arrays take a discriminator next to their schema', () => {
+    const orderDefinition = {
+        events: {
+            type: 'Array',
+            items: {
+                type: 'Object',
+                schema: { at: { type: 'Date', required: false } },
+                discriminator: {
+                    key: 'type',
+                    variants: {
+                        shipped: { carrier: { type: 'String', required: true } },
+                        refunded: { amount: { type: 'Number', min: 0 } }
+                    }
+                }
+            }
+        }
+    };
+    const order = createSchemas(orderDefinition, { enableCache: false });
+
+    const result = order.zodSchema.safeParse({ events: [{ type: 'refunded', amount: -1 }, { type: 'shipped' }] });
+    assert.deepEqual(result.error.issues.map(issue => issue.path), [['events', 0, 'amount'], ['events', 1, 'carrier']]);
+
+    assert.deepEqual(Object.keys(order.mongooseSchema.path('events').schema.discriminators), ['shipped', 'refunded']);
+    const Order = mongoose.createConnection().model('DiscriminatedOrder', order.mongooseSchema);
+    const document = new Order({ events: [{ type: 'refunded', amount: -1 }, { type: 'shipped', carrier: 'UPS' }] });
+    assert.deepEqual(Object.keys(document.validateSync().errors), ['events.0.amount']);
+    assert.equal(document.events[1].carrier, 'UPS');
+});
+
+test('normalizeDiscriminator and getVariantModelName validate their input', () => {
+    assert.deepEqual(normalizeDiscriminator({ key: 'kind', variants: { a: {} } }), { key: 'kind', modelName: undefined, variants: [{ value: 'a', definition: {} }] });
+    assert.throws(() => normalizeDiscriminator({ key: '', variants: { a: {} } }), /key must be a non-empty string/);
+    assert.throws(() => normalizeDiscriminator({ key: 'kind', variants: {} }), /must map each value/);
+    assert.throws(() => normalizeDiscriminator({ key: 'kind', variants: { a: { kind: { type: 'String' } } } }), /cannot define the discriminator key "kind"/);
+
+    assert.equal(getVariantModelName('Notification', 'email'), 'NotificationEmail');
+    assert.throws(() => getVariantModelName(undefined, 'email'), /modelName is required/);
+});
@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { createSchemas, normalizeZodErrors, normalizeMongooseErrors } from '../../index.js';
+import { normalizeRefinements, shouldApplyRefinement, getValueAtPath } from '../../src/utils/refinements.js';
+
+const bookingDefinition = {
+    pin: { type: String, required: false },
+    confirmPin: { type: String, required: false },
+    email: { type: String, required: false },
+    phone: { type: String, required: false },
+    shipping: {
+        type: Object,
+        required: false,
+        schema: { from: { type: String, required: false }, to: { type: String, required: false } },
+        refinements: {
+            differentEnds: { check: (shipping) => shipping.from !== shipping.to, path: 'to', message: 'to must differ from from' }
+        }
+    }
+};
+
+const refinements = {
+    pinsMatch: {
+        check: (data) => data.confirmPin === data.pin,
+        path: 'confirmPin',
+        message: 'PINs do not match',
+        fields: ['pin', 'confirmPin']
+    },
+    contactProvided: {
+        check: (data) => Boolean(data.email || data.phone),
+        path: 'email',
+        message: 'Either email or phone is required'
+    }
+};
+
+const { zodSchemas, mongooseSchema } = createSchemas(bookingDefinition, {
+    enableCache: false,
+    schemaOptions: { timestamps: false },
+    refinements
+});
+
+const invalidBooking = { pin: '1234', confirmPin: '4321', shipping: { from: 'Oslo', to: 'Oslo' } };
+
+/**
+ * Reduces normalized errors to what both layers share, ordered by field
+ * @param {Array<Object>} errors - normalizeZodErrors or normalizeMongooseErrors output
+ * @returns {Array<Object>} `{ field, message, code, type }` entries
+ */
+const summarize = (errors) => errors
+    .map(({ field, message, code, type }) => ({ field, message, code, type }))
+    .sort((a, b) => a.field.localeCompare(b.field));
+
+test('Zod and Mongoose report the same errors on the same fields', async () => {
+    const zodErrors = normalizeZodErrors(zodSchemas.create.safeParse(invalidBooking).error);
+
+    const Booking = mongoose.createConnection().model('RefinedBooking', mongooseSchema);
+    const error = await new Booking(invalidBooking).validate().catch(validationError => validationError);
+
+    assert.deepEqual(summarize(zodErrors), [
+        { field: 'confirmPin', message: 'PINs do not match', code: 'custom', type: 'pinsMatch' },
+        { field: 'email', message: 'Either email or phone is required', code: 'custom', type: 'contactProvided' },
+        { field: 'shipping.to', message: 'to must differ from from', code: 'custom', type: 'differentEnds' }
+    ]);
+    assert.deepEqual(summarize(normalizeMongooseErrors(error)), summarize(zodErrors));
+});
+
+test('valid data passes both layers', async () => {
+    const booking = { pin: '1234', confirmPin: '1234', phone: '555', shipping: { from: 'Oslo', to: 'Bergen' } };
+    assert.equal(zodSchemas.create.safeParse(booking).success, true);
+
+    const Booking = mongoose.createConnection().model('RefinedBooking', mongooseSchema);
+    await new Booking(booking).validate();
+});
+
+test('update schemas only run rules whose fields are all present, output schemas none', () => {
+    assert.equal(zodSchemas.update.safeParse({ pin: '1234' }).success, true);
+    assert.deepEqual(zodSchemas.update.safeParse({ pin: '1234', confirmPin: '0000' }).error.issues.map(issue => issue.path), [['confirmPin']]);
+
+    const stored = { _id: new mongoose.Types.ObjectId(), __v: 0, pin: '1234', confirmPin: '0000' };
+    assert.equal(zodSchemas.output.safeParse(stored).success, true);
+});
+
+test('async checks are awaited by parseAsync', async () => {
+    const { zodSchema } = createSchemas({ code: { type: String } }, {
+        enableCache: false,
+        refinements: { codeExists: { check: async (data) => data.code === 'known', path: 'code', message: 'Unknown code' } }
+    });
+
+    const result = await zodSchema.safeParseAsync({ code: 'other' });
+    assert.deepEqual(result.error.issues.map(({ path, message }) => ({ path, message })), [{ path: ['code'], message: 'Unknown code' }]);
+    assert.equal((await zodSchema.safeParseAsync({ code: 'known' })).success, true);
+});
+
+test('normalizeRefinements validates each rule and splits paths', () => {
+    const [rule] = normalizeRefinements({ zipMatches: { check: () => true, path: 'address.zip', message: 'x', fields: ['address.zip'] } });
+    assert.deepEqual(rule.path, ['address', 'zip']);
+    assert.deepEqual(rule.fields, [['address', 'zip']]);
+    assert.deepEqual(normalizeRefinements(undefined), []);
+
+    assert.throws(() => normalizeRefinements([]), /object of rules keyed by name/);
+    assert.throws(() => normalizeRefinements({ a: { path: 'x', message: 'x' } }), /Refinement "a" must define a check function/);
+    assert.throws(() => normalizeRefinements({ a: { check: () => true, message: 'x' } }), /must define the path/);
+    assert.throws(() => normalizeRefinements({ a: { check: () => true, path: 'x' } }), /must define a message/);
+    assert.throws(() => normalizeRefinements({ a: { check: () => true, path: 'x', message: 'x', fields: 'x' } }), /fields must be an array/);
+});
+
+test('shouldApplyRefinement and getValueAtPath', () => {
+    const [rule] = normalizeRefinements({ a: { check: () => true, path: 'b', message: 'x', fields: ['a.b'] } });
+
+    assert.equal(getValueAtPath({ a: { b: 1 } }, ['a', 'b']), 1);
+    assert.equal(getValueAtPath({ a: null }, ['a', 'b']), undefined);
+    assert.equal(shouldApplyRefinement(rule, {}, 'create'), true);
+    assert.equal(shouldApplyRefinement(rule, {}, 'update'), false);
+    assert.equal(shouldApplyRefinement(rule, { a: { b: 0 } }, 'update'), true);
+    assert.equal(shouldApplyRefinement(rule, { a: { b: 0 } }, 'output'), false);
+});
@@ -0,0 +1,94 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    getCachedSchemas,
+    clearSchemaCache,
+    configureSchemaCache,
+    getSchemaCacheStats
+} from '../../src/utils/schemaCache.js';
+import { createSchemas } from '../../index.js';
+
+let buildCount = 0;
+
+/**
+ * Looks up a definition, building a fresh result on a miss
+ * @param {Object} definition - The schema definition
+ * @param {Object} options - Builder options
+ * @returns {Object} The cached or built result
+ */
+const lookup = (definition, options = {}) => getCachedSchemas(definition, options, () => ({ build: ++buildCount }));
+
+beforeEach(() => {
+    configureSchemaCache();
+    clearSchemaCache();
+});
+
+test('equal definitions and options share an entry, whatever the object identity', () => {
+    const first = lookup({ name: { type: 'String', regex: /^a/i, default: 'a' } }, { locale: 'en' });
+
+    assert.equal(lookup({ name: { type: 'String', regex: /^a/i, default: 'a' } }, { locale: 'en' }), first);
+    assert.notEqual(lookup({ name: { type: 'String', regex: /^a/i, default: 'a' } }, { locale: 'de' }), first);
+});
+
+test('RegExps, functions, Dates and key order are part of the key', () => {
+    const base = lookup({ name: { type: 'String', regex: /^a/ } });
+
+    assert.notEqual(lookup({ name: { type: 'String', regex: /^b/ } }), base);
+    assert.notEqual(lookup({ name: { type: 'String', regex: /^a/i } }), base);
+    assert.notEqual(lookup({ name: { regex: /^a/, type: 'String' } }), base);
+
+    const now = () => Date.now();
+    const withDefault = lookup({ at: { type: 'Date', default: now } });
+    assert.equal(lookup({ at: { type: 'Date', default: now } }), withDefault);
+    assert.notEqual(lookup({ at: { type: 'Date', default: () => Date.now() } }), withDefault);
+
+    const dated = lookup({ at: { type: 'Date', min: new Date(0) } });
+    assert.equal(lookup({ at: { type: 'Date', min: new Date(0) } }), dated);
+    assert.notEqual(lookup({ at: { type: 'Date', min: new Date(1) } }), dated);
+});
+
+test('the least recently used entries are evicted first', () => {
+    configureSchemaCache({ maxSize: 2 });
+    const a = { a: { type: 'String' } };
+    const b = { b: { type: 'String' } };
+    const c = { c: { type: 'String' } };
+
+    const first = lookup(a);
+    lookup(b);
+    assert.equal(lookup(a), first);
+    lookup(c);
+
+    assert.equal(lookup(a), first);
+    assert.equal(getSchemaCacheStats().evictions, 1);
+    const rebuiltB = buildCount;
+    lookup(b);
+    assert.equal(buildCount, rebuiltB + 1);
+});
+
+test('stats count hits, misses and evictions, and clearSchemaCache resets them', () => {
+    const definition = { name: { type: 'String' } };
+    lookup(definition);
+    lookup(definition);
+
+    assert.deepEqual(getSchemaCacheStats(), { size: 1, maxSize: 100, hits: 1, misses: 1, evictions: 0, hitRate: 0.5 });
+
+    clearSchemaCache();
+    assert.deepEqual(getSchemaCacheStats(), { size: 0, maxSize: 100, hits: 0, misses: 0, evictions: 0, hitRate: 0 });
+});
+
+test('configureSchemaCache validates the size and shrinks the cache', () => {
+    lookup({ a: { type: 'String' } });
+    lookup({ b: { type: 'String' } });
+
+    configureSchemaCache({ maxSize: 0 });
+    assert.equal(getSchemaCacheStats().size, 0);
+    assert.throws(() => configureSchemaCache({ maxSize: -1 }), /non-negative integer/);
+    assert.throws(() => configureSchemaCache({ maxSize: 1.5 }), /non-negative integer/);
+});
+
+test('createSchemas returns the cached schemas unless enableCache is false', () => {
+    const definition = { name: { type: 'String', required: true } };
+
+    assert.equal(createSchemas(definition), createSchemas({ name: { type: 'String', required: true } }));
+    assert.notEqual(createSchemas(definition, { enableCache: false }), createSchemas(definition));
+});
@@ -0,0 +1,156 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { normalizeVersioning, migrateData } from '../../src/utils/versioning.js';
+import { createMongooseSchema } from '../../src/models/mongooseSchema.js';
+import { createZodSchemas } from '../../src/models/zodSchema.js';
+
+const userDefinition = {
+    firstName: { type: String, required: true },
+    lastName: { type: String, required: false },
+    status: { type: String, enum: ['active', 'inactive'], required: true }
+};
+
+/**
+ * Builds a three-version declaration: v2 splits the name, v3 replaces the boolean with a status
+ * @param {Object} overrides - Extra declaration properties (acceptOlder, key)
+ * @returns {Object} The versioning declaration
+ */
+const createVersioning = (overrides = {}) => ({
+    version: 3,
+    migrations: {
+        2: (doc) => {
+            const { fullName = '', ...rest } = doc;
+            const [firstName, ...lastName] = fullName.split(' ');
+            return { ...rest, firstName, lastName: lastName.join(' ') };
+        },
+        3: (doc) => {
+            doc.status = doc.active === false ? 'inactive' : 'active';
+            delete doc.active;
+        }
+    },
+    ...overrides
+});
+
+let modelCount = 0;
+
+/**
+ * Compiles a model on its own name, so tests do not share models
+ * @param {Object} versioning - The versioning declaration
+ * @returns {mongoose.Model} The model
+ */
+const createModel = (versioning) => {
+    const schema = createMongooseSchema(userDefinition, { versioning, schemaOptions: { timestamps: false } });
+    return mongoose.model(`VersionedUser${++modelCount}`, schema);
+};
+
+test('migrateData runs the pending migrations in order and stamps each version', () => {
+    const versioning = normalizeVersioning(createVersioning());
+
+    const upgraded = migrateData({ fullName: 'Ada Lovelace', active: false }, versioning);
+    assert.deepEqual(upgraded, { firstName: 'Ada', lastName: 'Lovelace', status: 'inactive', schemaVersion: 3 });
+
+    const fromTwo = migrateData({ firstName: 'Ada', schemaVersion: 2 }, versioning);
+    assert.deepEqual(fromTwo, { firstName: 'Ada', status: 'active', schemaVersion: 3 });
+});
+
+test('migrateData returns current documents unchanged', () => {
+    const versioning = normalizeVersioning(createVersioning());
+    const current = { firstName: 'Ada', status: 'active', schemaVersion: 3 };
+
+    assert.equal(migrateData(current, versioning), current);
+});
+
+test('migrateData rejects documents newer than the definition and asynchronous migrations', () => {
+    const versioning = normalizeVersioning(createVersioning());
+    assert.throws(() => migrateData({ schemaVersion: 4 }, versioning), /newer than the definition/);
+
+    const asyncVersioning = normalizeVersioning({ version: 2, migrations: { 2: async (doc) => doc } });
+    assert.throws(() => migrateData({}, asyncVersioning), /asynchronous/);
+});
+
+test('normalizeVersioning requires a migration for every step', () => {
+    assert.throws(() => normalizeVersioning({ version: 3, migrations: { 2: (doc) => doc } }), /Missing migration from version 2 to 3/);
+    assert.throws(() => normalizeVersioning({ version: 2, migrations: { 2: (doc) => doc } }, { schemaVersion: { type: Number } }), /cannot be defined/);
+});
+
+test('documents are upgraded as they are loaded (pre/post init)', () => {
+    const User = createModel(createVersioning());
+    const _id = new mongoose.Types.ObjectId();
+
+    const user = User.hydrate({ _id, fullName: 'Ada Lovelace', active: false });
+    assert.equal(user.firstName, 'Ada');
+    assert.equal(user.lastName, 'Lovelace');
+    assert.equal(user.status, 'inactive');
+    assert.equal(user.schemaVersion, 3);
+    // The next save stores the upgrade
+    assert.ok(user.isModified('firstName'));
+    assert.ok(user.isModified('schemaVersion'));
+    assert.ok(!user.isModified('_id'));
+});
+
+test('current documents load without modified paths and new ones are stamped', () => {
+    const User = createModel(createVersioning());
+
+    const current = User.hydrate({ _id: new mongoose.Types.ObjectId(), firstName: 'Ada', status: 'active', schemaVersion: 3 });
+    assert.deepEqual(current.modifiedPaths(), []);
+
+    assert.equal(new User({ firstName: 'Ada', status: 'active' }).schemaVersion, 3);
+});
+
+test('loading a document newer than the definition fails', () => {
+    const User = createModel(createVersioning());
+
+    assert.throws(() => User.hydrate({ _id: new mongoose.Types.ObjectId(), schemaVersion: 4 }), /newer than the definition/);
+});
+
+test('acceptOlder upgrades create and replace bodies written for an older version', () => {
+    const { create, replace, update } = createZodSchemas(userDefinition, { versioning: createVersioning({ acceptOlder: true }) });
+
+    const body = { fullName: 'Ada Lovelace', active: true, schemaVersion: 1 };
+    assert.deepEqual(create.parse(body), { firstName: 'Ada', lastName: 'Lovelace', status: 'active', schemaVersion: 3 });
+    assert.equal(replace.parse(body).schemaVersion, 3);
+
+    // PATCH bodies are partial and never migrated
+    assert.equal(update.safeParse({ schemaVersion: 1 }).success, true);
+    assert.equal(update.parse({ schemaVersion: 1 }).schemaVersion, undefined);
+});
+
+test('bodies without a version are taken to be current', () => {
+    const { create } = createZodSchemas(userDefinition, { versioning: createVersioning({ acceptOlder: true }) });
+
+    assert.equal(create.safeParse({ fullName: 'Ada Lovelace' }).success, false);
+    assert.deepEqual(create.parse({ firstName: 'Ada', status: 'active' }), { firstName: 'Ada', status: 'active' });
+});
+
+test('older bodies are rejected without acceptOlder', () => {
+    const { create } = createZodSchemas(userDefinition, { versioning: createVersioning() });
+
+    const result = create.safeParse({ firstName: 'Ada', status: 'active', schemaVersion: 1 });
+    assert.equal(result.success, false);
+    assert.deepEqual(result.error.issues[0].path, ['schemaVersion']);
+});
+
+test('nested objects and array items are neither versioned nor migrated', () => {
+    const definition = {
+        name: { type: String, required: true },
+        address: { type: Object, schema: { city: { type: String, required: true } } },
+        tags: { type: Array, items: { type: Object, schema: { label: { type: String, required: true } } } }
+    };
+    const { create } = createZodSchemas(definition, {
+        versioning: { version: 2, migrations: { 2: (doc) => ({ ...doc, migrated: true }) }, acceptOlder: true }
+    });
+
+    const parsed = create.parse({ name: 'a', address: { city: 'x', schemaVersion: 1 }, tags: [{ label: 't', schemaVersion: 1 }] });
+    assert.deepEqual(parsed.address, { city: 'x' });
+    assert.deepEqual(parsed.tags, [{ label: 't' }]);
+
+    const strict = createZodSchemas(definition, { strictMode: true, versioning: { version: 2, migrations: { 2: (doc) => doc } } });
+    const result = strict.create.safeParse({ name: 'a', address: { city: 'x', schemaVersion: 2 } });
+    assert.equal(result.success, false);
+    assert.deepEqual(result.error.issues[0].path, ['address']);
+
+    const schema = createMongooseSchema(definition, { versioning: { version: 2, migrations: { 2: (doc) => doc } } });
+    assert.ok(schema.path('schemaVersion'));
+    assert.equal(schema.path('address').schema.path('schemaVersion'), undefined);
+});
@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateSchemaDefinition, SchemaDefinitionError } from '../../src/validation/validateSchemaDefinition.js';
+import { createSchemas, clearSchemaCache } from '../../index.js';
+
+/**
+ * Lists the diagnostics of a lint result as "path code" strings
+ * @param {Array} diagnostics - Errors or warnings
+ * @returns {Array<string>} One entry per diagnostic
+ */
+const summarize = (diagnostics) => diagnostics.map(({ path, code }) => `${path} ${code}`);
+
+test('reports unknown properties with a suggestion, at their dotted path', () => {
+    const { valid, errors } = validateSchemaDefinition({
+        name: { type: 'String', requird: true, minLenght: 3 },
+        address: { type: 'Object', schema: { city: { type: 'String', Required: true } } },
+        lines: { type: 'Array', items: { type: 'Object', schema: { sku: { type: 'String', maxLenght: 3 } } } }
+    });
+
+    assert.equal(valid, false);
+    assert.deepEqual(summarize(errors), [
+        'name.requird unknown_property',
+        'name.minLenght unknown_property',
+        'address.city.Required unknown_property',
+        'lines.items.sku.maxLenght unknown_property'
+    ]);
+    assert.equal(errors[0].message, 'Unknown property "requird" (did you mean "required"?)');
+    assert.equal(errors[1].message, 'Unknown property "minLenght" (did you mean "minlength"?)');
+    assert.equal(errors[0].severity, 'error');
+});
+
+test('reports unknown types and contradictory rules', () => {
+    const { errors } = validateSchemaDefinition({
+        foo: { type: 'Strnig' },
+        name: { type: 'String', minlength: 5, maxlength: 2 },
+        age: { type: 'Number', min: 10, max: 1 },
+        score: { type: 'Number', min: 0, max: 10, default: 50 },
+        role: { type: 'String', enum: ['user', 'admin'], default: 'owner' }
+    });
+
+    assert.deepEqual(summarize(errors), [
+        'foo.type unknown_type',
+        'name.minlength invalid_range',
+        'age.min invalid_range',
+        'score.default default_out_of_range',
+        'role.default default_not_in_enum'
+    ]);
+    assert.equal(errors[2].message, 'min (10) is greater than max (1)');
+    assert.equal(errors[4].message, 'Default value "owner" is not one of: user, admin');
+});
+
+test('rules for another type are errors when contradictory and warnings when ignored', () => {
+    const { errors, warnings } = validateSchemaDefinition({
+        age: { type: 'Number', regex: /x/ },
+        tags: { type: 'Array', items: { type: 'String' }, minlength: 2 }
+    });
+
+    assert.deepEqual(summarize(errors), ['age.regex incompatible_property']);
+    assert.deepEqual(summarize(warnings), ['tags.minlength ignored_property']);
+    assert.equal(warnings[0].severity, 'warning');
+});
+
+test('accepts a valid definition, string map types and refs on any type', () => {
+    const result = validateSchemaDefinition({
+        name: { type: 'String', required: true, minlength: 2 },
+        scores: { type: 'map', of: { type: 'Number' } },
+        owner: { type: 'ObjectId', ref: 'User' },
+        slug: { type: 'String', ref: 'Page' }
+    });
+
+    assert.deepEqual(result, { valid: true, errors: [], warnings: [] });
+});
+
+test('createSchemas throws a SchemaDefinitionError when validateDefinition is set', () => {
+    const definition = { name: { type: 'String', requird: true } };
+
+    assert.doesNotThrow(() => createSchemas(definition, { enableCache: false }));
+    assert.throws(() => createSchemas(definition, { validateDefinition: true }), (error) => {
+        assert.ok(error instanceof SchemaDefinitionError);
+        assert.deepEqual(summarize(error.errors), ['name.requird unknown_property']);
+        assert.match(error.message, /name\.requird: Unknown property "requird"/);
+        return true;
+    });
+});
+
+test('validateDefinition lints definitions that are already cached', () => {
+    clearSchemaCache();
+    const createDefinition = () => ({ name: { type: 'String', minLenght: 3 } });
+    const definition = createDefinition();
+    createSchemas(definition);
+
+    assert.throws(() => createSchemas(definition, { validateDefinition: true }), SchemaDefinitionError);
+    assert.throws(() => createSchemas(createDefinition(), { validateDefinition: true }), SchemaDefinitionError);
+});
+
+test('string map types build a Mongoose Map path', () => {
+    const { mongooseSchema } = createSchemas({ scores: { type: 'map', of: { type: 'Number' } } }, { enableCache: false });
+
+    assert.equal(mongooseSchema.path('scores').instance, 'Map');
+});